@@ -18,12 +18,29 @@ export class Controls {
     this.rotationSmoothness = 0.25; // Increased for faster rotation response (was 0.15)
     this.movementSmoothness = 0.25; // Increased for faster movement response (was 0.2)
 
+    // Set while the player is typing in chat
+    this.isSuspended = false;
+
     // Set up event listeners
     document.addEventListener("keydown", this.onKeyDown.bind(this));
     document.addEventListener("keyup", this.onKeyUp.bind(this));
   }
 
+  // Stop reading keys (e.g. while chat is open), letting go of any held ones
+  suspend() {
+    this.isSuspended = true;
+    Object.keys(this.keys).forEach((key) => {
+      this.keys[key] = false;
+    });
+  }
+
+  resume() {
+    this.isSuspended = false;
+  }
+
   onKeyDown(event) {
+    if (this.isSuspended) return;
+
     const key = event.key.toLowerCase();
     switch (key) {
       case "w":
@@ -154,6 +171,15 @@ export class Controls {
       deltaTime
     );
 
+    // Record this frame's input so it can be replayed when the server catches up
+    if (this.game && this.game.multiplayer) {
+      this.game.multiplayer.recordInput(
+        this.currentMoveVector.x,
+        this.currentMoveVector.z,
+        deltaTime
+      );
+    }
+
     // Handle jumping
     if (this.keys.jump) {
       this.player.jump();
@@ -174,6 +200,11 @@ export class Controls {
 
   // Helper to get potential targets for the attack
   getTargets() {
+    // Practice matches have their own computer opponents
+    if (this.game && this.game.practice && this.game.practice.isActive) {
+      return this.game.practice.getTargets();
+    }
+
     // If we have a reference to the game instance, get all players
     if (this.game && this.game.multiplayer) {
       return this.game.multiplayer.getOtherPlayers();
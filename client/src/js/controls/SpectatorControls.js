@@ -0,0 +1,200 @@
+import * as THREE from "three";
+
+// Follow camera - the same over-the-shoulder view players get, a bit further back
+const FOLLOW_DISTANCE = 6;
+const FOLLOW_HEIGHT = 4;
+const FOLLOW_LOOK_AHEAD = 2;
+const FOLLOW_SMOOTHNESS = 0.15;
+
+// Free-fly camera speeds
+const FREE_MOVE_SPEED = 12; // Units per second
+const FREE_CLIMB_SPEED = 8;
+const FREE_TURN_SPEED = 2; // Radians per second
+const FREE_MIN_HEIGHT = 1;
+const FREE_PITCH = -0.35; // Look slightly down at the map
+
+// Camera for spectators (dead players and people who joined mid-match).
+// Follows one living player - left / right arrows (or Q / E) cycle between
+// them - or flies freely: C switches modes, W / S move, A / D turn and
+// Space / Shift go up and down.
+export class SpectatorControls {
+  constructor(camera) {
+    this.camera = camera;
+    this.isActive = false;
+    this.mode = "follow"; // "follow" or "free"
+    this.targetId = null;
+    this.pendingCycle = 0; // Cycle requested since the last update
+    this.yaw = 0;
+
+    this.keys = {
+      forward: false,
+      back: false,
+      left: false,
+      right: false,
+      up: false,
+      down: false,
+    };
+
+    document.addEventListener("keydown", this.onKeyDown.bind(this));
+    document.addEventListener("keyup", this.onKeyUp.bind(this));
+  }
+
+  start() {
+    this.isActive = true;
+    this.mode = "follow";
+    this.targetId = null;
+    this.pendingCycle = 0;
+  }
+
+  stop() {
+    this.isActive = false;
+    Object.keys(this.keys).forEach((key) => {
+      this.keys[key] = false;
+    });
+  }
+
+  onKeyDown(event) {
+    if (!this.isActive) return;
+
+    // Don't steal keys from text inputs (e.g. chat)
+    if (event.target && event.target.tagName === "INPUT") return;
+
+    const key = event.key.toLowerCase();
+    switch (key) {
+      case "arrowright":
+      case "e":
+        this.pendingCycle = 1;
+        break;
+      case "arrowleft":
+      case "q":
+        this.pendingCycle = -1;
+        break;
+      case "c":
+        this.toggleMode();
+        break;
+      default:
+        this.setMoveKey(key, true);
+    }
+  }
+
+  onKeyUp(event) {
+    if (!this.isActive) return;
+    this.setMoveKey(event.key.toLowerCase(), false);
+  }
+
+  setMoveKey(key, pressed) {
+    switch (key) {
+      case "w":
+        this.keys.forward = pressed;
+        break;
+      case "s":
+        this.keys.back = pressed;
+        break;
+      case "a":
+        this.keys.left = pressed;
+        break;
+      case "d":
+        this.keys.right = pressed;
+        break;
+      case " ":
+        this.keys.up = pressed;
+        break;
+      case "shift":
+        this.keys.down = pressed;
+        break;
+    }
+  }
+
+  // Switch between following a player and flying around freely
+  toggleMode() {
+    if (this.mode === "follow") {
+      // Carry on facing the way the camera already looks
+      const direction = new THREE.Vector3();
+      this.camera.getWorldDirection(direction);
+      this.yaw = Math.atan2(direction.x, direction.z);
+      this.mode = "free";
+    } else {
+      this.mode = "follow";
+    }
+  }
+
+  // Move the camera for this frame. targets are the players that can be
+  // followed ({ id, group, ... }). Returns the one being followed, if any.
+  update(deltaTime, targets) {
+    if (!this.isActive) return null;
+
+    let index = targets.findIndex((target) => target.id === this.targetId);
+
+    if (this.pendingCycle !== 0 && targets.length > 0) {
+      index =
+        index === -1
+          ? 0
+          : (index + this.pendingCycle + targets.length) % targets.length;
+      // Cycling from the free camera goes back to following
+      this.mode = "follow";
+    }
+    this.pendingCycle = 0;
+
+    // Whoever we were following died or left - pick someone else
+    if (index === -1 && targets.length > 0) {
+      index = 0;
+    }
+
+    const target = index === -1 ? null : targets[index];
+    this.targetId = target ? target.id : null;
+
+    if (this.mode === "follow" && target) {
+      this.updateFollow(target);
+      return target;
+    }
+
+    this.updateFree(deltaTime);
+    return this.mode === "follow" ? null : target;
+  }
+
+  // Sit behind the target, looking the way they face
+  updateFollow(target) {
+    const position = target.group.position;
+    const angle = target.group.rotation.y;
+
+    const cameraPosition = new THREE.Vector3(
+      position.x - Math.sin(angle) * FOLLOW_DISTANCE,
+      position.y + FOLLOW_HEIGHT,
+      position.z - Math.cos(angle) * FOLLOW_DISTANCE
+    );
+    this.camera.position.lerp(cameraPosition, FOLLOW_SMOOTHNESS);
+
+    const lookAtPosition = new THREE.Vector3(
+      position.x + Math.sin(angle) * FOLLOW_LOOK_AHEAD,
+      position.y + 1.0,
+      position.z + Math.cos(angle) * FOLLOW_LOOK_AHEAD
+    );
+    this.camera.lookAt(lookAtPosition);
+  }
+
+  updateFree(deltaTime) {
+    if (this.keys.left) this.yaw += FREE_TURN_SPEED * deltaTime;
+    if (this.keys.right) this.yaw -= FREE_TURN_SPEED * deltaTime;
+
+    const forward = new THREE.Vector3(
+      Math.sin(this.yaw),
+      0,
+      Math.cos(this.yaw)
+    );
+    const move = (this.keys.forward ? 1 : 0) - (this.keys.back ? 1 : 0);
+    const climb = (this.keys.up ? 1 : 0) - (this.keys.down ? 1 : 0);
+
+    this.camera.position.addScaledVector(
+      forward,
+      move * FREE_MOVE_SPEED * deltaTime
+    );
+    this.camera.position.y = Math.max(
+      FREE_MIN_HEIGHT,
+      this.camera.position.y + climb * FREE_CLIMB_SPEED * deltaTime
+    );
+
+    const lookAtPosition = this.camera.position.clone().add(forward);
+    lookAtPosition.y += Math.tan(FREE_PITCH);
+    this.camera.lookAt(lookAtPosition);
+  }
+}
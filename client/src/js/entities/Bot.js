@@ -1,2 +1,80 @@
-// This file contained a test human bot that was used for debugging
-// The functionality has been removed as it's no longer needed in production
+import { Player } from "./Player.js";
+
+// Bots walk a little slower than players
+const BOT_SPEED_FACTOR = 0.9;
+
+// Bots run for it at this fraction of their health...
+const FLEE_HEALTH_FRACTION = 0.3;
+
+// ...and go back in once they are this far from the gorilla
+const SAFE_DISTANCE = 12;
+
+// A computer-controlled human for practice matches. It is a regular Player
+// (same model, movement and attack) with a small brain on top: surround the
+// gorilla and hit it, and back off for a while when badly hurt. It follows
+// the same rules as the server's bots (server/game/BotController.js).
+export class Bot extends Player {
+  constructor(scene, soundManager, modelLoader, name) {
+    super(scene, soundManager, modelLoader);
+
+    this.name = name;
+    this.moveSpeed *= BOT_SPEED_FACTOR;
+    this.orbitAngle = Math.random() * Math.PI * 2; // Which side it attacks from
+    this.isFleeing = false;
+  }
+
+  // Decide where to go and whether to swing this frame
+  think(deltaTime, gorilla) {
+    if (this.isDead) return;
+
+    if (!gorilla || gorilla.isDead) {
+      this.move(0, 0, deltaTime);
+      return;
+    }
+
+    const gorillaPosition = gorilla.group.position;
+    const distance = this.group.position.distanceTo(gorillaPosition);
+
+    if (this.health <= this.maxHealth * FLEE_HEALTH_FRACTION) {
+      this.isFleeing = distance < SAFE_DISTANCE;
+    }
+
+    let targetX;
+    let targetZ;
+    if (this.isFleeing) {
+      // Straight away from the gorilla (the map edge stops us)
+      targetX = this.group.position.x * 2 - gorillaPosition.x;
+      targetZ = this.group.position.z * 2 - gorillaPosition.z;
+    } else {
+      // Surround the gorilla rather than all piling onto the same spot
+      const reach = this.attackRange * 0.7;
+      targetX = gorillaPosition.x + Math.sin(this.orbitAngle) * reach;
+      targetZ = gorillaPosition.z + Math.cos(this.orbitAngle) * reach;
+    }
+
+    const dx = targetX - this.group.position.x;
+    const dz = targetZ - this.group.position.z;
+    const length = Math.sqrt(dx * dx + dz * dz);
+
+    if (length > 0.05) {
+      this.move(dx / length, dz / length, deltaTime);
+      this.setRotation(Math.atan2(dx, dz));
+    } else {
+      this.move(0, 0, deltaTime);
+    }
+
+    // Face the gorilla and swing when in reach
+    if (!this.isFleeing && distance <= this.attackRange) {
+      this.setRotation(
+        Math.atan2(
+          gorillaPosition.x - this.group.position.x,
+          gorillaPosition.z - this.group.position.z
+        )
+      );
+
+      if (this.attackTimer <= 0) {
+        this.attack([gorilla]);
+      }
+    }
+  }
+}
@@ -393,7 +393,14 @@ export class Gorilla {
 
     // Deal damage to target
     if (target && typeof target.takeDamage === "function") {
+      const healthBefore = target.health;
       const killed = target.takeDamage(this.damage);
+
+      // Let whoever keeps score know (practice matches)
+      if (this.onHit) {
+        this.onHit(target, healthBefore - target.health, killed);
+      }
+
       if (killed) {
         this.currentTarget = null; // Clear target if killed
       }
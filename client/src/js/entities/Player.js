@@ -59,9 +59,11 @@ export class Player {
     this.mixer = null;
     this.animations = {};
 
-    // Load the 3D model
+    // Load the 3D model - modelReady settles once it (or whichever model
+    // the player switches to next) is in
+    this.modelReady = Promise.resolve();
     if (modelLoader) {
-      this.loadModel(modelLoader);
+      this.modelReady = this.loadModel(modelLoader);
     }
 
     // Set initial position
@@ -507,14 +509,18 @@ export class Player {
     }
   }
 
-  takeDamage(amount) {
+  // When authoritativeHealth is passed (from the server's playerDamaged event)
+  // the server has already checked invulnerability, so we just mirror its value
+  takeDamage(amount, authoritativeHealth = null) {
+    const fromServer = authoritativeHealth !== null;
+
     // Don't take damage if invulnerable or dead
-    if (this.isInvulnerable || this.isDead) {
+    if (this.isDead || (this.isInvulnerable && !fromServer)) {
       return false;
     }
 
     // Apply damage
-    this.health -= amount;
+    this.health = fromServer ? authoritativeHealth : this.health - amount;
 
     // Flash player model
     this.showDamageEffect();
@@ -581,6 +587,16 @@ export class Player {
     this.updateAnimation();
   }
 
+  // Come back to life where the server put us, briefly invulnerable
+  respawn(position, rotationY, invulnerableSeconds) {
+    this.reset();
+    this.group.position.set(position.x, position.y, position.z);
+    this.setRotation(rotationY);
+
+    this.isInvulnerable = true;
+    this.invulnerabilityTimer = invulnerableSeconds;
+  }
+
   showDamageEffect() {
     // Skip if no model
     if (!this.model) return;
@@ -785,6 +801,47 @@ export class Player {
     }
   }
 
+  // Method to turn a gorilla back into a regular human (e.g. after a match)
+  async makeHuman(modelLoader) {
+    if (!this.isGorilla) return;
+
+    console.log("Transforming gorilla back into human");
+
+    // Restore human properties
+    this.health = 100;
+    this.maxHealth = 100;
+    this.attackDamage = 1;
+    this.moveSpeed = 5;
+    this.jumpForce = 10;
+    this.isGorilla = false;
+
+    // Remove the gorilla model and its collider
+    if (this.model) {
+      this.group.remove(this.model);
+      this.model = null;
+    }
+    if (this.collider) {
+      this.group.remove(this.collider);
+      this.collider = null;
+    }
+    this.mixer = null;
+    this.animations = {};
+    this.currentAnimation = null;
+
+    try {
+      // loadModel picks the human model now that isGorilla is false
+      await this.loadModel(modelLoader);
+
+      // Reset animation state to update to idle
+      this.animationState = "";
+      this.updateAnimation();
+
+      console.log("Player successfully transformed back into human");
+    } catch (error) {
+      console.error("Failed to transform player back into human:", error);
+    }
+  }
+
   // Method to perform a melee attack
   attack(targets) {
     console.log(
@@ -818,8 +875,10 @@ export class Player {
     this.updateAnimation();
     console.log("Attack animation triggered");
 
-    // Check for targets in range
-    if (targets && targets.length > 0) {
+    // Check for targets in range - when connected the server resolves hits instead
+    const isOnline =
+      this.multiplayerManager && this.multiplayerManager.isConnected;
+    if (!isOnline && targets && targets.length > 0) {
       console.log("Checking", targets.length, "targets for hits");
       this.checkAttackHits(targets);
     }
@@ -840,10 +899,12 @@ export class Player {
     // Get attacker position
     const attackerPos = this.group.position.clone();
 
-    // Calculate attack direction based on player rotation
-    const attackDirection = new THREE.Vector3(0, 0, -1).applyAxisAngle(
-      new THREE.Vector3(0, 1, 0),
-      this.group.rotation.y
+    // Calculate attack direction based on player rotation (the same
+    // forward vector Controls moves the player along)
+    const attackDirection = new THREE.Vector3(
+      Math.sin(this.group.rotation.y),
+      0,
+      Math.cos(this.group.rotation.y)
     );
 
     // Check each potential target
@@ -868,21 +929,18 @@ export class Player {
           let damage = this.attackDamage;
 
           // Apply damage to target
-          target.takeDamage(damage);
+          const healthBefore = target.health;
+          const killed = target.takeDamage(damage);
+
+          // Let whoever keeps score know (practice matches)
+          if (this.onHit) {
+            this.onHit(target, healthBefore - target.health, killed);
+          }
         }
       }
     });
   }
 
-  // Handle being attacked by another player
-  onAttacked(attackerId, attackerIsGorilla) {
-    // Calculate damage based on attacker type
-    const damage = attackerIsGorilla ? 20 : 1; // Gorilla does 1/5 of human health, human does 1/100 of gorilla health
-
-    // Apply damage
-    this.takeDamage(damage);
-  }
-
   // Method to manually play an attack animation when no animation is found
   playDefaultAttackAnimation() {
     if (!this.model) return;
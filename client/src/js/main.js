@@ -1,16 +1,21 @@
 import * as THREE from "three";
 import { Controls } from "./controls/Controls.js";
+import { SpectatorControls } from "./controls/SpectatorControls.js";
 import { Player } from "./entities/Player.js";
 import { Gorilla } from "./entities/Gorilla.js";
 import { Environment } from "./entities/Environment.js";
 import { SoundManager } from "./utils/SoundManager.js";
 import { HealthBar } from "./ui/HealthBar.js";
+import { MatchHud } from "./ui/MatchHud.js";
+import { SpectatorHud } from "./ui/SpectatorHud.js";
 import { ModelLoader } from "./utils/ModelLoader.js";
 import { MultiplayerManager } from "./multiplayer/MultiplayerManager.js";
 import { LobbyManager } from "./ui/LobbyManager.js";
+import { ChatBox } from "./ui/ChatBox.js";
+import { PracticeMatch } from "./practice/PracticeMatch.js";
 
-// Show message in chat/notification area
-export function showMessage(message, color = "white", duration = 5000) {
+// The chat/notification area, created the first time it's needed
+export function getMessageContainer() {
   // Create message container if not exists
   let messageContainer = document.getElementById("message-container");
   if (!messageContainer) {
@@ -28,6 +33,12 @@ export function showMessage(message, color = "white", duration = 5000) {
     messageContainer.style.zIndex = "1000";
     document.body.appendChild(messageContainer);
   }
+  return messageContainer;
+}
+
+// Show message in chat/notification area
+export function showMessage(message, color = "white", duration = 5000) {
+  const messageContainer = getMessageContainer();
 
   // Create message element
   const messageElement = document.createElement("div");
@@ -130,6 +141,33 @@ class Game {
     // Create lobby manager
     this.lobbyManager = new LobbyManager();
 
+    // Lobby and in-game chat - keys go to the chat, not the player, while typing
+    this.chatBox = new ChatBox();
+    this.chatBox.onOpen(() => this.controls && this.controls.suspend());
+    this.chatBox.onClose(() => this.controls && this.controls.resume());
+    this.chatBox.onSend((message, channel) =>
+      this.multiplayer.sendChatMessage(message, channel)
+    );
+    this.lobbyManager.setChatBox(this.chatBox);
+
+    // Match countdown, timer and results
+    this.matchHud = new MatchHud();
+    this.matchHud.onCloseResults(() => {
+      if (this.practice.isActive) {
+        this.stopPractice();
+      } else {
+        this.lobbyManager.showLobbyScreen();
+      }
+    });
+
+    // Offline match against the computer (no server needed)
+    this.practice = new PracticeMatch(this);
+
+    // Watching a match after dying or joining late
+    this.isSpectating = false;
+    this.spectatorControls = new SpectatorControls(this.camera);
+    this.spectatorHud = new SpectatorHud();
+
     // Register callbacks for when a game is joined/created
     this.lobbyManager.onJoinGame((lobbyData) => {
       this.onGameJoined(lobbyData);
@@ -204,6 +242,17 @@ class Game {
       "#4CAF50",
       10000
     );
+
+    // After a page refresh, reconnect straight away so the server can give
+    // us our lobby slot (and game) back while the grace window is open
+    const usernameInput = document.getElementById("username-input");
+    if (
+      this.multiplayer.hasSavedSession() &&
+      usernameInput &&
+      usernameInput.value.trim()
+    ) {
+      this.handleConnect();
+    }
   }
 
   // Setup additional multiplayer event listeners
@@ -369,20 +418,37 @@ class Game {
 
     const deltaTime = this.clock.getDelta();
 
-    // Update entities
-    if (this.controls) this.controls.update(deltaTime);
+    // Update entities (spectators have no player to steer)
+    if (this.controls && !this.isSpectating) this.controls.update(deltaTime);
     if (this.player) this.player.update(deltaTime);
     // No more humanBot to update
 
     // No need to update gorilla and bots, they are controlled by human players now
 
+    // Update the practice match's AI and clock
+    if (this.practice) {
+      this.practice.update(deltaTime);
+    }
+
     // Update multiplayer (remote players)
     if (this.multiplayer) {
       this.multiplayer.update(deltaTime);
     }
 
-    // Update camera position to follow player from behind (over-the-shoulder view)
-    if (this.player && !this.player.isDead) {
+    // Spectators get their own camera
+    if (this.isSpectating) {
+      const targets = this.multiplayer
+        ? this.multiplayer.getSpectatorTargets()
+        : [];
+      const target = this.spectatorControls.update(deltaTime, targets);
+      this.spectatorHud.update(
+        target,
+        targets,
+        this.spectatorControls.mode,
+        this.camera
+      );
+    } else if (this.player && !this.player.isDead) {
+      // Update camera position to follow player from behind (over-the-shoulder view)
       // Camera parameters - adjusted for high over-the-shoulder view
       const distance = 4; // Distance behind player
       const height = this.player.isGorilla ? 4.0 : 4.0; // Maintain user's height settings
@@ -432,6 +498,12 @@ class Game {
   }
 
   async restart() {
+    // Practice matches just start another round
+    if (this.practice && this.practice.isActive) {
+      this.practice.restart();
+      return;
+    }
+
     // Reset player health
     if (this.player) {
       this.player.health = this.player.maxHealth;
@@ -444,13 +516,65 @@ class Game {
     this.gameTimer = 0;
 
     console.log("Game restarted - players maintain their roles");
+  }
 
-    // If in multiplayer mode, notify the server about restart
-    if (this.multiplayer && this.multiplayer.socket) {
-      this.multiplayer.socket.emit("playerReady", {
-        id: this.multiplayer.socket.id,
-      });
+  // Watch the match instead of playing in it
+  startSpectating() {
+    if (this.isSpectating) return;
+    this.isSpectating = true;
+
+    // Late joiners have no part in this match - keep their player out of it
+    if (this.player && !this.player.isDead) {
+      this.player.group.visible = false;
+    }
+
+    if (this.healthBar) {
+      this.healthBar.hideDeathScreen();
+    }
+
+    this.spectatorControls.start();
+    this.spectatorHud.show();
+    this.chatBox.setMode("spectating");
+  }
+
+  stopSpectating() {
+    if (!this.isSpectating) return;
+    this.isSpectating = false;
+
+    if (this.player) {
+      this.player.group.visible = true;
+    }
+
+    this.spectatorControls.stop();
+    this.spectatorHud.hide();
+    this.chatBox.setMode("playing");
+  }
+
+  // Put the local player back into the pre-match state after a round ends
+  async resetAfterMatch() {
+    this.stopSpectating();
+
+    if (this.player) {
+      // Whoever was the gorilla goes back to being a human
+      if (this.player.isGorilla) {
+        this.player.modelReady = this.player.makeHuman(this.modelLoader);
+        await this.player.modelReady;
+      }
+      this.player.reset();
+    }
+
+    if (this.healthBar) {
+      this.healthBar.maxHealth = 100;
+      this.healthBar.reset();
     }
+
+    // Keep the camera-facing direction in sync with the reset player
+    if (this.controls) {
+      this.controls.currentRotation = 0;
+    }
+
+    this.gameState = "playing";
+    this.gameTimer = 0;
   }
 
   // Create start menu overlay
@@ -500,6 +624,7 @@ class Game {
     const usernameInput = document.createElement("input");
     usernameInput.type = "text";
     usernameInput.id = "username-input";
+    usernameInput.maxLength = 24;
     usernameInput.placeholder = "Enter your username";
 
     // Try to get saved name
@@ -550,7 +675,60 @@ class Game {
     statusMessage.style.fontSize = "16px";
     statusMessage.style.minHeight = "20px";
 
+    // Practice offline against the computer
+    const practiceRow = document.createElement("div");
+    practiceRow.style.display = "flex";
+    practiceRow.style.justifyContent = "center";
+    practiceRow.style.gap = "10px";
+    practiceRow.style.marginTop = "15px";
+
+    const practiceRole = document.createElement("select");
+    practiceRole.id = "practice-role";
+    practiceRole.style.padding = "10px";
+    practiceRole.style.fontSize = "16px";
+    practiceRole.style.borderRadius = "5px";
+    practiceRole.style.border = "none";
+    [
+      { value: "human", label: "as a Human" },
+      { value: "gorilla", label: "as the Gorilla" },
+    ].forEach(({ value, label }) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      practiceRole.appendChild(option);
+    });
+
+    const practiceButton = document.createElement("button");
+    practiceButton.id = "practice-button";
+    practiceButton.textContent = "Practice";
+    practiceButton.style.backgroundColor = "#2196F3";
+    practiceButton.style.color = "white";
+    practiceButton.style.padding = "10px 20px";
+    practiceButton.style.fontSize = "16px";
+    practiceButton.style.border = "none";
+    practiceButton.style.borderRadius = "5px";
+    practiceButton.style.cursor = "pointer";
+
+    practiceRow.appendChild(practiceButton);
+    practiceRow.appendChild(practiceRole);
+
+    // Opened from an invite link (?lobby=CODE) - join that lobby after
+    // connecting
+    const inviteCode = new URLSearchParams(window.location.search).get("lobby");
+    this.inviteCode = inviteCode;
+    if (inviteCode) {
+      const inviteInfo = document.createElement("div");
+      inviteInfo.id = "invite-info";
+      inviteInfo.textContent = `You've been invited to lobby ${inviteCode.toUpperCase()}. Enter your name to join.`;
+      inviteInfo.style.marginBottom = "15px";
+      inviteInfo.style.color = "#4CAF50";
+      formContainer.appendChild(inviteInfo);
+
+      connectButton.textContent = "Join Lobby";
+    }
+
     formContainer.appendChild(connectButton);
+    formContainer.appendChild(practiceRow);
     formContainer.appendChild(statusMessage);
     startMenu.appendChild(formContainer);
 
@@ -616,6 +794,11 @@ class Game {
         .then((response) => response.json())
         .then((data) => {
           if (data && data.url) {
+            // Invite links point friends at the public address
+            if (this.lobbyManager) {
+              this.lobbyManager.publicUrl = data.url;
+            }
+
             publicUrlInfo.style.display = "block";
             publicUrlInfo.innerHTML = `
               <div style="font-weight: bold; margin-bottom: 10px; font-size: 18px;">🌐 Public Server Available!</div>
@@ -670,6 +853,10 @@ class Game {
       this.handleConnect();
     });
 
+    practiceButton.addEventListener("click", () => {
+      this.handlePractice();
+    });
+
     // Allow Enter key to submit
     usernameInput.addEventListener("keydown", (e) => {
       if (e.key === "Enter") {
@@ -707,6 +894,9 @@ class Game {
     this.playerName = username;
     if (this.lobbyManager) {
       this.lobbyManager.savePlayerName(username);
+      if (this.inviteCode) {
+        this.lobbyManager.setPendingInvite(this.inviteCode);
+      }
     }
 
     // Connect to multiplayer server
@@ -746,14 +936,46 @@ class Game {
     }
   }
 
+  // Handle practice button click - play offline against the computer
+  handlePractice() {
+    const username = document.getElementById("username-input").value.trim();
+    const statusMessage = document.getElementById("connection-status-message");
+    const role = document.getElementById("practice-role").value;
+
+    if (!this.player || !this.practice) {
+      statusMessage.textContent = "Game not fully loaded yet. Please wait.";
+      return;
+    }
+
+    this.playerName = username || "You";
+
+    const startMenu = document.getElementById("start-menu");
+    if (startMenu) {
+      startMenu.style.display = "none";
+    }
+
+    this.practice.start(role === "gorilla");
+  }
+
+  // Leave the practice match and go back to the start menu
+  async stopPractice() {
+    this.practice.stop();
+    await this.resetAfterMatch();
+
+    const startMenu = document.getElementById("start-menu");
+    if (startMenu) {
+      startMenu.style.display = "flex";
+    }
+  }
+
   // Clean up all resources
   cleanup() {
     // Stop all intervals
     this.cleanupIntervals();
 
-    // Disconnect from multiplayer if connected
+    // Disconnect from multiplayer if connected - without leaving the game,
+    // so a page refresh can resume our session
     if (this.multiplayer && this.multiplayer.socket) {
-      this.multiplayer.leaveGame();
       this.multiplayer.socket.disconnect();
     }
 
@@ -832,23 +1054,7 @@ class Game {
 
   // Create message container for multiplayer chat and notifications
   createMessageContainer() {
-    // Create message container if not exists
-    let messageContainer = document.getElementById("message-container");
-    if (!messageContainer) {
-      messageContainer = document.createElement("div");
-      messageContainer.id = "message-container";
-      messageContainer.style.position = "absolute";
-      messageContainer.style.bottom = "10px";
-      messageContainer.style.left = "10px";
-      messageContainer.style.width = "400px";
-      messageContainer.style.maxHeight = "200px";
-      messageContainer.style.overflow = "auto";
-      messageContainer.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
-      messageContainer.style.padding = "10px";
-      messageContainer.style.borderRadius = "5px";
-      messageContainer.style.zIndex = "1000";
-      document.body.appendChild(messageContainer);
-    }
+    getMessageContainer();
   }
 }
 
@@ -0,0 +1,203 @@
+// Client side of the compact binary protocol (see server/game/protocol.js for
+// the message layout - keep the two in sync)
+export const BINARY_PROTOCOL_VERSION = 1;
+
+// Short event names - the name is sent with every message
+export const BINARY_EVENTS = {
+  snapshot: "s",
+  input: "u",
+};
+
+const MESSAGE_TYPES = {
+  snapshot: 1,
+  input: 2,
+};
+
+// Positions are sent as centimetres in an int16
+const POSITION_SCALE = 100;
+
+const ENTITY_FLAGS = {
+  position: 1,
+  yaw: 2,
+  health: 4,
+  dead: 8,
+  seq: 16,
+};
+
+const SNAPSHOT_HEADER_BYTES = 22;
+const INPUT_BYTES = 18;
+
+// Decoded snapshots we keep as possible bases for the server's deltas
+const STATE_HISTORY = 64;
+
+function quantizePosition(value) {
+  const scaled = Math.round(value * POSITION_SCALE);
+  return Math.max(-32768, Math.min(32767, scaled));
+}
+
+function quantizeYaw(yaw) {
+  const turn = Math.PI * 2;
+  const normalized = ((yaw % turn) + turn) % turn;
+  return Math.round((normalized / turn) * 65536) & 0xffff;
+}
+
+function dequantizeYaw(value) {
+  return (value / 65536) * Math.PI * 2;
+}
+
+// Decodes delta compressed snapshots back into the same shape as the JSON
+// ones, and encodes our movement updates. Players are numbered by the server;
+// the index -> socket id mapping comes from playerJoined / existingPlayers.
+export class BinaryProtocol {
+  constructor() {
+    this.playerIds = new Map(); // index -> socket id
+    this.states = new Map(); // tick -> Map(index -> quantized state)
+    this.ackTick = 0; // Newest snapshot we have decoded
+  }
+
+  setPlayerIndex(index, id) {
+    if (!Number.isInteger(index)) return;
+    this.playerIds.set(index, id);
+  }
+
+  removePlayer(id) {
+    this.playerIds.forEach((playerId, index) => {
+      if (playerId === id) this.playerIds.delete(index);
+    });
+  }
+
+  // Forget all decoded state - the server starts again from a full snapshot
+  reset() {
+    this.states.clear();
+    this.ackTick = 0;
+  }
+
+  clearPlayers() {
+    this.playerIds.clear();
+  }
+
+  // Decode a binary snapshot into { tick, time, players }. Returns null if it
+  // is malformed or its base has already been dropped.
+  decodeSnapshot(data) {
+    const view = ArrayBuffer.isView(data)
+      ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+      : new DataView(data);
+    if (view.byteLength < SNAPSHOT_HEADER_BYTES) return null;
+    if (view.getUint8(0) !== BINARY_PROTOCOL_VERSION) return null;
+    if (view.getUint8(1) !== MESSAGE_TYPES.snapshot) return null;
+
+    const tick = view.getUint32(2, true);
+    const time = view.getFloat64(6, true);
+    const baseTick = view.getUint32(14, true);
+    const entityCount = view.getUint16(18, true);
+    const removedCount = view.getUint16(20, true);
+
+    let base = null;
+    if (baseTick !== 0) {
+      base = this.states.get(baseTick);
+      if (!base) return null;
+    }
+
+    // Start from the base and apply whatever changed
+    const states = new Map();
+    if (base) {
+      base.forEach((state, index) => {
+        states.set(index, { ...state, seq: undefined });
+      });
+    }
+
+    let offset = SNAPSHOT_HEADER_BYTES;
+    for (let i = 0; i < entityCount; i++) {
+      const index = view.getUint16(offset, true);
+      const flags = view.getUint8(offset + 2);
+      offset += 3;
+
+      const state = states.get(index) || {
+        x: 0,
+        y: 0,
+        z: 0,
+        yaw: 0,
+        health: 0,
+        isDead: false,
+      };
+
+      if (flags & ENTITY_FLAGS.position) {
+        state.x = view.getInt16(offset, true);
+        state.y = view.getInt16(offset + 2, true);
+        state.z = view.getInt16(offset + 4, true);
+        offset += 6;
+      }
+      if (flags & ENTITY_FLAGS.yaw) {
+        state.yaw = view.getUint16(offset, true);
+        offset += 2;
+      }
+      if (flags & ENTITY_FLAGS.health) {
+        state.health = view.getUint16(offset, true);
+        state.isDead = !!(flags & ENTITY_FLAGS.dead);
+        offset += 2;
+      }
+      if (flags & ENTITY_FLAGS.seq) {
+        state.seq = view.getUint32(offset, true);
+        offset += 4;
+      }
+
+      states.set(index, state);
+    }
+
+    for (let i = 0; i < removedCount; i++) {
+      states.delete(view.getUint16(offset, true));
+      offset += 2;
+    }
+
+    this.rememberState(tick, states);
+
+    const players = [];
+    states.forEach((state, index) => {
+      const id = this.playerIds.get(index);
+      if (!id) return;
+
+      players.push({
+        id,
+        position: {
+          x: state.x / POSITION_SCALE,
+          y: state.y / POSITION_SCALE,
+          z: state.z / POSITION_SCALE,
+        },
+        rotation: { y: dequantizeYaw(state.yaw) },
+        health: state.health,
+        isDead: state.isDead,
+        seq: state.seq,
+      });
+    });
+
+    return { tick, time, players };
+  }
+
+  // Keep a decoded snapshot and acknowledge it with our next input
+  rememberState(tick, states) {
+    this.states.set(tick, states);
+    if (tick > this.ackTick) this.ackTick = tick;
+
+    for (const storedTick of this.states.keys()) {
+      if (storedTick > this.ackTick - STATE_HISTORY) break;
+      this.states.delete(storedTick);
+    }
+  }
+
+  // Encode a movement update (position, rotation and input sequence)
+  encodeInput({ position, rotation, seq }) {
+    const buffer = new ArrayBuffer(INPUT_BYTES);
+    const view = new DataView(buffer);
+
+    view.setUint8(0, BINARY_PROTOCOL_VERSION);
+    view.setUint8(1, MESSAGE_TYPES.input);
+    view.setUint32(2, seq >>> 0, true);
+    view.setUint32(6, this.ackTick, true);
+    view.setInt16(10, quantizePosition(position.x), true);
+    view.setInt16(12, quantizePosition(position.y), true);
+    view.setInt16(14, quantizePosition(position.z), true);
+    view.setUint16(16, quantizeYaw(rotation.y), true);
+
+    return buffer;
+  }
+}
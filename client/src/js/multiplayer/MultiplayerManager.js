@@ -3,6 +3,12 @@ import * as THREE from "three";
 
 import { Player } from "../entities/Player.js";
 import { Gorilla } from "../entities/Gorilla.js";
+import { SnapshotBuffer } from "./SnapshotBuffer.js";
+import {
+  BinaryProtocol,
+  BINARY_PROTOCOL_VERSION,
+  BINARY_EVENTS,
+} from "./BinaryProtocol.js";
 
 // DEBUG HELPERS
 function debugLog(message, type = "info") {
@@ -55,6 +61,33 @@ function debugLog(message, type = "info") {
   }
 }
 
+// How far in the past remote players are drawn, so there is usually a
+// snapshot on either side to interpolate between (two server ticks)
+const INTERPOLATION_DELAY_MS = 100;
+
+// How quickly a remote player's interpolation delay follows a change of
+// interest tier (milliseconds of delay per second), so they don't jump
+const DELAY_BLEND_RATE = 200;
+
+// Remote players moving faster than this (units per second) play their walk animation
+const WALK_SPEED_THRESHOLD = 0.5;
+
+// Prediction / reconciliation for the local player
+const MAX_PENDING_INPUTS = 120; // Roughly two seconds of frames
+const RECONCILE_EPSILON = 0.01; // Prediction errors smaller than this are ignored
+const RECONCILE_SNAP_DISTANCE = 5; // Errors larger than this snap straight away
+const CORRECTION_RATE = 10; // How quickly smaller errors are blended out (per second)
+
+// Where the resumable session token is kept (survives a page refresh, not a new tab)
+const SESSION_TOKEN_KEY = "sessionToken";
+
+// How long the death screen stays up before we start spectating
+const SPECTATE_DELAY_MS = 3000;
+
+// Opt in to the binary snapshot protocol with ?protocol=binary
+const USE_BINARY_PROTOCOL =
+  new URLSearchParams(window.location.search).get("protocol") === "binary";
+
 // Load socket.io from CDN without integrity check
 function loadSocketIO() {
   return new Promise((resolve, reject) => {
@@ -168,6 +201,18 @@ function traceSocketEvents(socket) {
     "lobbyUpdated",
     "gameStarted",
     "lobbyError",
+    "playerDamaged",
+    "playerKilled",
+    "matchState",
+    "matchEnded",
+    "positionCorrection",
+    "sessionResumed",
+    "playerResumed",
+    "playerDisconnected",
+    "spectateStarted",
+    "playerRespawned",
+    "gorillaReplaced",
+    "protocolError",
   ];
   gameEvents.forEach((event) => {
     socket.on(event, (data) => {
@@ -196,8 +241,30 @@ export class MultiplayerManager {
     this.connectionAttempts = 0;
     this.maxConnectionAttempts = 5;
     this.inGame = false; // Track if player is currently in a game
+    this.isSpectating = false; // Watching the match rather than playing in it
     this.lobbyManager = null; // Reference to the lobby manager
     this.gorillaPlayerId = null; // Store the ID of the player who is the gorilla
+    this.lastSnapshotTick = 0; // Newest server tick we have applied
+    this.serverTimeOffset = null; // Local clock minus server clock (estimated)
+    this.interpolationDelay = INTERPOLATION_DELAY_MS;
+    this.farUpdateTicks = 1; // Far players are only sent every this many ticks
+    this.tickIntervalMs = 50; // Server tick length, from interestUpdate
+    this.inputSeq = 0; // Sequence number of the newest local input
+    this.pendingInputs = []; // Inputs the server hasn't acknowledged yet
+    this.predictionError = { x: 0, z: 0 }; // Correction still to blend in
+
+    // Snapshot encoding - JSON unless we asked for binary and the server agreed
+    this.useBinaryProtocol = USE_BINARY_PROTOCOL;
+    this.binaryProtocolActive = false;
+    this.binaryProtocol = new BinaryProtocol();
+
+    // Hot path traffic, so we can compare the two encodings
+    this.netStats = {
+      snapshots: 0,
+      snapshotBytes: 0,
+      inputs: 0,
+      inputBytes: 0,
+    };
 
     // Debug helpers
     this.debugEnabled = false;
@@ -301,6 +368,14 @@ export class MultiplayerManager {
     html += `<b>Your Name:</b> ${this.playerName}<br>`;
     html += `<b>Host:</b> ${this.isHost ? "Yes (You)" : "No"}<br>`;
     html += `<b>Connection Attempts:</b> ${this.connectionAttempts}/${this.maxConnectionAttempts}<br>`;
+    html += `<b>Protocol:</b> ${
+      this.binaryProtocolActive ? `binary v${BINARY_PROTOCOL_VERSION}` : "JSON"
+    }<br>`;
+    html += `<b>Traffic:</b> in ${this.netStats.snapshots} snapshots / ${(
+      this.netStats.snapshotBytes / 1024
+    ).toFixed(1)}KB, out ${this.netStats.inputs} updates / ${(
+      this.netStats.inputBytes / 1024
+    ).toFixed(1)}KB<br>`;
 
     // Show player position with accurate source
     const playerPos =
@@ -447,6 +522,8 @@ export class MultiplayerManager {
 
       try {
         const socket = ioInstance(url, {
+          // Sent on every (re)connect so the server can give us our old slot back
+          auth: (cb) => cb({ sessionToken: this.getSessionToken() }),
           transports: ["websocket", "polling"],
           reconnectionAttempts: 3,
           timeout: 10000,
@@ -472,6 +549,8 @@ export class MultiplayerManager {
             this.lobbyManager.setSocket(socket);
             // Instead of joining game directly, we'll show the lobby screen
             this.lobbyManager.showLobbyScreen();
+            // Came from an invite link - go straight into that lobby
+            this.lobbyManager.joinPendingInvite();
           } else {
             // Join the game directly if not using lobbies
             this.joinGame();
@@ -607,6 +686,7 @@ export class MultiplayerManager {
         position: playerPosition,
         rotation: playerRotation,
         isGorilla: this.isGorilla, // Add this information for other clients
+        protocol: this.getProtocolRequest(), // Older servers just ignore this
       });
     } catch (error) {
       debugLog(`Error sending join: ${error.message}`, "error");
@@ -617,6 +697,7 @@ export class MultiplayerManager {
         position: { x: 0, y: 0, z: 0 },
         rotation: { y: 0 },
         isGorilla: this.isGorilla,
+        protocol: this.getProtocolRequest(),
       });
     }
 
@@ -642,6 +723,18 @@ export class MultiplayerManager {
     // Emit leave game event
     this.socket.emit("leaveGame");
 
+    // Hide the match timer
+    if (this.gameRef && this.gameRef.matchHud) {
+      this.gameRef.matchHud.reset();
+    }
+
+    if (this.isSpectating) {
+      this.isSpectating = false;
+      if (this.gameRef) {
+        this.gameRef.stopSpectating();
+      }
+    }
+
     // Show lobby screen if lobby manager exists
     if (this.lobbyManager) {
       this.lobbyManager.showLobbyScreen();
@@ -681,27 +774,8 @@ export class MultiplayerManager {
       // Update debug overlay
       this.updateDebugOverlay();
 
-      // Set up game-specific event handlers
-      this.setupGameEvents();
-
-      // Start sending updates
-      this.startSendingUpdates();
-
-      // Join the game by sending player data
-      debugLog("[DEBUG] Sending join event with player data", "info");
-      const playerData = {
-        name: this.playerName,
-        position: {
-          x: this.localPlayer.group.position.x,
-          y: this.localPlayer.group.position.y,
-          z: this.localPlayer.group.position.z,
-        },
-        rotation: {
-          y: this.localPlayer.group.rotation.y,
-        },
-      };
-      debugLog(`[DEBUG] Player data: ${JSON.stringify(playerData)}`, "info");
-      this.socket.emit("join", playerData);
+      // Our lobby slot and game state come back through sessionResumed -
+      // the server matches us up using the session token
     });
 
     // Handle connection acknowledgment
@@ -710,6 +784,18 @@ export class MultiplayerManager {
         `[DEBUG] Connection acknowledged by server: ${data.message}, ID: ${data.id}`,
         "success"
       );
+
+      this.saveSessionToken(data.sessionToken);
+
+      // The grace window ran out while we were away - our old slot is gone
+      if (!data.resumed && (this.inGame || this.lobbyManager?.currentLobby)) {
+        this.handleSessionLost();
+      }
+    });
+
+    // Our old lobby slot (and game state) was restored after a reconnect
+    this.socket.on("sessionResumed", (data) => {
+      this.handleSessionResumed(data);
     });
 
     // Handle disconnect
@@ -732,8 +818,8 @@ export class MultiplayerManager {
       this.clearRemotePlayers();
     });
 
-    // Handle reconnect
-    this.socket.on("reconnect", (attemptNumber) => {
+    // Handle reconnect (reported by the manager, not the socket, in Socket.IO v4)
+    this.socket.io.on("reconnect", (attemptNumber) => {
       debugLog(
         `[DEBUG] Reconnected to server after ${attemptNumber} attempts`,
         "success"
@@ -743,21 +829,6 @@ export class MultiplayerManager {
       // Update state
       this.isConnected = true;
       this.updateDebugOverlay();
-
-      // Rejoin the game
-      if (this.localPlayer) {
-        this.socket.emit("join", {
-          name: this.playerName,
-          position: {
-            x: this.localPlayer.group.position.x,
-            y: this.localPlayer.group.position.y,
-            z: this.localPlayer.group.position.z,
-          },
-          rotation: {
-            y: this.localPlayer.group.rotation.y,
-          },
-        });
-      }
     });
 
     // Handle connection error
@@ -780,8 +851,8 @@ export class MultiplayerManager {
     // Log all events for debugging
     this.socket.onAny((event, ...args) => {
       debugLog(`[DEBUG] Received event "${event}"`, "info");
-      if (event !== "playerMoved") {
-        // Don't log movement events as they're too frequent
+      if (event !== "snapshot" && event !== BINARY_EVENTS.snapshot) {
+        // Don't log snapshots as they're too frequent
         console.log(`[Socket Event] ${event}:`, args);
       }
     });
@@ -827,15 +898,31 @@ export class MultiplayerManager {
       this.addRemotePlayer(playerData);
     });
 
-    // Player moved
-    this.socket.on("playerMoved", (data) => {
-      // Update the player's position and rotation
-      this.updateRemotePlayer(data);
+    // World state from the server's simulation tick
+    this.socket.on("snapshot", (snapshot) => {
+      this.countTraffic("snapshot", JSON.stringify(snapshot).length);
+      this.handleSnapshot(snapshot);
+    });
+
+    // Same thing, binary encoded (once we've negotiated it)
+    this.socket.on(BINARY_EVENTS.snapshot, (data) => {
+      this.handleBinarySnapshot(data);
+    });
+
+    // The server's answer to the protocol we asked for in join
+    this.socket.on("protocolSelected", (data) => {
+      this.handleProtocolSelected(data);
+    });
+
+    // Players coming into or dropping out of our area of interest
+    this.socket.on("interestUpdate", (data) => {
+      this.handleInterestUpdate(data);
     });
 
     // Player left
     this.socket.on("playerLeft", (playerId) => {
       debugLog(`Player left: ${playerId}`);
+      this.binaryProtocol.removePlayer(playerId);
       this.removeRemotePlayer(playerId);
     });
 
@@ -851,6 +938,58 @@ export class MultiplayerManager {
       this.handleRemotePlayerAttack(attackData);
     });
 
+    // Authoritative damage and deaths resolved by the server
+    this.socket.on("playerDamaged", (damageData) => {
+      this.handlePlayerDamaged(damageData);
+    });
+
+    this.socket.on("playerKilled", (killData) => {
+      this.handlePlayerKilled(killData);
+    });
+
+    this.socket.on("playerRespawned", (data) => {
+      this.handlePlayerRespawned(data);
+    });
+
+    // Another player reconnected with a new socket id
+    this.socket.on("playerResumed", (data) => {
+      this.handlePlayerResumed(data);
+    });
+
+    // Another player dropped - they have a grace window to come back
+    this.socket.on("playerDisconnected", (data) => {
+      if (window.showMessage) {
+        window.showMessage(
+          `${data.name} lost connection. Waiting for them to reconnect...`,
+          "orange"
+        );
+      }
+    });
+
+    // The server rejected one of our moves
+    this.socket.on("positionCorrection", (data) => {
+      this.handlePositionCorrection(data);
+    });
+
+    // Match lifecycle
+    this.socket.on("matchState", (data) => {
+      this.handleMatchState(data);
+    });
+
+    this.socket.on("matchEnded", (result) => {
+      this.handleMatchEnded(result);
+    });
+
+    // We joined a lobby whose match was already running
+    this.socket.on("spectateStarted", (data) => {
+      this.handleSpectateStarted(data);
+    });
+
+    // The gorilla left and someone (or the AI) took over
+    this.socket.on("gorillaReplaced", (data) => {
+      this.handleGorillaReplaced(data);
+    });
+
     // Host assignment
     this.socket.on("hostAssigned", (data) => {
       this.isHost = data.isHost;
@@ -882,8 +1021,10 @@ export class MultiplayerManager {
 
     // Chat messages
     this.socket.on("chatMessage", (messageData) => {
-      // Display message in the UI
-      if (window.showMessage) {
+      // Chat keeps the line (and its channel) for scrolling back
+      if (this.gameRef && this.gameRef.chatBox) {
+        this.gameRef.chatBox.addMessage(messageData);
+      } else if (window.showMessage) {
         // Use sender's name if not from the system
         const senderPrefix = messageData.sender
           ? `${messageData.sender}: `
@@ -894,6 +1035,15 @@ export class MultiplayerManager {
         );
       }
     });
+
+    // The server dropped something we sent for not matching its schema -
+    // usually a client/server version mismatch
+    this.socket.on("protocolError", (data) => {
+      debugLog(`Server rejected "${data.event}": ${data.message}`, "error");
+      if (window.showMessage) {
+        window.showMessage(`Server rejected a request: ${data.message}`, "red");
+      }
+    });
   }
 
   // Clear all remote players
@@ -912,6 +1062,9 @@ export class MultiplayerManager {
 
   // Add a player who joined the game
   async addRemotePlayer(playerData) {
+    // Binary snapshots refer to players by index
+    this.binaryProtocol.setPlayerIndex(playerData.index, playerData.id);
+
     if (this.remotePlayersMap.has(playerData.id)) {
       this.debug(`Player already exists: ${playerData.id}`);
 
@@ -996,6 +1149,10 @@ export class MultiplayerManager {
       isGorilla: playerData.isGorilla || false,
       name: playerData.name || "Player",
       isPlaceholder: true,
+      interestTier: "near", // Until the server says otherwise
+      health: playerData.health,
+      maxHealth: playerData.maxHealth,
+      isDead: !!playerData.isDead,
     });
 
     console.log(
@@ -1129,9 +1286,10 @@ export class MultiplayerManager {
       // CRITICAL FIX: Use a distinct, bright color for remote players
       this.colorRemotePlayer(remotePlayer, playerData.id);
 
-      // Update map entry with the new player, retaining the original data
+      // Update map entry with the new player, retaining the latest data
+      // (including the snapshot buffer filled while the model was loading)
       this.remotePlayersMap.set(playerData.id, {
-        ...currentData,
+        ...this.remotePlayersMap.get(playerData.id),
         id: playerData.id,
         player: remotePlayer,
         nameLabel: newNameLabel,
@@ -1173,46 +1331,336 @@ export class MultiplayerManager {
     }
   }
 
-  // Update remote player position and rotation
-  updateRemotePlayer(data) {
+  // Buffer a remote player's position and rotation from a snapshot
+  updateRemotePlayer(data, time, tick) {
     const remotePlayerData = this.remotePlayersMap.get(data.id);
     if (!remotePlayerData) {
       this.debug(`Received update for unknown player: ${data.id}`);
       return;
     }
 
-    const remotePlayer = remotePlayerData.player;
-    const newPosition = new THREE.Vector3(
-      data.position.x,
-      data.position.y,
-      data.position.z
-    );
+    // Kept for the spectator HUD
+    if (typeof data.health === "number") {
+      remotePlayerData.health = data.health;
+      remotePlayerData.isDead = !!data.isDead;
+    }
+
+    // Far players only get fresh state on far update ticks - binary snapshots
+    // still carry their last state in between, which isn't a new sample
+    if (
+      remotePlayerData.interestTier === "far" &&
+      tick % this.farUpdateTicks !== 0 &&
+      remotePlayerData.buffer &&
+      remotePlayerData.buffer.samples.length > 0
+    ) {
+      return;
+    }
 
     // Log position updates with exact coordinates
     this.debug(
-      `Updating player ${data.id} position to X:${newPosition.x.toFixed(
+      `Buffering player ${data.id} position X:${data.position.x.toFixed(
         4
-      )}, Y:${newPosition.y.toFixed(4)}, Z:${newPosition.z.toFixed(4)}`
+      )}, Y:${data.position.y.toFixed(4)}, Z:${data.position.z.toFixed(4)}`
     );
 
-    // Update position
-    remotePlayer.group.position.copy(newPosition);
-
-    // Update rotation
-    remotePlayer.group.rotation.y = data.rotation.y;
-
-    // Mark as moving to play animation if not a placeholder
-    if (!remotePlayerData.isPlaceholder) {
-      remotePlayer.isMoving = true;
+    // Positions are applied from the buffer each frame in interpolateRemotePlayers
+    if (!remotePlayerData.buffer) {
+      remotePlayerData.buffer = new SnapshotBuffer();
     }
+    remotePlayerData.buffer.push(time, data.position, data.rotation.y);
 
     // Update last update time
     remotePlayerData.lastUpdate = Date.now();
+  }
 
-    // Update debug overlay occasionally (not on every update to avoid performance issues)
-    if (Math.random() < 0.1) {
-      this.updateDebugOverlay();
+  // Apply a server snapshot - ticks only ever move forward, so anything
+  // older than what we already applied arrived out of order and is dropped
+  handleSnapshot(snapshot) {
+    if (snapshot.tick <= this.lastSnapshotTick) {
+      this.debug(
+        `Dropping stale snapshot ${snapshot.tick} (have ${this.lastSnapshotTick})`
+      );
+      return;
+    }
+    this.lastSnapshotTick = snapshot.tick;
+    this.updateServerClock(snapshot.time);
+
+    snapshot.players.forEach((playerState) => {
+      // Our own player is predicted locally and checked against the server
+      if (playerState.id === this.socket.id) {
+        this.reconcileLocalPlayer(playerState);
+        return;
+      }
+
+      this.updateRemotePlayer(playerState, snapshot.time, snapshot.tick);
+    });
+  }
+
+  // Decode a binary snapshot and apply it like a JSON one
+  handleBinarySnapshot(data) {
+    this.countTraffic("snapshot", data.byteLength);
+
+    const snapshot = this.binaryProtocol.decodeSnapshot(data);
+    if (!snapshot) {
+      // The server will send a full snapshot once it sees we're behind
+      this.debug("Could not decode binary snapshot - waiting for a full one");
+      return;
     }
+
+    this.handleSnapshot(snapshot);
+  }
+
+  // What to ask for in join - null keeps us on JSON
+  getProtocolRequest() {
+    return this.useBinaryProtocol ? { binary: BINARY_PROTOCOL_VERSION } : null;
+  }
+
+  handleProtocolSelected(data) {
+    this.binaryProtocol.reset();
+    this.binaryProtocolActive = data.binary;
+
+    if (data.binary) {
+      this.binaryProtocol.setPlayerIndex(data.index, this.socket.id);
+      debugLog(`Using binary protocol v${data.version}`, "success");
+    } else if (this.useBinaryProtocol) {
+      debugLog(
+        `Server speaks binary protocol v${data.version}, we speak v${BINARY_PROTOCOL_VERSION} - using JSON`,
+        "warning"
+      );
+    }
+
+    this.updateDebugOverlay();
+  }
+
+  // Add a message to the byte counters
+  countTraffic(type, bytes) {
+    if (type === "snapshot") {
+      this.netStats.snapshots++;
+      this.netStats.snapshotBytes += bytes;
+    } else {
+      this.netStats.inputs++;
+      this.netStats.inputBytes += bytes;
+    }
+  }
+
+  // The server changed how often we hear about some players, or stopped
+  // sending them because they're out of range
+  handleInterestUpdate(data) {
+    this.farUpdateTicks = data.farUpdateTicks || 1;
+    this.tickIntervalMs = data.tickIntervalMs || this.tickIntervalMs;
+
+    Object.entries(data.players || {}).forEach(([id, tier]) => {
+      this.setRemotePlayerInterest(id, tier);
+    });
+    (data.left || []).forEach((id) => {
+      this.setRemotePlayerInterest(id, null);
+    });
+  }
+
+  // Show, hide or slow down a remote player. tier is "near", "far" or null
+  // (out of range - hidden until they come back).
+  setRemotePlayerInterest(playerId, tier) {
+    const remotePlayerData = this.remotePlayersMap.get(playerId);
+    if (!remotePlayerData) return;
+
+    const wasRelevant = remotePlayerData.interestTier !== null;
+    const isRelevant = tier !== null;
+
+    // Start from fresh samples either way, rather than sliding across the
+    // map from where they were last seen
+    if (wasRelevant !== isRelevant && remotePlayerData.buffer) {
+      remotePlayerData.buffer.clear();
+    }
+
+    remotePlayerData.interestTier = tier;
+
+    // Far players arrive less often, so draw them further in the past to
+    // keep a sample either side of the render time
+    remotePlayerData.targetExtraDelay =
+      tier === "far" ? this.farUpdateTicks * this.tickIntervalMs : 0;
+
+    // Nothing to blend from when they (re)appear
+    if (!wasRelevant) {
+      remotePlayerData.extraDelay = remotePlayerData.targetExtraDelay;
+    }
+
+    this.debug(`Player ${playerId} interest: ${tier || "out of range"}`);
+  }
+
+  // Remember a frame of local movement input for reconciliation
+  recordInput(moveX, moveZ, deltaTime) {
+    const player = this.localPlayer;
+    if (!this.inGame || !player || player.isDead) return;
+
+    // Standing still doesn't move us, so there is nothing to replay
+    if (moveX === 0 && moveZ === 0) return;
+
+    this.inputSeq++;
+    this.pendingInputs.push({
+      seq: this.inputSeq,
+      moveX,
+      moveZ,
+      deltaTime,
+      moveSpeed: player.moveSpeed,
+    });
+
+    if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+      this.pendingInputs.shift();
+    }
+  }
+
+  // Check our predicted position against the server's. Inputs the server has
+  // applied are dropped, the rest are replayed on top of its position, and any
+  // difference is blended out over a few frames instead of snapping.
+  reconcileLocalPlayer(serverState) {
+    const player = this.localPlayer;
+    if (!player || !player.group || typeof serverState.seq !== "number") {
+      return;
+    }
+
+    this.pendingInputs = this.pendingInputs.filter(
+      (input) => input.seq > serverState.seq
+    );
+
+    const boundary = player.mapBoundary;
+    let x = serverState.position.x;
+    let z = serverState.position.z;
+
+    this.pendingInputs.forEach((input) => {
+      x += input.moveX * input.moveSpeed * input.deltaTime;
+      z += input.moveZ * input.moveSpeed * input.deltaTime;
+      x = Math.max(-boundary, Math.min(boundary, x));
+      z = Math.max(-boundary, Math.min(boundary, z));
+    });
+
+    const errorX = x - player.group.position.x;
+    const errorZ = z - player.group.position.z;
+    const error = Math.sqrt(errorX * errorX + errorZ * errorZ);
+
+    if (error < RECONCILE_EPSILON) {
+      this.predictionError = { x: 0, z: 0 };
+    } else if (error > RECONCILE_SNAP_DISTANCE) {
+      this.debug(`Prediction off by ${error.toFixed(2)} - snapping`);
+      player.group.position.x = x;
+      player.group.position.z = z;
+      this.predictionError = { x: 0, z: 0 };
+    } else {
+      this.predictionError = { x: errorX, z: errorZ };
+    }
+  }
+
+  // Blend part of the outstanding prediction error into the local player
+  applyPredictionCorrection(deltaTime) {
+    const player = this.localPlayer;
+    const error = this.predictionError;
+    if (!player || !player.group || (error.x === 0 && error.z === 0)) return;
+
+    const amount = 1 - Math.exp(-CORRECTION_RATE * deltaTime);
+    const stepX = error.x * amount;
+    const stepZ = error.z * amount;
+
+    player.group.position.x += stepX;
+    player.group.position.z += stepZ;
+    error.x -= stepX;
+    error.z -= stepZ;
+
+    if (Math.abs(error.x) < RECONCILE_EPSILON) error.x = 0;
+    if (Math.abs(error.z) < RECONCILE_EPSILON) error.z = 0;
+  }
+
+  // Forget all predicted inputs (e.g. when the server put us somewhere new)
+  clearPrediction() {
+    this.pendingInputs = [];
+    this.predictionError = { x: 0, z: 0 };
+  }
+
+  // Track the offset between our clock and the server's. The smallest offset
+  // seen belongs to the least delayed packet, so it keeps jitter out of the
+  // estimate - it creeps back up slowly in case the clocks drift apart.
+  updateServerClock(serverTime) {
+    const offset = Date.now() - serverTime;
+
+    if (this.serverTimeOffset === null || offset < this.serverTimeOffset) {
+      this.serverTimeOffset = offset;
+    } else {
+      this.serverTimeOffset += (offset - this.serverTimeOffset) * 0.01;
+    }
+  }
+
+  // Our best guess at the server's clock right now
+  getServerTime() {
+    return Date.now() - (this.serverTimeOffset || 0);
+  }
+
+  // Change how far in the past remote players are drawn (milliseconds)
+  setInterpolationDelay(delayMs) {
+    this.interpolationDelay = Math.max(0, delayMs);
+  }
+
+  // Move every remote player along its snapshot buffer and keep its
+  // animations in step with how fast it is really moving
+  interpolateRemotePlayers(deltaTime) {
+    if (this.remotePlayersMap.size === 0) return;
+
+    const serverTime = this.getServerTime();
+
+    this.remotePlayersMap.forEach((remotePlayerData) => {
+      const remotePlayer = remotePlayerData.player;
+      if (!remotePlayer || !remotePlayer.group) return;
+
+      // Players outside our area of interest aren't being sent to us
+      const isRelevant = remotePlayerData.interestTier !== null;
+      remotePlayer.group.visible = isRelevant;
+      if (!isRelevant) return;
+
+      const delay = this.getRemoteInterpolationDelay(
+        remotePlayerData,
+        deltaTime
+      );
+      const state = remotePlayerData.buffer
+        ? remotePlayerData.buffer.sample(serverTime - delay)
+        : null;
+
+      if (state) {
+        remotePlayer.group.position.set(
+          state.position.x,
+          state.position.y,
+          state.position.z
+        );
+        remotePlayer.group.rotation.y = state.yaw;
+
+        if (!remotePlayerData.isPlaceholder) {
+          const isMoving = state.speed > WALK_SPEED_THRESHOLD;
+          if (isMoving !== remotePlayer.isMoving) {
+            remotePlayer.isMoving = isMoving;
+            remotePlayer.updateAnimation();
+          }
+        }
+      }
+
+      // Advance animations and attack timers
+      if (
+        !remotePlayerData.isPlaceholder &&
+        typeof remotePlayer.update === "function"
+      ) {
+        remotePlayer.update(deltaTime);
+      }
+    });
+  }
+
+  // A remote player's interpolation delay - the extra delay for far players
+  // is eased in and out as they change tier
+  getRemoteInterpolationDelay(remotePlayerData, deltaTime) {
+    const target = remotePlayerData.targetExtraDelay || 0;
+    const current = remotePlayerData.extraDelay || 0;
+
+    const step = DELAY_BLEND_RATE * deltaTime;
+    remotePlayerData.extraDelay =
+      Math.abs(target - current) <= step
+        ? target
+        : current + Math.sign(target - current) * step;
+
+    return this.interpolationDelay + remotePlayerData.extraDelay;
   }
 
   // Remove a player who left the game
@@ -1249,13 +1697,18 @@ export class MultiplayerManager {
           y: this.localPlayer.group.rotation.y,
         };
 
-        // Track if position has changed since last update
+        // Track if position (or our newest input) has changed since last update.
+        // Binary clients also send to acknowledge new snapshots, which keeps
+        // the server's deltas small.
         const hasChanged =
           !this.lastSentPosition ||
           this.lastSentPosition.x !== position.x ||
           this.lastSentPosition.y !== position.y ||
           this.lastSentPosition.z !== position.z ||
-          this.lastSentRotation?.y !== rotation.y;
+          this.lastSentRotation?.y !== rotation.y ||
+          this.lastSentSeq !== this.inputSeq ||
+          (this.binaryProtocolActive &&
+            this.lastSentAckTick !== this.binaryProtocol.ackTick);
 
         // Only send update if position/rotation changed
         if (hasChanged) {
@@ -1266,15 +1719,25 @@ export class MultiplayerManager {
               z: position.z,
             },
             rotation: rotation,
+            seq: this.inputSeq, // Newest input this position includes
           };
 
           // Send update to server
           try {
-            this.socket.emit("playerUpdate", updateData);
+            if (this.binaryProtocolActive) {
+              const buffer = this.binaryProtocol.encodeInput(updateData);
+              this.socket.emit(BINARY_EVENTS.input, buffer);
+              this.countTraffic("input", buffer.byteLength);
+              this.lastSentAckTick = this.binaryProtocol.ackTick;
+            } else {
+              this.socket.emit("playerUpdate", updateData);
+              this.countTraffic("input", JSON.stringify(updateData).length);
+            }
 
             // Store last sent position for comparison
             this.lastSentPosition = { ...updateData.position };
             this.lastSentRotation = { ...updateData.rotation };
+            this.lastSentSeq = updateData.seq;
 
             // Log updates occasionally (1% of updates)
             if (Math.random() < 0.01) {
@@ -1310,6 +1773,12 @@ export class MultiplayerManager {
 
   // Called by main game loop to handle multiplayer logic
   update(deltaTime) {
+    // Smooth out any difference between our prediction and the server
+    this.applyPredictionCorrection(deltaTime);
+
+    // Draw remote players from their snapshot buffers
+    this.interpolateRemotePlayers(deltaTime);
+
     // Update the debug overlay periodically
     this.debugUpdateTimer = (this.debugUpdateTimer || 0) + deltaTime;
     if (this.debugUpdateTimer > 1) {
@@ -1524,6 +1993,14 @@ export class MultiplayerManager {
       // We're now in a game
       this.inGame = true;
 
+      // A new room counts ticks from zero
+      this.lastSnapshotTick = 0;
+
+      // Clear the previous round's results, if they are still up
+      if (this.gameRef && this.gameRef.matchHud) {
+        this.gameRef.matchHud.reset();
+      }
+
       // Check if player roles were assigned
       if (gameData.roles && gameData.gorilla) {
         // Store the gorilla player ID globally
@@ -1554,7 +2031,10 @@ export class MultiplayerManager {
 
             // Set the local player as gorilla if the game reference exists
             if (this.gameRef && this.gameRef.player) {
-              this.gameRef.player.makeGorilla(this.scene, this.modelLoader);
+              this.gameRef.player.modelReady = this.gameRef.player.makeGorilla(
+                this.scene,
+                this.modelLoader
+              );
             }
           } else {
             // I am a human
@@ -1563,12 +2043,25 @@ export class MultiplayerManager {
             // Show message to the player
             if (window.showMessage) {
               window.showMessage(
-                `${gameData.gorilla.name} is the GORILLA! Run for your life!`,
+                gameData.pve
+                  ? "The gorilla is AI-controlled - team up and take it down!"
+                  : `${gameData.gorilla.name} is the GORILLA! Run for your life!`,
                 "yellow",
                 10000
               );
             }
           }
+
+          // The lobby's settings can scale our health
+          const player = this.gameRef && this.gameRef.player;
+          if (player && myRole.maxHealth) {
+            player.maxHealth = myRole.maxHealth;
+            player.health = myRole.maxHealth;
+            if (this.gameRef.healthBar) {
+              this.gameRef.healthBar.maxHealth = myRole.maxHealth;
+              this.gameRef.healthBar.reset();
+            }
+          }
         }
 
         // Announce the gorilla to all players
@@ -1584,11 +2077,29 @@ export class MultiplayerManager {
         this.updateRemotePlayersWithGorillaRole();
       }
 
-      // Join the game
-      this.joinGame();
+      // Join the game once our model has loaded - the server holds the
+      // countdown until everyone has joined
+      this.joinWhenLoaded();
     });
   }
 
+  // Join the game after the local player's model has finished loading
+  async joinWhenLoaded() {
+    const player = this.gameRef && this.gameRef.player;
+
+    try {
+      await (player && player.modelReady);
+    } catch (error) {
+      // Join anyway - the player still works without their model
+      debugLog(`Error loading player model: ${error.message}`, "error");
+    }
+
+    // We may have left while loading
+    if (this.inGame) {
+      this.joinGame();
+    }
+  }
+
   // Update remote players with gorilla role
   updateRemotePlayersWithGorillaRole() {
     if (!this.gorillaPlayerId) return;
@@ -1735,6 +2246,13 @@ export class MultiplayerManager {
     return targets;
   }
 
+  // Send a chat message to one of the lobby's chat channels
+  sendChatMessage(message, channel = "lobby") {
+    if (!this.socket || !this.socket.connected) return;
+
+    this.socket.emit("chatMessage", { message, channel });
+  }
+
   // Send attack event to server
   sendAttackEvent() {
     if (!this.socket || !this.socket.connected) return;
@@ -1752,20 +2270,21 @@ export class MultiplayerManager {
     }
   }
 
-  // Handle a remote player's attack
+  // Handle a remote player's attack (animation and sound only - the server resolves hits)
   handleRemotePlayerAttack(data) {
     this.debug(
       `Received attack from player ${data.id}, isGorilla: ${data.isGorilla}`
     );
 
-    // If this is a network-controlled player attacking
     const remotePlayerData = this.remotePlayersMap.get(data.id);
     if (remotePlayerData && remotePlayerData.player) {
       // Trigger attack animation
       remotePlayerData.player.isAttacking = true;
       remotePlayerData.player.attackTimer =
         remotePlayerData.player.attackDuration || 0.5;
-      remotePlayerData.player.updateAnimation();
+      if (remotePlayerData.player.updateAnimation) {
+        remotePlayerData.player.updateAnimation();
+      }
 
       // Play attack sound
       if (this.soundManager) {
@@ -1773,61 +2292,491 @@ export class MultiplayerManager {
         this.soundManager.play(soundEffect);
       }
     }
+  }
 
-    // Check if our local player was hit (simple distance check)
-    if (
-      this.localPlayer &&
-      !this.localPlayer.isDead &&
-      !this.localPlayer.isInvulnerable
-    ) {
-      // Get the attacker's position
-      let attackerPosition = null;
-      if (remotePlayerData && remotePlayerData.player) {
-        attackerPosition = remotePlayerData.player.group.position;
+  // Find the Player instance for an id (local or remote)
+  getPlayerById(playerId) {
+    if (this.socket && playerId === this.socket.id) {
+      return this.localPlayer;
+    }
+
+    const remotePlayerData = this.remotePlayersMap.get(playerId);
+    return remotePlayerData ? remotePlayerData.player : null;
+  }
+
+  // Apply damage the server decided a player has taken
+  handlePlayerDamaged(data) {
+    const remotePlayerData = this.remotePlayersMap.get(data.id);
+    if (remotePlayerData) {
+      remotePlayerData.health = data.health;
+      remotePlayerData.maxHealth = data.maxHealth;
+    }
+
+    const target = this.getPlayerById(data.id);
+
+    // Placeholders don't have health or damage effects yet
+    if (!target || typeof target.takeDamage !== "function") return;
+
+    this.debug(
+      `Player ${data.id} took ${data.damage} damage from ${data.attackerId} (${data.health}/${data.maxHealth})`
+    );
+
+    target.maxHealth = data.maxHealth;
+
+    // The local health bar needs the right scale for gorilla health
+    if (target === this.localPlayer && this.gameRef && this.gameRef.healthBar) {
+      this.gameRef.healthBar.maxHealth = data.maxHealth;
+    }
+
+    // Passing the server's health makes takeDamage mirror it exactly
+    target.takeDamage(data.damage, data.health);
+  }
+
+  // Handle a player the server reported as killed
+  handlePlayerKilled(data) {
+    const remotePlayerData = this.remotePlayersMap.get(data.id);
+    if (remotePlayerData) {
+      remotePlayerData.health = 0;
+      remotePlayerData.isDead = true;
+    }
+
+    const target = this.getPlayerById(data.id);
+
+    if (target && typeof target.die === "function") {
+      target.die();
+    }
+
+    if (target === this.localPlayer) {
+      if (this.gameRef && this.gameRef.healthBar) {
+        this.gameRef.healthBar.setHealth(0);
+      }
+
+      if (window.showMessage) {
+        window.showMessage(`You were killed by ${data.killerName}!`, "red");
       }
 
-      // If we have attacker position, check if we're in range
-      if (attackerPosition) {
-        const distance =
-          this.localPlayer.group.position.distanceTo(attackerPosition);
-
-        // If in range and facing us, take damage
-        if (distance <= (data.isGorilla ? 3 : 2)) {
-          // Calculate direction to check if attacker is facing us
-          const localPos = this.localPlayer.group.position;
-          const attackerPos = attackerPosition;
-
-          // Direction from attacker to us
-          const direction = new THREE.Vector3()
-            .subVectors(localPos, attackerPos)
-            .normalize();
-
-          // Attacker's forward direction - using -Z as forward to match Player class
-          const attackerForward = new THREE.Vector3(0, 0, -1).applyAxisAngle(
-            new THREE.Vector3(0, 1, 0),
-            remotePlayerData.player.group.rotation.y
+      // The server will bring us back - count down instead of spectating
+      if (data.respawnInMs !== null && data.respawnInMs !== undefined) {
+        if (this.gameRef && this.gameRef.healthBar) {
+          this.gameRef.healthBar.showRespawnCountdown(
+            data.respawnInMs,
+            data.livesLeft
           );
+        }
+        return;
+      }
 
-          // Dot product to check if we're in front of attacker
-          const dot = direction.dot(attackerForward);
+      // Watch the rest of the match once the death screen has sunk in
+      setTimeout(() => {
+        if (this.inGame && this.localPlayer && this.localPlayer.isDead) {
+          this.startSpectating();
+        }
+      }, SPECTATE_DELAY_MS);
+    } else if (window.showMessage) {
+      window.showMessage(
+        `${data.name} was killed by ${data.killerName}`,
+        "orange"
+      );
+    }
+  }
 
-          // If dot product is positive, we're in front of the attacker
-          if (dot > 0.3) {
-            this.debug(`Local player hit by ${data.id}! Taking damage...`);
+  // The server brought a dead human back at a fresh spawn point
+  handlePlayerRespawned(data) {
+    const invulnerableSeconds = data.invulnerableMs / 1000;
 
-            // Apply damage to local player
-            this.localPlayer.onAttacked(data.id, data.isGorilla);
+    if (data.id === this.socket.id) {
+      const player = this.localPlayer;
+      if (!player) return;
 
-            // Update health bar if available
-            if (this.gameRef && this.gameRef.healthBar) {
-              this.gameRef.healthBar.setHealth(this.localPlayer.health);
-            }
-          }
+      debugLog("Respawned", "success");
+
+      player.maxHealth = data.maxHealth;
+      player.respawn(data.position, data.rotation.y, invulnerableSeconds);
+
+      // Anything we predicted while dead no longer applies
+      this.clearPrediction();
+
+      if (this.gameRef) {
+        this.gameRef.stopSpectating();
+        if (this.gameRef.controls) {
+          this.gameRef.controls.currentRotation = data.rotation.y;
+        }
+        if (this.gameRef.healthBar) {
+          this.gameRef.healthBar.maxHealth = data.maxHealth;
+          this.gameRef.healthBar.reset();
         }
       }
+
+      if (window.showMessage) {
+        window.showMessage(
+          data.livesLeft !== null
+            ? `Back in the fight! ${data.livesLeft} ${
+                data.livesLeft === 1 ? "life" : "lives"
+              } left.`
+            : "Back in the fight!",
+          "green"
+        );
+      }
+      return;
+    }
+
+    const remotePlayerData = this.remotePlayersMap.get(data.id);
+    if (!remotePlayerData) return;
+
+    remotePlayerData.health = data.health;
+    remotePlayerData.maxHealth = data.maxHealth;
+    remotePlayerData.isDead = false;
+
+    // Don't slide over from where they died
+    if (remotePlayerData.buffer) {
+      remotePlayerData.buffer.clear();
+    }
+
+    const player = remotePlayerData.player;
+    if (player && typeof player.respawn === "function") {
+      player.maxHealth = data.maxHealth;
+      player.respawn(data.position, data.rotation.y, invulnerableSeconds);
+    } else if (player && player.group) {
+      // Placeholders just move
+      player.group.position.set(
+        data.position.x,
+        data.position.y,
+        data.position.z
+      );
+    }
+  }
+
+  // The server rejected one of our moves
+  handlePositionCorrection(data) {
+    if (!this.localPlayer || !this.localPlayer.group) return;
+
+    debugLog(
+      `Position corrected by server (${data.reason}): ${JSON.stringify(
+        data.position
+      )}`,
+      "warning"
+    );
+
+    // The next snapshot carries the corrected position along with our
+    // acknowledged input, so reconciliation blends us back horizontally.
+    // Height isn't part of the replayed input, so fix that here.
+    if (data.reason === "height") {
+      this.localPlayer.group.position.y = data.position.y;
+    }
+
+    // Drop any momentum that carried us past the limit
+    if (this.localPlayer.velocity) {
+      this.localPlayer.velocity.set(0, 0, 0);
+    }
+  }
+
+  // Show the countdown / round timer for the current match state
+  handleMatchState(data) {
+    this.debug(`Match state: ${data.state} (${data.remainingMs}ms left)`);
+
+    if (this.gameRef && this.gameRef.matchHud) {
+      this.gameRef.matchHud.setState(
+        data.state,
+        data.remainingMs,
+        data.state === "loading"
+          ? { loaded: data.loaded, total: data.total }
+          : null
+      );
     }
   }
 
+  // A new gorilla took over from one who left mid-match - it may be us
+  handleGorillaReplaced(data) {
+    const gorilla = data.gorilla;
+    const previousName = data.previousName || "The gorilla";
+    this.gorillaPlayerId = gorilla.id;
+
+    if (gorilla.id === this.socket.id) {
+      this.isGorilla = true;
+
+      const player = this.gameRef && this.gameRef.player;
+      if (player) {
+        player.modelReady = player.makeGorilla(this.scene, this.modelLoader);
+        player.maxHealth = gorilla.maxHealth;
+        player.health = gorilla.health;
+        if (this.gameRef.healthBar) {
+          this.gameRef.healthBar.maxHealth = gorilla.maxHealth;
+          this.gameRef.healthBar.reset();
+        }
+      }
+
+      if (window.showMessage) {
+        window.showMessage(
+          `${previousName} left - you are the GORILLA now!`,
+          "red",
+          8000
+        );
+      }
+      return;
+    }
+
+    // The AI gorilla arrives through playerJoined, a promoted player is
+    // turned into the gorilla here
+    const playerData = this.remotePlayersMap.get(gorilla.id);
+    if (playerData) {
+      playerData.isGorilla = true;
+      playerData.health = gorilla.health;
+      playerData.maxHealth = gorilla.maxHealth;
+    }
+    this.updateRemotePlayersWithGorillaRole();
+
+    if (window.showMessage) {
+      window.showMessage(
+        data.reason === "ai"
+          ? `${previousName} left - the AI has taken over the gorilla!`
+          : `${previousName} left - ${gorilla.name} is the gorilla now!`,
+        "orange",
+        8000
+      );
+    }
+  }
+
+  // Watch a match that started without us - we get the room's players and
+  // snapshots like everyone else but have no player of our own in it
+  handleSpectateStarted(data) {
+    debugLog(`Spectating the match in lobby ${data.lobbyId}`, "info");
+
+    this.inGame = true;
+    this.gorillaPlayerId = data.gorilla.id;
+    this.isGorilla = false;
+    this.lastSnapshotTick = 0;
+
+    if (this.useBinaryProtocol) {
+      this.socket.emit("negotiateProtocol", this.getProtocolRequest());
+    }
+
+    this.startSpectating();
+  }
+
+  startSpectating() {
+    this.isSpectating = true;
+
+    if (this.gameRef) {
+      this.gameRef.startSpectating();
+    }
+  }
+
+  // Living players the spectator camera can follow
+  getSpectatorTargets() {
+    const targets = [];
+
+    this.remotePlayersMap.forEach((remotePlayerData, id) => {
+      if (remotePlayerData.isDead || !remotePlayerData.player) return;
+
+      targets.push({
+        id,
+        name: remotePlayerData.name,
+        isGorilla: id === this.gorillaPlayerId,
+        health: remotePlayerData.health,
+        maxHealth: remotePlayerData.maxHealth,
+        group: remotePlayerData.player.group,
+      });
+    });
+
+    return targets;
+  }
+
+  // The server decided the match is over - show results and go back to the lobby
+  handleMatchEnded(result) {
+    debugLog(`Match ended: ${result.winner} win (${result.reason})`, "success");
+
+    this.resetMatchState();
+
+    if (this.gameRef && this.gameRef.matchHud) {
+      this.gameRef.matchHud.showResults(result, this.socket.id);
+    } else if (this.lobbyManager) {
+      this.lobbyManager.showLobbyScreen();
+    }
+  }
+
+  // Drop everything from the last match so the next one starts clean
+  resetMatchState() {
+    this.inGame = false;
+    this.isSpectating = false;
+
+    // Stop sending updates
+    this.stopSendingUpdates();
+    this.stopSendingGameEntityUpdates();
+
+    // Clear remote players
+    this.clearRemotePlayers();
+
+    // Roles are picked again for the next round
+    this.isGorilla = false;
+    this.isHost = false;
+    this.gorillaPlayerId = null;
+
+    // The next match's room counts ticks from zero again
+    this.lastSnapshotTick = 0;
+    this.clearPrediction();
+
+    // Player indices and the protocol are negotiated again in the next room
+    this.binaryProtocolActive = false;
+    this.binaryProtocol.reset();
+    this.binaryProtocol.clearPlayers();
+
+    if (this.gameRef) {
+      this.gameRef.resetAfterMatch();
+    }
+  }
+
+  // Session token helpers - sessionStorage is per tab, so a second tab gets its own player
+  getSessionToken() {
+    try {
+      return sessionStorage.getItem(SESSION_TOKEN_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  saveSessionToken(token) {
+    if (!token) return;
+
+    try {
+      sessionStorage.setItem(SESSION_TOKEN_KEY, token);
+    } catch (e) {
+      console.warn("Could not save session token to sessionStorage", e);
+    }
+  }
+
+  hasSavedSession() {
+    return !!this.getSessionToken();
+  }
+
+  // Put our lobby slot, role, health and position back the way the server kept them
+  async handleSessionResumed(data) {
+    debugLog(`Session resumed in lobby ${data.lobby.id}`, "success");
+
+    const game = data.game;
+
+    // No running game (or the match ended while we were away)
+    if (!game) {
+      if (this.inGame) {
+        this.resetMatchState();
+        if (this.gameRef && this.gameRef.matchHud) {
+          this.gameRef.matchHud.reset();
+        }
+      }
+      return;
+    }
+
+    this.inGame = true;
+    this.gorillaPlayerId = game.gorilla.id;
+    this.isGorilla = game.isGorilla;
+
+    // The match may have changed while we were away
+    this.lastSnapshotTick = 0;
+    this.clearPrediction();
+
+    // Our new socket starts on JSON until it negotiates again
+    this.binaryProtocolActive = false;
+    this.binaryProtocol.reset();
+
+    // The server starts our area of interest over with everyone in it
+    this.remotePlayersMap.forEach((remotePlayerData, id) => {
+      this.setRemotePlayerInterest(id, "near");
+    });
+
+    // We were watching the match, not playing in it
+    if (game.spectating) {
+      if (this.useBinaryProtocol) {
+        this.socket.emit("negotiateProtocol", this.getProtocolRequest());
+      }
+      this.startSpectating();
+      return;
+    }
+
+    const player = this.localPlayer;
+    if (player && this.isGorilla && !player.isGorilla) {
+      await player.makeGorilla(this.scene, this.modelLoader);
+    }
+
+    // We dropped before finishing loading into the match - join it now
+    if (!game.player) {
+      this.joinGame();
+      return;
+    }
+
+    if (player) {
+      const saved = game.player;
+      player.group.position.set(
+        saved.position.x,
+        saved.position.y,
+        saved.position.z
+      );
+      player.setRotation(saved.rotation.y);
+      if (this.gameRef && this.gameRef.controls) {
+        this.gameRef.controls.currentRotation = saved.rotation.y;
+      }
+
+      player.maxHealth = saved.maxHealth;
+      player.health = saved.health;
+      if (this.gameRef && this.gameRef.healthBar) {
+        this.gameRef.healthBar.maxHealth = saved.maxHealth;
+        this.gameRef.healthBar.setHealth(saved.health);
+      }
+      if (saved.isDead) {
+        player.die();
+      }
+    }
+
+    if (this.useBinaryProtocol) {
+      this.socket.emit("negotiateProtocol", this.getProtocolRequest());
+    }
+
+    if (window.showMessage) {
+      window.showMessage("Reconnected - back in the game!", "green");
+    }
+
+    // Pick up sending our position where we left off
+    this.startSendingUpdates();
+  }
+
+  // Our reconnect grace window ran out - start over from the lobby list
+  handleSessionLost() {
+    debugLog("Previous session expired - back to the lobby list", "warning");
+
+    if (this.inGame) {
+      this.resetMatchState();
+      if (this.gameRef && this.gameRef.matchHud) {
+        this.gameRef.matchHud.reset();
+      }
+    }
+
+    if (this.lobbyManager) {
+      this.lobbyManager.clearCurrentLobby();
+      this.lobbyManager.showLobbyScreen();
+    }
+
+    if (window.showMessage) {
+      window.showMessage(
+        "You were away too long and lost your place in the lobby.",
+        "red"
+      );
+    }
+  }
+
+  // Re-key a remote player who reconnected with a new socket id
+  handlePlayerResumed(data) {
+    const remotePlayerData = this.remotePlayersMap.get(data.previousId);
+    if (remotePlayerData) {
+      this.remotePlayersMap.delete(data.previousId);
+      this.remotePlayersMap.set(data.id, remotePlayerData);
+    }
+    this.binaryProtocol.setPlayerIndex(data.index, data.id);
+
+    if (this.gorillaPlayerId === data.previousId) {
+      this.gorillaPlayerId = data.id;
+    }
+
+    this.updateDebugOverlay();
+  }
+
   // Add a new method to color remote players distinctly
   colorRemotePlayer(player, playerId) {
     // Generate a bright, distinct color based on player ID
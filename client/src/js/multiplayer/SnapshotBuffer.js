@@ -0,0 +1,116 @@
+// Keep this many samples per player (a couple of seconds at the server tick rate)
+const MAX_SAMPLES = 40;
+
+// Wrap an angle difference into [-PI, PI] so yaw turns the short way round
+function shortestAngle(from, to) {
+  let diff = (to - from) % (Math.PI * 2);
+  if (diff > Math.PI) diff -= Math.PI * 2;
+  if (diff < -Math.PI) diff += Math.PI * 2;
+  return diff;
+}
+
+// Buffer of timestamped positions for one remote player. Remote players are
+// drawn slightly in the past so there is (almost) always a sample on either
+// side of the render time to interpolate between.
+export class SnapshotBuffer {
+  constructor(maxExtrapolationMs = 250) {
+    this.samples = [];
+    this.maxExtrapolationMs = maxExtrapolationMs;
+  }
+
+  // Add a sample (time is in server milliseconds)
+  push(time, position, yaw) {
+    const last = this.samples[this.samples.length - 1];
+
+    // Ignore duplicates and anything older than what we already have
+    if (last && time <= last.time) return;
+
+    this.samples.push({
+      time,
+      position: { x: position.x, y: position.y, z: position.z },
+      yaw,
+    });
+
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+  }
+
+  clear() {
+    this.samples = [];
+  }
+
+  // Get the interpolated state at renderTime, or null if we have no samples.
+  // speed is the horizontal speed (units per second) around that time.
+  sample(renderTime) {
+    const samples = this.samples;
+    if (samples.length === 0) return null;
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+
+    // Only one sample, or render time is before everything we have
+    if (samples.length === 1 || renderTime <= first.time) {
+      return {
+        position: { ...first.position },
+        yaw: first.yaw,
+        speed: 0,
+      };
+    }
+
+    // Packets are late - carry on along the last known velocity for a bit
+    if (renderTime >= last.time) {
+      const previous = samples[samples.length - 2];
+      const dt = last.time - previous.time;
+      const ahead = Math.min(renderTime - last.time, this.maxExtrapolationMs);
+      const t = dt > 0 ? ahead / dt : 0;
+
+      return {
+        position: {
+          x: last.position.x + (last.position.x - previous.position.x) * t,
+          y: last.position.y + (last.position.y - previous.position.y) * t,
+          z: last.position.z + (last.position.z - previous.position.z) * t,
+        },
+        yaw: last.yaw + shortestAngle(previous.yaw, last.yaw) * t,
+        // Once we stop extrapolating they are standing still as far as we know
+        speed:
+          ahead < this.maxExtrapolationMs ? this.getSpeed(previous, last) : 0,
+      };
+    }
+
+    // Find the two samples either side of the render time
+    let index = 1;
+    while (samples[index].time < renderTime) {
+      index++;
+    }
+    const from = samples[index - 1];
+    const to = samples[index];
+
+    // Drop samples we will never need again
+    if (index > 2) {
+      this.samples.splice(0, index - 2);
+    }
+
+    const t = (renderTime - from.time) / (to.time - from.time);
+
+    return {
+      position: {
+        x: from.position.x + (to.position.x - from.position.x) * t,
+        y: from.position.y + (to.position.y - from.position.y) * t,
+        z: from.position.z + (to.position.z - from.position.z) * t,
+      },
+      yaw: from.yaw + shortestAngle(from.yaw, to.yaw) * t,
+      speed: this.getSpeed(from, to),
+    };
+  }
+
+  // Horizontal speed between two samples in units per second
+  getSpeed(from, to) {
+    const dt = (to.time - from.time) / 1000;
+    if (dt <= 0) return 0;
+
+    const dx = to.position.x - from.position.x;
+    const dz = to.position.z - from.position.z;
+    return Math.sqrt(dx * dx + dz * dz) / dt;
+  }
+}
@@ -0,0 +1,294 @@
+import { Gorilla } from "../entities/Gorilla.js";
+import { Bot } from "../entities/Bot.js";
+
+// Same match timing as the server (server/game/GameRoom.js)
+const COUNTDOWN_SECONDS = 5;
+const ROUND_DURATION_SECONDS = 300;
+
+// How many computer humans join in - against us when we are the gorilla,
+// on our side when we are a human
+const OPPONENT_BOTS = 8;
+const ALLY_BOTS = 3;
+
+// Where the gorilla starts, and how far from it humans are placed
+const GORILLA_SPAWN = { x: 10, z: 10 };
+const SPAWN_CLEARANCE = 10;
+
+const BOT_NAMES = ["Dave", "Steve", "Kevin", "Gary", "Brian", "Phil", "Craig"];
+
+// Id of the local player in the practice stats
+const LOCAL_ID = "local";
+
+// Somewhere on the map not too close to where the gorilla starts
+function getHumanSpawnPosition(mapBoundary) {
+  const extent = mapBoundary - 1;
+  let x = 0;
+  let z = 0;
+  for (let i = 0; i < 10; i++) {
+    x = (Math.random() * 2 - 1) * extent;
+    z = (Math.random() * 2 - 1) * extent;
+    if (
+      Math.hypot(x - GORILLA_SPAWN.x, z - GORILLA_SPAWN.z) >= SPAWN_CLEARANCE
+    ) {
+      break;
+    }
+  }
+  return { x, z };
+}
+
+// A complete match played in the browser with no server: the local player
+// against computer opponents, with the usual countdown, round timer, win
+// conditions and results screen. The gorilla is the old Gorilla entity's AI
+// and the humans are Bots; hits go through the same attack code as online
+// play with nothing sent anywhere.
+export class PracticeMatch {
+  constructor(game) {
+    this.game = game;
+    this.isActive = false;
+    this.asGorilla = false;
+
+    this.state = null;
+    this.stateEndsAt = null;
+    this.startedAt = null;
+
+    this.gorilla = null; // The local player or the AI Gorilla
+    this.bots = [];
+    this.stats = new Map(); // entity -> stats entry
+  }
+
+  // Set up a fresh match with the local player as the gorilla or a human
+  async start(asGorilla) {
+    const { player, scene, modelLoader, soundManager } = this.game;
+    if (!player) return;
+
+    this.stop();
+    this.isActive = true;
+    this.asGorilla = asGorilla;
+
+    // Swap the local player's role (this reloads its model)
+    if (asGorilla && !player.isGorilla) {
+      await player.makeGorilla(scene, modelLoader);
+    } else if (!asGorilla && player.isGorilla) {
+      await player.makeHuman(modelLoader);
+    }
+    player.reset();
+
+    if (this.game.controls) {
+      this.game.controls.currentRotation = 0;
+    }
+    if (this.game.healthBar) {
+      this.game.healthBar.maxHealth = player.maxHealth;
+      this.game.healthBar.canRestart = true; // Dying offers another round
+      this.game.healthBar.reset();
+    }
+
+    this.trackStats(player, LOCAL_ID, this.game.playerName || "You");
+
+    if (asGorilla) {
+      this.gorilla = player;
+      player.group.position.set(GORILLA_SPAWN.x, 0, GORILLA_SPAWN.z);
+    } else {
+      this.gorilla = new Gorilla(scene, soundManager, modelLoader);
+      this.gorilla.group.position.set(GORILLA_SPAWN.x, 0, GORILLA_SPAWN.z);
+      this.gorilla.onHit = (target, damage, killed) =>
+        this.recordHit(this.gorilla, target, damage, killed);
+      this.trackStats(this.gorilla, "gorilla", "Gorilla (AI)");
+
+      const spawn = getHumanSpawnPosition(player.mapBoundary);
+      player.group.position.set(spawn.x, 0, spawn.z);
+    }
+    player.onHit = (target, damage, killed) =>
+      this.recordHit(player, target, damage, killed);
+
+    const botCount = asGorilla ? OPPONENT_BOTS : ALLY_BOTS;
+    for (let i = 0; i < botCount; i++) {
+      this.addBot(i);
+    }
+
+    this.setState("countdown", COUNTDOWN_SECONDS * 1000);
+
+    if (window.showMessage) {
+      window.showMessage(
+        asGorilla
+          ? "Practice: you are the GORILLA! Destroy the humans!"
+          : "Practice: team up with the bots and take down the gorilla!",
+        asGorilla ? "red" : "yellow",
+        10000
+      );
+    }
+  }
+
+  // Play another round with the same role
+  restart() {
+    this.start(this.asGorilla);
+  }
+
+  // Tear the match down and put the local player back to normal
+  stop() {
+    if (!this.isActive) return;
+
+    const { scene, player, matchHud, healthBar } = this.game;
+
+    this.bots.forEach((bot) => scene.remove(bot.group));
+    this.bots = [];
+
+    if (this.gorilla && this.gorilla !== player) {
+      scene.remove(this.gorilla.group);
+    }
+    this.gorilla = null;
+
+    if (player) {
+      player.onHit = null;
+    }
+    if (matchHud) {
+      matchHud.reset();
+    }
+    if (healthBar) {
+      healthBar.canRestart = false;
+    }
+
+    this.stats.clear();
+    this.state = null;
+    this.stateEndsAt = null;
+    this.startedAt = null;
+    this.isActive = false;
+  }
+
+  addBot(index) {
+    const { scene, modelLoader } = this.game;
+    const round = Math.floor(index / BOT_NAMES.length);
+    const name = `Bot ${BOT_NAMES[index % BOT_NAMES.length]}${
+      round > 0 ? ` ${round + 1}` : ""
+    }`;
+    const bot = new Bot(scene, null, modelLoader, name);
+
+    const spawn = getHumanSpawnPosition(bot.mapBoundary);
+    bot.group.position.set(spawn.x, 0, spawn.z);
+    bot.onHit = (target, damage, killed) =>
+      this.recordHit(bot, target, damage, killed);
+
+    this.bots.push(bot);
+    this.trackStats(bot, `bot_${index + 1}`, name);
+  }
+
+  trackStats(entity, id, name) {
+    this.stats.set(entity, {
+      id,
+      name,
+      isGorilla: entity === this.gorilla || !!entity.isGorilla,
+      isBot: entity !== this.game.player,
+      kills: 0,
+      deaths: 0,
+      damageDealt: 0,
+      damageTaken: 0,
+      survived: true,
+    });
+  }
+
+  // Keep score for a landed attack
+  recordHit(attacker, target, damage, killed) {
+    const attackerStats = this.stats.get(attacker);
+    const targetStats = this.stats.get(target);
+    if (!attackerStats || !targetStats || damage <= 0) return;
+
+    attackerStats.damageDealt += damage;
+    targetStats.damageTaken += damage;
+
+    if (killed) {
+      attackerStats.kills++;
+      targetStats.deaths++;
+      targetStats.survived = false;
+
+      if (window.showMessage) {
+        window.showMessage(
+          `${targetStats.name} was killed by ${attackerStats.name}`,
+          "orange"
+        );
+      }
+    }
+  }
+
+  setState(state, durationMs = null) {
+    this.state = state;
+    this.stateEndsAt = durationMs !== null ? Date.now() + durationMs : null;
+
+    if (this.game.matchHud) {
+      this.game.matchHud.setState(state, durationMs);
+    }
+  }
+
+  get isPlaying() {
+    return this.isActive && this.state === "playing";
+  }
+
+  // Everyone on the human side
+  getHumans() {
+    const humans = this.asGorilla ? [] : [this.game.player];
+    return humans.concat(this.bots);
+  }
+
+  // Who the local player's attacks can hit
+  getTargets() {
+    if (!this.isPlaying) return [];
+
+    const targets = this.asGorilla ? this.bots : [this.gorilla];
+    return targets.filter((target) => target && !target.isDead);
+  }
+
+  // Run the AI and the match clock
+  update(deltaTime) {
+    if (!this.isActive) return;
+
+    const now = Date.now();
+
+    if (this.state === "countdown" && now >= this.stateEndsAt) {
+      this.startedAt = now;
+      this.setState("playing", ROUND_DURATION_SECONDS * 1000);
+    }
+
+    const isPlaying = this.state === "playing";
+
+    // The AI waits for the countdown like everyone else
+    if (!this.asGorilla && isPlaying) {
+      this.gorilla.update(deltaTime, this.game.player, this.getHumans());
+    }
+
+    this.bots.forEach((bot) => {
+      if (isPlaying) {
+        bot.think(deltaTime, this.gorilla);
+      }
+      bot.update(deltaTime);
+    });
+
+    if (isPlaying) {
+      this.checkWinConditions(now);
+    }
+  }
+
+  // Decide whether either side has won
+  checkWinConditions(now) {
+    if (this.gorilla.isDead) {
+      this.end("humans", "gorillaKilled");
+    } else if (this.getHumans().every((human) => human.isDead)) {
+      this.end("gorilla", "humansEliminated");
+    } else if (now >= this.stateEndsAt) {
+      // The humans win if they survive until the timer runs out
+      this.end("humans", "timeUp");
+    }
+  }
+
+  end(winner, reason) {
+    this.setState("ended");
+
+    const result = {
+      winner,
+      reason,
+      duration: this.startedAt ? Date.now() - this.startedAt : 0,
+      stats: Array.from(this.stats.values()),
+    };
+
+    if (this.game.matchHud) {
+      this.game.matchHud.showResults(result, LOCAL_ID);
+    }
+  }
+}
@@ -0,0 +1,266 @@
+import { getMessageContainer } from "../main.js";
+
+// How many chat lines are kept for scrolling back
+const MAX_HISTORY = 100;
+
+// Channel names and colors, as shown before each message
+const CHANNELS = {
+  lobby: { label: "Lobby", color: "#fff" },
+  team: { label: "Team", color: "#2ecc71" },
+  spectators: { label: "Spectators", color: "#9b9b9b" },
+  whisper: { label: "Whisper", color: "#e91e63" },
+  system: { label: "", color: "#ff9800" },
+};
+
+// Which channels can be used where - in a match players can also talk to
+// their own side, spectators to each other
+const MODE_CHANNELS = {
+  lobby: ["lobby"],
+  playing: ["lobby", "team"],
+  spectating: ["lobby", "spectators"],
+};
+
+// Chat for the lobby view and the game. Messages stay in the message
+// container (so players can scroll back) and in the lobby's chat panel.
+// In game, Enter opens the input (Tab switches channel, Escape closes it)
+// and the game is told so it can stop reading movement keys while typing.
+export class ChatBox {
+  constructor() {
+    this.mode = null; // null (not connected), "lobby", "playing" or "spectating"
+    this.channel = "lobby";
+    this.isOpen = false;
+    this.history = [];
+    this.lobbyLog = null;
+    this.onSendCallback = null;
+    this.onOpenCallback = null;
+    this.onCloseCallback = null;
+
+    this.createUI();
+
+    document.addEventListener("keydown", this.onKeyDown.bind(this));
+  }
+
+  createUI() {
+    // In-game input row, just above the message container
+    this.inputRow = document.createElement("div");
+    this.inputRow.className = "chat-input-row";
+    this.inputRow.style.position = "absolute";
+    this.inputRow.style.bottom = "240px";
+    this.inputRow.style.left = "10px";
+    this.inputRow.style.width = "420px";
+    this.inputRow.style.display = "none";
+    this.inputRow.style.gap = "5px";
+    this.inputRow.style.zIndex = "1001";
+    this.inputRow.style.fontFamily = "Arial, sans-serif";
+
+    this.channelTag = document.createElement("span");
+    this.channelTag.style.padding = "6px 8px";
+    this.channelTag.style.backgroundColor = "rgba(0, 0, 0, 0.7)";
+    this.channelTag.style.borderRadius = "4px";
+    this.channelTag.style.fontSize = "14px";
+    this.channelTag.style.fontWeight = "bold";
+
+    this.input = this.createInput();
+    this.input.style.flex = "1";
+
+    this.inputRow.appendChild(this.channelTag);
+    this.inputRow.appendChild(this.input);
+    document.body.appendChild(this.inputRow);
+  }
+
+  createInput() {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.maxLength = 200;
+    input.placeholder = "Say something...";
+    input.style.padding = "6px";
+    input.style.fontSize = "14px";
+    input.style.border = "none";
+    input.style.borderRadius = "4px";
+    input.style.backgroundColor = "rgba(0, 0, 0, 0.7)";
+    input.style.color = "white";
+    return input;
+  }
+
+  // Chat panel for the lobby view - always open, lobby channel only
+  createLobbyChat() {
+    const panel = document.createElement("div");
+    panel.id = "lobby-chat";
+    panel.style.display = "flex";
+    panel.style.flexDirection = "column";
+    panel.style.marginBottom = "15px";
+
+    this.lobbyLog = document.createElement("div");
+    this.lobbyLog.style.height = "120px";
+    this.lobbyLog.style.overflowY = "auto";
+    this.lobbyLog.style.padding = "8px";
+    this.lobbyLog.style.marginBottom = "5px";
+    this.lobbyLog.style.backgroundColor = "rgba(255, 255, 255, 0.1)";
+    this.lobbyLog.style.borderRadius = "4px";
+    this.lobbyLog.style.fontSize = "14px";
+    this.history.forEach((entry) =>
+      this.appendLine(this.lobbyLog, entry, false)
+    );
+
+    const input = this.createInput();
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        this.send(input.value, "lobby");
+        input.value = "";
+      }
+    });
+
+    panel.appendChild(this.lobbyLog);
+    panel.appendChild(input);
+    return panel;
+  }
+
+  // Where the player is decides which channels they can use
+  setMode(mode) {
+    this.mode = mode;
+    if (!this.getChannels().includes(this.channel)) {
+      this.channel = "lobby";
+    }
+    if (mode !== "playing" && mode !== "spectating") {
+      this.close();
+    }
+    this.updateChannelTag();
+  }
+
+  getChannels() {
+    return MODE_CHANNELS[this.mode] || [];
+  }
+
+  onKeyDown(event) {
+    if (this.isOpen) {
+      switch (event.key) {
+        case "Enter":
+          this.send(this.input.value, this.channel);
+          this.close();
+          break;
+        case "Escape":
+          this.close();
+          break;
+        case "Tab":
+          event.preventDefault();
+          this.cycleChannel();
+          break;
+      }
+      return;
+    }
+
+    // Only open in game, and never while typing somewhere else
+    const target = event.target;
+    const isTyping =
+      target &&
+      (target.tagName === "INPUT" ||
+        target.tagName === "TEXTAREA" ||
+        target.tagName === "SELECT");
+    if (
+      event.key === "Enter" &&
+      !isTyping &&
+      (this.mode === "playing" || this.mode === "spectating")
+    ) {
+      event.preventDefault();
+      this.open();
+    }
+  }
+
+  open() {
+    this.isOpen = true;
+    this.inputRow.style.display = "flex";
+    this.input.value = "";
+    this.input.focus();
+    this.updateChannelTag();
+    this.onOpenCallback && this.onOpenCallback();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.input.blur();
+    this.inputRow.style.display = "none";
+    this.onCloseCallback && this.onCloseCallback();
+  }
+
+  cycleChannel() {
+    const channels = this.getChannels();
+    const index = channels.indexOf(this.channel);
+    this.channel = channels[(index + 1) % channels.length];
+    this.updateChannelTag();
+  }
+
+  updateChannelTag() {
+    const channel = CHANNELS[this.channel];
+    this.channelTag.textContent = `[${channel.label}]`;
+    this.channelTag.style.color = channel.color;
+  }
+
+  send(text, channel) {
+    const message = text.trim();
+    if (!message || !this.onSendCallback) return;
+
+    this.onSendCallback(message, channel);
+  }
+
+  // Show a message from the server ({ sender, message, channel })
+  addMessage(data) {
+    const entry = {
+      sender: data.sender,
+      to: data.to,
+      message: data.message,
+      channel: data.sender ? data.channel || "lobby" : "system",
+    };
+
+    this.history.push(entry);
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+
+    this.appendLine(getMessageContainer(), entry, true);
+    if (this.lobbyLog) {
+      this.appendLine(this.lobbyLog, entry, false);
+    }
+  }
+
+  // Add a line to a log, dropping the oldest past the history limit, and
+  // keep it scrolled to the bottom
+  appendLine(log, entry, bold) {
+    const channel = CHANNELS[entry.channel] || CHANNELS.lobby;
+    const line = document.createElement("div");
+    line.className = "chat-line";
+    line.style.color = channel.color;
+    line.style.marginBottom = "5px";
+    line.style.fontSize = bold ? "16px" : "14px";
+    line.style.fontWeight = bold ? "bold" : "normal";
+    line.style.textShadow = "1px 1px 2px rgba(0,0,0,0.5)";
+
+    const prefix =
+      entry.channel !== "lobby" && channel.label ? `[${channel.label}] ` : "";
+    const from = entry.to ? `${entry.sender} → ${entry.to}` : entry.sender;
+    line.textContent = entry.sender
+      ? `${prefix}${from}: ${entry.message}`
+      : entry.message;
+
+    log.appendChild(line);
+
+    const lines = log.querySelectorAll(".chat-line");
+    if (lines.length > MAX_HISTORY) {
+      lines[0].remove();
+    }
+    log.scrollTop = log.scrollHeight;
+  }
+
+  onSend(callback) {
+    this.onSendCallback = callback;
+  }
+
+  onOpen(callback) {
+    this.onOpenCallback = callback;
+  }
+
+  onClose(callback) {
+    this.onCloseCallback = callback;
+  }
+}
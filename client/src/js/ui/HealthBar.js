@@ -6,6 +6,8 @@ export class HealthBar {
     this.bar = null;
     this.damageOverlay = null;
     this.isDead = false;
+    this.canRestart = false; // Only offline practice can be restarted from here
+    this.respawnInterval = null;
 
     this.createUI();
 
@@ -85,11 +87,19 @@ export class HealthBar {
       this.onRestartCallback && this.onRestartCallback();
     });
 
+    // Countdown shown while waiting for the server to respawn us
+    this.respawnText = document.createElement("div");
+    this.respawnText.style.position = "absolute";
+    this.respawnText.style.top = "60%";
+    this.respawnText.style.fontSize = "24px";
+    this.respawnText.style.display = "none";
+
     // Append elements to DOM
     this.container.appendChild(this.bar);
     document.body.appendChild(this.container);
     document.body.appendChild(this.damageOverlay);
     this.deathScreen.appendChild(this.restartButton);
+    this.deathScreen.appendChild(this.respawnText);
     document.body.appendChild(this.deathScreen);
   }
 
@@ -134,9 +144,7 @@ export class HealthBar {
     this.currentHealth = this.maxHealth;
     this.isDead = false;
     this.setHealth(this.maxHealth);
-    this.deathScreen.style.opacity = "0";
-    this.deathScreen.style.pointerEvents = "none";
-    this.restartButton.style.display = "none";
+    this.hideDeathScreen();
   }
 
   showDamageEffect() {
@@ -148,6 +156,14 @@ export class HealthBar {
     }, 200);
   }
 
+  // Clear the death screen while staying dead (e.g. to spectate)
+  hideDeathScreen() {
+    this.deathScreen.style.opacity = "0";
+    this.deathScreen.style.pointerEvents = "none";
+    this.restartButton.style.display = "none";
+    this.stopRespawnCountdown();
+  }
+
   showDeathScreen() {
     this.isDead = true;
     this.deathScreen.style.opacity = "1";
@@ -155,10 +171,38 @@ export class HealthBar {
 
     // Show restart button after a delay
     setTimeout(() => {
-      this.restartButton.style.display = "block";
+      if (this.canRestart && this.isDead) {
+        this.restartButton.style.display = "block";
+      }
     }, 1500);
   }
 
+  // Count down to the respawn the server scheduled for us
+  showRespawnCountdown(remainingMs, livesLeft = null) {
+    this.stopRespawnCountdown();
+
+    const respawnAt = Date.now() + remainingMs;
+    const lives =
+      livesLeft !== null
+        ? ` (${livesLeft} ${livesLeft === 1 ? "life" : "lives"} left)`
+        : "";
+
+    const render = () => {
+      const seconds = Math.max(0, Math.ceil((respawnAt - Date.now()) / 1000));
+      this.respawnText.textContent = `Respawning in ${seconds}...${lives}`;
+    };
+
+    render();
+    this.respawnText.style.display = "block";
+    this.respawnInterval = setInterval(render, 250);
+  }
+
+  stopRespawnCountdown() {
+    clearInterval(this.respawnInterval);
+    this.respawnInterval = null;
+    this.respawnText.style.display = "none";
+  }
+
   onRestart(callback) {
     this.onRestartCallback = callback;
   }
@@ -1,5 +1,21 @@
 import { showMessage } from "../main.js";
 
+// Choices offered to the host in the lobby settings (the server validates
+// whatever is sent)
+const ROUND_LENGTH_CHOICES = [120, 180, 300, 600, 900];
+const MULTIPLIER_CHOICES = [0.5, 0.75, 1, 1.5, 2, 3];
+const GORILLA_SELECTION_LABELS = {
+  random: "Random",
+  volunteer: "Volunteers",
+  host: "Host picks",
+  rotate: "Take turns",
+};
+const GORILLA_SUCCESSION_LABELS = {
+  promote: "A human takes over",
+  ai: "The AI takes over",
+  end: "The round ends",
+};
+
 export class LobbyManager {
   constructor() {
     this.lobbies = [];
@@ -10,6 +26,15 @@ export class LobbyManager {
     this.onJoinGameCallback = null;
     this.onCreateGameCallback = null;
 
+    // Invite code from a ?lobby=CODE link, joined once we are connected
+    this.pendingInviteCode = null;
+    // The last join request, sent again with a passcode if one is needed
+    this.lastJoinRequest = null;
+    // Public address of the server (e.g. the ngrok URL) for invite links
+    this.publicUrl = null;
+    // Chat, shown in the lobby view as well as in game
+    this.chatBox = null;
+
     // Load saved player name from localStorage if it exists
     this.loadPlayerName();
   }
@@ -20,6 +45,10 @@ export class LobbyManager {
     this.setupSocketListeners();
   }
 
+  setChatBox(chatBox) {
+    this.chatBox = chatBox;
+  }
+
   // Setup socket listeners for lobby events
   setupSocketListeners() {
     if (!this.socket) return;
@@ -32,6 +61,7 @@ export class LobbyManager {
 
     // Listen for lobby join confirmation
     this.socket.on("lobbyJoined", (lobbyData) => {
+      this.lastJoinRequest = null;
       this.currentLobby = lobbyData;
       this.isHost = lobbyData.hostId === this.socket.id;
       this.updateLobbyView();
@@ -44,8 +74,33 @@ export class LobbyManager {
 
     // Listen for lobby updates (new players, etc.)
     this.socket.on("lobbyUpdated", (lobbyData) => {
+      const wasHost = this.isHost;
       this.currentLobby = lobbyData;
+      this.isHost = lobbyData.hostId === this.socket.id;
       this.updateLobbyView();
+
+      // The host left or lost connection and the role passed to us
+      if (this.isHost && !wasHost) {
+        showMessage("You are now the lobby host.", "green");
+      }
+    });
+
+    // Listen for our old lobby slot being restored after a reconnect
+    this.socket.on("sessionResumed", (data) => {
+      this.currentLobby = data.lobby;
+      this.isHost = data.lobby.hostId === this.socket.id;
+      this.updateLobbyView();
+
+      if (typeof this.onJoinGameCallback === "function") {
+        this.onJoinGameCallback(data.lobby);
+      }
+
+      // Straight back into the running game, or back to the lobby view
+      if (data.game) {
+        this.hideLobbyScreen();
+      } else {
+        this.showLobbyScreen();
+      }
     });
 
     // Listen for game start
@@ -65,9 +120,28 @@ export class LobbyManager {
       }
     });
 
+    // Joined a lobby whose game is already running - watch it from in game
+    this.socket.on("spectateStarted", () => {
+      showMessage(
+        "Game in progress - you're spectating until the next round.",
+        "yellow"
+      );
+      this.hideLobbyScreen();
+    });
+
     // Listen for lobby errors
     this.socket.on("lobbyError", (error) => {
       showMessage(error.message, "red");
+
+      // Ask for the passcode and try joining again
+      if (error.passcodeRequired && this.lastJoinRequest) {
+        const passcode = prompt(`${error.message} Enter the lobby passcode:`);
+        if (passcode) {
+          this.requestJoin({ ...this.lastJoinRequest, passcode });
+        } else {
+          this.lastJoinRequest = null;
+        }
+      }
     });
   }
 
@@ -140,6 +214,7 @@ export class LobbyManager {
     const nameInput = document.createElement("input");
     nameInput.type = "text";
     nameInput.id = "player-name-input";
+    nameInput.maxLength = 24;
     nameInput.value = this.playerName;
     nameInput.style.padding = "8px";
     nameInput.style.borderRadius = "4px";
@@ -328,6 +403,16 @@ export class LobbyManager {
     playersList.style.overflowY = "auto";
     lobbySection.appendChild(playersList);
 
+    // Lobby chat
+    if (this.chatBox) {
+      const chatTitle = document.createElement("h3");
+      chatTitle.textContent = "Chat";
+      chatTitle.style.fontSize = "18px";
+      chatTitle.style.marginBottom = "10px";
+      lobbySection.appendChild(chatTitle);
+      lobbySection.appendChild(this.chatBox.createLobbyChat());
+    }
+
     // Start game button (only for host)
     const startGameBtn = document.createElement("button");
     startGameBtn.id = "start-game-btn";
@@ -381,10 +466,14 @@ export class LobbyManager {
       lobbyRow.style.alignItems = "center";
 
       const nameCell = document.createElement("div");
-      nameCell.textContent = lobby.name;
+      nameCell.textContent = lobby.pve ? `${lobby.name} (PvE)` : lobby.name;
+      if (lobby.hasPasscode) {
+        nameCell.textContent += " 🔒";
+      }
 
       const playersCell = document.createElement("div");
-      playersCell.textContent = `${lobby.players.length}/${lobby.maxPlayers}`;
+      const playerCount = lobby.players.length + (lobby.botCount || 0);
+      playersCell.textContent = `${playerCount}/${lobby.maxPlayers}`;
       playersCell.style.textAlign = "center";
 
       const pingCell = document.createElement("div");
@@ -394,16 +483,17 @@ export class LobbyManager {
       const actionCell = document.createElement("div");
       actionCell.style.textAlign = "center";
 
+      // Games in progress can be watched (and joined for the next round)
       const joinBtn = document.createElement("button");
-      joinBtn.textContent = "Join";
+      joinBtn.textContent = lobby.inGame ? "Watch" : "Join";
       joinBtn.style.padding = "6px 12px";
-      joinBtn.style.backgroundColor = "#4CAF50";
+      joinBtn.style.backgroundColor = lobby.inGame ? "#ff9800" : "#4CAF50";
       joinBtn.style.border = "none";
       joinBtn.style.borderRadius = "4px";
       joinBtn.style.color = "white";
       joinBtn.style.cursor = "pointer";
 
-      // Disable button if lobby is full
+      // Disable button if lobby is full (bots make room for real players)
       if (lobby.players.length >= lobby.maxPlayers) {
         joinBtn.disabled = true;
         joinBtn.style.backgroundColor = "#888";
@@ -460,6 +550,7 @@ export class LobbyManager {
     const playersListElement = document.getElementById("lobby-players");
     if (playersListElement) {
       playersListElement.innerHTML = "";
+      const settings = this.currentLobby.settings;
 
       console.log(
         "Updating player list with data:",
@@ -482,10 +573,88 @@ export class LobbyManager {
         if (player.id === this.currentLobby.hostId) {
           nameSpan.textContent += " 👑 (Host)";
           nameSpan.style.color = "#ffd700";
+        } else {
+          nameSpan.textContent += player.ready ? " ✅ ready" : " ⏳ not ready";
+        }
+        if (player.muted) {
+          nameSpan.textContent += " 🔇";
+        }
+        if (player.disconnected) {
+          nameSpan.textContent += " (reconnecting...)";
+          nameSpan.style.opacity = "0.6";
+        }
+        if (settings.gorillaSelection === "volunteer" && player.volunteer) {
+          nameSpan.textContent += " 🦍 volunteer";
+        }
+        if (
+          settings.gorillaSelection === "host" &&
+          settings.gorillaPickId === player.id
+        ) {
+          nameSpan.textContent += " 🦍 picked";
         }
 
         playerItem.appendChild(nameSpan);
 
+        const actions = document.createElement("div");
+        actions.style.display = "flex";
+        actions.style.gap = "5px";
+        playerItem.appendChild(actions);
+
+        // Everyone but the host says when they are ready to start
+        if (
+          player.id === this.socket.id &&
+          player.id !== this.currentLobby.hostId
+        ) {
+          actions.appendChild(
+            this.createSmallButton(
+              player.ready ? "Not ready" : "Ready",
+              player.ready ? "#888" : "#4CAF50",
+              () => this.setReady(!player.ready)
+            )
+          );
+        }
+
+        // Anyone can offer to be the gorilla when volunteers are picked from
+        if (
+          settings.gorillaSelection === "volunteer" &&
+          player.id === this.socket.id
+        ) {
+          actions.appendChild(
+            this.createSmallButton(
+              player.volunteer ? "Withdraw" : "Volunteer",
+              "#ff9800",
+              () => this.setVolunteer(!player.volunteer)
+            )
+          );
+        }
+
+        // The host can pick the gorilla and hand over the host role
+        if (this.isHost && settings.gorillaSelection === "host") {
+          actions.appendChild(
+            this.createSmallButton("Gorilla", "#795548", () =>
+              this.updateSettings({ gorillaPickId: player.id })
+            )
+          );
+        }
+        if (this.isHost && player.id !== this.socket.id) {
+          actions.appendChild(
+            this.createSmallButton("Make host", "#9c27b0", () =>
+              this.transferHost(player.id)
+            )
+          );
+        }
+
+        // For the host: mute or unmute other players in chat
+        if (this.isHost && player.id !== this.socket.id) {
+          actions.appendChild(
+            this.createSmallButton(
+              player.muted ? "Unmute" : "Mute",
+              "#607d8b",
+              () => this.setMuted(player.id, !player.muted)
+            )
+          );
+        }
+
         // For the host: add kick button for other players
         if (this.isHost && player.id !== this.socket.id) {
           const kickBtn = document.createElement("button");
@@ -502,23 +671,33 @@ export class LobbyManager {
             this.kickPlayer(player.id);
           });
 
-          playerItem.appendChild(kickBtn);
+          actions.appendChild(kickBtn);
         }
 
         playersListElement.appendChild(playerItem);
       });
+
+      playersListElement.appendChild(this.createInviteRow());
+      playersListElement.appendChild(this.createBotsRow());
+      playersListElement.appendChild(this.createSettingsPanel());
     }
 
     // Show/hide start game button based on host status
     const startGameBtn = document.getElementById("start-game-btn");
     if (startGameBtn) {
       if (this.isHost) {
+        const notReady = this.getNotReadyPlayers();
         startGameBtn.style.display = "block";
         startGameBtn.disabled = this.currentLobby.players.length < 1;
         if (startGameBtn.disabled) {
           startGameBtn.style.backgroundColor = "#888";
           startGameBtn.style.cursor = "not-allowed";
           startGameBtn.textContent = "Need more players to start";
+        } else if (notReady.length > 0) {
+          // The host can still start without them
+          startGameBtn.style.backgroundColor = "#ff9800";
+          startGameBtn.style.cursor = "pointer";
+          startGameBtn.textContent = `Start anyway (${notReady.length} not ready)`;
         } else {
           startGameBtn.style.backgroundColor = "#4CAF50";
           startGameBtn.style.cursor = "pointer";
@@ -530,6 +709,486 @@ export class LobbyManager {
     }
   }
 
+  // The lobby's invite code and a link anyone in the lobby can pass on
+  createInviteRow() {
+    const inviteItem = document.createElement("div");
+    inviteItem.id = "lobby-invite";
+    inviteItem.style.padding = "8px";
+    inviteItem.style.marginBottom = "5px";
+    inviteItem.style.backgroundColor = "rgba(0, 150, 0, 0.2)";
+    inviteItem.style.borderRadius = "4px";
+    inviteItem.style.display = "flex";
+    inviteItem.style.justifyContent = "space-between";
+    inviteItem.style.alignItems = "center";
+
+    const label = document.createElement("span");
+    label.textContent = `🔗 Invite code: ${this.currentLobby.inviteCode}`;
+    if (this.currentLobby.settings.isPrivate) {
+      label.textContent += " (private)";
+    }
+    inviteItem.appendChild(label);
+
+    const copyButton = this.createSmallButton("Copy Link", "#4CAF50", () => {
+      navigator.clipboard.writeText(this.getInviteLink()).then(() => {
+        copyButton.textContent = "Copied!";
+        setTimeout(() => {
+          copyButton.textContent = "Copy Link";
+        }, 2000);
+      });
+    });
+    inviteItem.appendChild(copyButton);
+
+    return inviteItem;
+  }
+
+  // Link that takes a friend straight into the current lobby - on the public
+  // server address when there is one
+  getInviteLink() {
+    const url = new URL(
+      this.publicUrl || window.location.origin + window.location.pathname
+    );
+    url.search = "";
+    url.searchParams.set("lobby", this.currentLobby.inviteCode);
+    return url.toString();
+  }
+
+  // Bot summary for the player list - the host gets controls to change it
+  createBotsRow() {
+    const bots = this.currentLobby.bots || [];
+    const freeSlots =
+      this.currentLobby.settings.maxPlayers - this.currentLobby.players.length;
+
+    const botsItem = document.createElement("div");
+    botsItem.id = "lobby-bots";
+    botsItem.style.padding = "8px";
+    botsItem.style.marginBottom = "5px";
+    botsItem.style.backgroundColor = "rgba(0, 0, 0, 0.3)";
+    botsItem.style.borderRadius = "4px";
+    botsItem.style.display = "flex";
+    botsItem.style.justifyContent = "space-between";
+    botsItem.style.alignItems = "center";
+
+    const label = document.createElement("span");
+    label.textContent = `🤖 ${bots.length} bot${bots.length === 1 ? "" : "s"}`;
+    label.style.color = "#aaa";
+    botsItem.appendChild(label);
+
+    if (!this.isHost) {
+      return botsItem;
+    }
+
+    const controls = document.createElement("div");
+    controls.style.display = "flex";
+    controls.style.gap = "5px";
+
+    const addButton = (text, count, disabled) => {
+      const button = document.createElement("button");
+      button.textContent = text;
+      button.style.padding = "4px 8px";
+      button.style.backgroundColor = disabled ? "#888" : "#2196F3";
+      button.style.border = "none";
+      button.style.borderRadius = "4px";
+      button.style.color = "white";
+      button.style.fontSize = "12px";
+      button.style.cursor = disabled ? "not-allowed" : "pointer";
+      button.disabled = disabled;
+      button.addEventListener("click", () => {
+        this.setBotCount(count);
+      });
+      controls.appendChild(button);
+    };
+
+    addButton("-", bots.length - 1, bots.length === 0);
+    addButton("+", bots.length + 1, bots.length >= freeSlots);
+    addButton("Fill", freeSlots, bots.length >= freeSlots);
+    addButton("Clear", 0, bots.length === 0);
+
+    botsItem.appendChild(controls);
+    return botsItem;
+  }
+
+  // Change how many bots fill the lobby (host only)
+  setBotCount(count) {
+    if (!this.socket || !this.isHost) {
+      console.error("Cannot change bots - not connected or not host");
+      return;
+    }
+
+    this.socket.emit("setBotCount", { count });
+  }
+
+  // Small action button for the player list
+  createSmallButton(text, color, onClick) {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.style.padding = "4px 8px";
+    button.style.backgroundColor = color;
+    button.style.border = "none";
+    button.style.borderRadius = "4px";
+    button.style.color = "white";
+    button.style.fontSize = "12px";
+    button.style.cursor = "pointer";
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  // Everything the host can set up before starting - everyone sees the
+  // values, only the host gets the controls
+  createSettingsPanel() {
+    const settings = this.currentLobby.settings;
+    const panel = document.createElement("div");
+    panel.id = "lobby-settings";
+
+    const formatMultiplier = (value) => `x${value}`;
+    const formatMinutes = (seconds) =>
+      seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds}s`;
+
+    panel.appendChild(
+      this.createSettingRow(
+        "🦍 Mode",
+        settings.mode === "pve"
+          ? "PvE - AI gorilla, everyone plays a human"
+          : "PvP - a player is the gorilla",
+        this.createSettingSelect(
+          [
+            ["pvp", "PvP"],
+            ["pve", "PvE (AI gorilla)"],
+          ],
+          settings.mode,
+          (mode) => this.updateSettings({ mode })
+        )
+      )
+    );
+
+    const privateCheckbox = document.createElement("input");
+    privateCheckbox.type = "checkbox";
+    privateCheckbox.checked = settings.isPrivate;
+    privateCheckbox.addEventListener("change", () => {
+      this.updateSettings({ isPrivate: privateCheckbox.checked });
+    });
+    panel.appendChild(
+      this.createSettingRow(
+        "🔒 Private (invite only)",
+        settings.isPrivate ? "On" : "Off",
+        privateCheckbox
+      )
+    );
+
+    panel.appendChild(this.createPasscodeRow());
+
+    if (settings.mode === "pvp") {
+      panel.appendChild(
+        this.createSettingRow(
+          "🎲 Gorilla",
+          GORILLA_SELECTION_LABELS[settings.gorillaSelection],
+          this.createSettingSelect(
+            Object.entries(GORILLA_SELECTION_LABELS),
+            settings.gorillaSelection,
+            (gorillaSelection) => this.updateSettings({ gorillaSelection })
+          )
+        )
+      );
+
+      panel.appendChild(
+        this.createSettingRow(
+          "🚪 If the gorilla leaves",
+          GORILLA_SUCCESSION_LABELS[settings.gorillaSuccession],
+          this.createSettingSelect(
+            Object.entries(GORILLA_SUCCESSION_LABELS),
+            settings.gorillaSuccession,
+            (gorillaSuccession) => this.updateSettings({ gorillaSuccession })
+          )
+        )
+      );
+    }
+
+    const maxPlayersInput = document.createElement("input");
+    maxPlayersInput.type = "number";
+    maxPlayersInput.min = "2";
+    maxPlayersInput.max = "101";
+    maxPlayersInput.value = settings.maxPlayers;
+    maxPlayersInput.style.width = "60px";
+    maxPlayersInput.addEventListener("change", () => {
+      this.updateSettings({ maxPlayers: parseInt(maxPlayersInput.value, 10) });
+    });
+    panel.appendChild(
+      this.createSettingRow(
+        "👥 Max players",
+        settings.maxPlayers,
+        maxPlayersInput
+      )
+    );
+
+    panel.appendChild(
+      this.createSettingRow(
+        "⏱ Round length",
+        formatMinutes(settings.roundDurationSeconds),
+        this.createSettingSelect(
+          this.withCurrentChoice(
+            ROUND_LENGTH_CHOICES,
+            settings.roundDurationSeconds
+          ).map((seconds) => [seconds, formatMinutes(seconds)]),
+          settings.roundDurationSeconds,
+          (value) =>
+            this.updateSettings({ roundDurationSeconds: parseInt(value, 10) })
+        )
+      )
+    );
+
+    [
+      ["humanHealthMultiplier", "❤ Human health"],
+      ["humanDamageMultiplier", "⚔ Human damage"],
+      ["gorillaHealthMultiplier", "❤ Gorilla health"],
+      ["gorillaDamageMultiplier", "⚔ Gorilla damage"],
+    ].forEach(([key, label]) => {
+      panel.appendChild(
+        this.createSettingRow(
+          label,
+          formatMultiplier(settings[key]),
+          this.createSettingSelect(
+            this.withCurrentChoice(MULTIPLIER_CHOICES, settings[key]).map(
+              (value) => [value, formatMultiplier(value)]
+            ),
+            settings[key],
+            (value) => this.updateSettings({ [key]: parseFloat(value) })
+          )
+        )
+      );
+    });
+
+    const botFillCheckbox = document.createElement("input");
+    botFillCheckbox.type = "checkbox";
+    botFillCheckbox.checked = settings.botFill;
+    botFillCheckbox.addEventListener("change", () => {
+      this.updateSettings({ botFill: botFillCheckbox.checked });
+    });
+    panel.appendChild(
+      this.createSettingRow(
+        "🤖 Fill empty slots with bots",
+        settings.botFill ? "On" : "Off",
+        botFillCheckbox
+      )
+    );
+
+    panel.appendChild(this.createRespawnRow());
+
+    return panel;
+  }
+
+  // Passcode setting - the server never sends the passcode back, so the host
+  // can only set a new one or remove it
+  createPasscodeRow() {
+    const hasPasscode = this.currentLobby.hasPasscode;
+
+    const controls = document.createElement("div");
+    controls.style.display = "flex";
+    controls.style.gap = "5px";
+
+    const passcodeInput = document.createElement("input");
+    passcodeInput.type = "text";
+    passcodeInput.maxLength = 32;
+    passcodeInput.placeholder = hasPasscode ? "New passcode" : "Passcode";
+    passcodeInput.style.width = "100px";
+    controls.appendChild(passcodeInput);
+
+    controls.appendChild(
+      this.createSmallButton("Set", "#2196F3", () => {
+        if (passcodeInput.value.trim()) {
+          this.updateSettings({ passcode: passcodeInput.value });
+        }
+      })
+    );
+    if (hasPasscode) {
+      controls.appendChild(
+        this.createSmallButton("Remove", "#f44336", () =>
+          this.updateSettings({ passcode: "" })
+        )
+      );
+    }
+
+    return this.createSettingRow(
+      "🔑 Passcode",
+      hasPasscode ? "Required" : "None",
+      controls
+    );
+  }
+
+  // One line of the settings panel - the host gets the control, everyone
+  // else the current value
+  createSettingRow(label, valueText, control) {
+    const row = document.createElement("div");
+    row.style.padding = "8px";
+    row.style.marginBottom = "5px";
+    row.style.backgroundColor = "rgba(0, 0, 0, 0.3)";
+    row.style.borderRadius = "4px";
+    row.style.display = "flex";
+    row.style.justifyContent = "space-between";
+    row.style.alignItems = "center";
+
+    const labelSpan = document.createElement("span");
+    labelSpan.textContent = label;
+    labelSpan.style.color = "#aaa";
+    row.appendChild(labelSpan);
+
+    if (this.isHost) {
+      row.appendChild(control);
+    } else {
+      const value = document.createElement("span");
+      value.textContent = valueText;
+      row.appendChild(value);
+    }
+
+    return row;
+  }
+
+  // Drop-down for a setting - options are [value, label] pairs
+  createSettingSelect(options, value, onChange) {
+    const select = document.createElement("select");
+    select.style.padding = "3px";
+    select.style.borderRadius = "4px";
+    select.style.fontSize = "12px";
+    options.forEach(([optionValue, text]) => {
+      const option = document.createElement("option");
+      option.value = optionValue;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener("change", () => onChange(select.value));
+    return select;
+  }
+
+  // The preset choices, plus the current value if the server settled on
+  // something else
+  withCurrentChoice(choices, current) {
+    return choices.includes(current)
+      ? choices
+      : [...choices, current].sort((a, b) => a - b);
+  }
+
+  // Change some of the lobby settings (host only - the server validates them)
+  updateSettings(changes) {
+    if (!this.socket || !this.isHost) {
+      console.error("Cannot change settings - not connected or not host");
+      return;
+    }
+
+    this.socket.emit("updateLobbySettings", changes);
+  }
+
+  // Players the host is still waiting on (the host readies by starting)
+  getNotReadyPlayers() {
+    return this.currentLobby.players.filter(
+      (p) => p.id !== this.currentLobby.hostId && !p.ready
+    );
+  }
+
+  // Say we are (or aren't) ready to start
+  setReady(ready) {
+    if (!this.socket) return;
+
+    this.socket.emit("setReady", { ready });
+  }
+
+  // Offer (or stop offering) to be the gorilla
+  setVolunteer(volunteer) {
+    if (!this.socket) return;
+
+    this.socket.emit("setVolunteer", { volunteer });
+  }
+
+  // Hand the host role to another player (host only)
+  transferHost(playerId) {
+    if (!this.socket || !this.isHost) {
+      console.error("Cannot transfer host - not connected or not host");
+      return;
+    }
+
+    this.socket.emit("transferHost", { playerId });
+  }
+
+  // Respawn rules for the lobby - the host picks the mode and tunes it
+  createRespawnRow() {
+    const rules = this.currentLobby.settings.respawn;
+
+    const respawnItem = document.createElement("div");
+    respawnItem.id = "lobby-respawn";
+    respawnItem.style.padding = "8px";
+    respawnItem.style.marginBottom = "5px";
+    respawnItem.style.backgroundColor = "rgba(0, 0, 0, 0.3)";
+    respawnItem.style.borderRadius = "4px";
+    respawnItem.style.display = "flex";
+    respawnItem.style.justifyContent = "space-between";
+    respawnItem.style.alignItems = "center";
+
+    const label = document.createElement("span");
+    if (rules.mode === "lives") {
+      label.textContent = `💀 ${rules.lives} lives each`;
+    } else if (rules.mode === "waves") {
+      label.textContent = `💀 Respawn waves every ${rules.waveIntervalSeconds}s`;
+    } else {
+      label.textContent = "💀 No respawns - one life each";
+    }
+    label.style.color = "#aaa";
+    respawnItem.appendChild(label);
+
+    if (!this.isHost) {
+      return respawnItem;
+    }
+
+    const controls = document.createElement("div");
+    controls.style.display = "flex";
+    controls.style.gap = "5px";
+
+    const modeSelect = document.createElement("select");
+    modeSelect.style.padding = "3px";
+    modeSelect.style.borderRadius = "4px";
+    modeSelect.style.fontSize = "12px";
+    [
+      ["none", "No respawn"],
+      ["lives", "Lives"],
+      ["waves", "Waves"],
+    ].forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = rules.mode;
+    modeSelect.addEventListener("change", () => {
+      this.updateSettings({ respawn: { ...rules, mode: modeSelect.value } });
+    });
+    controls.appendChild(modeSelect);
+
+    // Lives go up one at a time, wave intervals five seconds at a time
+    const addButton = (text, change) => {
+      const button = document.createElement("button");
+      button.textContent = text;
+      button.style.padding = "4px 8px";
+      button.style.backgroundColor = "#2196F3";
+      button.style.border = "none";
+      button.style.borderRadius = "4px";
+      button.style.color = "white";
+      button.style.fontSize = "12px";
+      button.style.cursor = "pointer";
+      button.addEventListener("click", () => {
+        this.updateSettings({ respawn: { ...rules, ...change } });
+      });
+      controls.appendChild(button);
+    };
+
+    if (rules.mode === "lives") {
+      addButton("-", { lives: rules.lives - 1 });
+      addButton("+", { lives: rules.lives + 1 });
+    } else if (rules.mode === "waves") {
+      addButton("-", { waveIntervalSeconds: rules.waveIntervalSeconds - 5 });
+      addButton("+", { waveIntervalSeconds: rules.waveIntervalSeconds + 5 });
+    }
+
+    respawnItem.appendChild(controls);
+    return respawnItem;
+  }
+
   // Show create lobby dialog
   showCreateLobbyDialog() {
     // Create modal background
@@ -571,12 +1230,15 @@ export class LobbyManager {
         10
       );
 
+      const isPrivate = document.getElementById("create-lobby-private").checked;
+      const passcode = document.getElementById("create-lobby-passcode").value;
+
       if (!lobbyName) {
         alert("Please enter a lobby name");
         return;
       }
 
-      this.createLobby(lobbyName, maxPlayers);
+      this.createLobby(lobbyName, maxPlayers, { isPrivate, passcode });
       document.body.removeChild(modalBg);
     };
 
@@ -590,6 +1252,7 @@ export class LobbyManager {
     const nameInput = document.createElement("input");
     nameInput.type = "text";
     nameInput.id = "create-lobby-name";
+    nameInput.maxLength = 40;
     nameInput.value = `${this.playerName}'s Lobby`;
     nameInput.style.width = "100%";
     nameInput.style.padding = "8px";
@@ -611,7 +1274,7 @@ export class LobbyManager {
     maxPlayersInput.type = "number";
     maxPlayersInput.id = "create-lobby-max-players";
     maxPlayersInput.min = "2";
-    maxPlayersInput.max = "10";
+    maxPlayersInput.max = "101"; // 100 humans and the gorilla
     maxPlayersInput.value = "4";
     maxPlayersInput.style.width = "100%";
     maxPlayersInput.style.padding = "8px";
@@ -622,6 +1285,42 @@ export class LobbyManager {
     maxPlayersInput.style.color = "white";
     form.appendChild(maxPlayersInput);
 
+    // Private lobby checkbox
+    const privateLabel = document.createElement("label");
+    privateLabel.style.display = "block";
+    privateLabel.style.marginBottom = "15px";
+
+    const privateCheckbox = document.createElement("input");
+    privateCheckbox.type = "checkbox";
+    privateCheckbox.id = "create-lobby-private";
+    privateCheckbox.style.marginRight = "8px";
+    privateLabel.appendChild(privateCheckbox);
+    privateLabel.appendChild(
+      document.createTextNode("Private - only joinable with the invite link")
+    );
+    form.appendChild(privateLabel);
+
+    // Optional passcode input
+    const passcodeLabel = document.createElement("label");
+    passcodeLabel.textContent = "Passcode (optional):";
+    passcodeLabel.style.display = "block";
+    passcodeLabel.style.marginBottom = "5px";
+    form.appendChild(passcodeLabel);
+
+    const passcodeInput = document.createElement("input");
+    passcodeInput.type = "text";
+    passcodeInput.id = "create-lobby-passcode";
+    passcodeInput.maxLength = 32;
+    passcodeInput.placeholder = "Leave empty for none";
+    passcodeInput.style.width = "100%";
+    passcodeInput.style.padding = "8px";
+    passcodeInput.style.marginBottom = "15px";
+    passcodeInput.style.backgroundColor = "#333";
+    passcodeInput.style.border = "none";
+    passcodeInput.style.borderRadius = "4px";
+    passcodeInput.style.color = "white";
+    form.appendChild(passcodeInput);
+
     // Buttons
     const buttonContainer = document.createElement("div");
     buttonContainer.style.display = "flex";
@@ -664,7 +1363,7 @@ export class LobbyManager {
   }
 
   // Create a new lobby
-  createLobby(name, maxPlayers) {
+  createLobby(name, maxPlayers, { isPrivate = false, passcode = "" } = {}) {
     if (!this.socket) {
       showMessage("Not connected to server", "red");
       return;
@@ -674,6 +1373,8 @@ export class LobbyManager {
       name,
       maxPlayers,
       playerName: this.playerName,
+      settings: { isPrivate },
+      passcode,
     });
 
     if (this.onCreateGameCallback) {
@@ -683,13 +1384,38 @@ export class LobbyManager {
 
   // Join an existing lobby
   joinLobby(lobbyId) {
+    this.requestJoin({ lobbyId });
+  }
+
+  // Join a lobby with its invite code (the only way into a private lobby)
+  joinByInviteCode(inviteCode) {
+    this.requestJoin({ inviteCode });
+  }
+
+  // Remember an invite code from a link, to join once we are connected
+  setPendingInvite(inviteCode) {
+    this.pendingInviteCode = inviteCode;
+  }
+
+  // Join the lobby from the invite link, if we came from one
+  joinPendingInvite() {
+    if (!this.pendingInviteCode) return;
+
+    const inviteCode = this.pendingInviteCode;
+    this.pendingInviteCode = null;
+    this.joinByInviteCode(inviteCode);
+  }
+
+  // Send a join request - kept so it can be sent again with a passcode
+  requestJoin(request) {
     if (!this.socket) {
       showMessage("Not connected to server", "red");
       return;
     }
 
+    this.lastJoinRequest = request;
     this.socket.emit("joinLobby", {
-      lobbyId,
+      ...request,
       playerName: this.playerName,
     });
   }
@@ -701,7 +1427,13 @@ export class LobbyManager {
     }
 
     this.socket.emit("leaveLobby");
+    this.clearCurrentLobby();
+  }
+
+  // Forget the current lobby and go back to the list of lobbies
+  clearCurrentLobby() {
     this.currentLobby = null;
+    this.isHost = false;
 
     // Show the lobbies list again
     const currentLobbySection = document.getElementById("current-lobby");
@@ -713,6 +1445,13 @@ export class LobbyManager {
     this.refreshLobbies();
   }
 
+  // Stop (or let) a player chat (host only)
+  setMuted(playerId, muted) {
+    if (!this.socket || !this.isHost) return;
+
+    this.socket.emit("setMuted", { playerId, muted });
+  }
+
   // Kick a player from lobby (host only)
   kickPlayer(playerId) {
     if (!this.socket || !this.isHost) {
@@ -756,13 +1495,29 @@ export class LobbyManager {
       return;
     }
 
+    // Starting before everyone is ready needs the host's say-so
+    const notReady = this.getNotReadyPlayers();
+    if (
+      notReady.length > 0 &&
+      !confirm(
+        `Not ready yet: ${notReady
+          .map((p) => p.name)
+          .join(", ")}. Start anyway?`
+      )
+    ) {
+      return;
+    }
+
     showMessage("Starting game...", "green");
     console.log(
       "Sending startGame event to server with lobbyId:",
       this.currentLobby.id
     );
 
-    this.socket.emit("startGame", { lobbyId: this.currentLobby.id });
+    this.socket.emit("startGame", {
+      lobbyId: this.currentLobby.id,
+      force: notReady.length > 0,
+    });
   }
 
   // Refresh the list of lobbies
@@ -780,6 +1535,10 @@ export class LobbyManager {
     if (lobbyScreen) {
       lobbyScreen.style.display = "none";
     }
+
+    if (this.chatBox) {
+      this.chatBox.setMode("playing");
+    }
   }
 
   // Show the lobby screen
@@ -791,6 +1550,10 @@ export class LobbyManager {
       this.createLobbyScreen();
     }
 
+    if (this.chatBox) {
+      this.chatBox.setMode("lobby");
+    }
+
     // Refresh lobbies list
     this.refreshLobbies();
   }
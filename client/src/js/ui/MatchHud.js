@@ -0,0 +1,266 @@
+// Human readable explanations for why a match ended
+const END_REASONS = {
+  gorillaKilled: "The gorilla was defeated!",
+  gorillaLeft: "The gorilla left the match.",
+  humansEliminated: "Every human was wiped out!",
+  humansLeft: "All the humans left the match.",
+  timeUp: "The humans survived until time ran out!",
+  adminEnded: "The match was stopped by the server admin.",
+};
+
+export class MatchHud {
+  constructor() {
+    this.state = null;
+    this.endsAt = null;
+    this.loadingProgress = null; // { loaded, total } while players load in
+    this.timerInterval = null;
+    this.onCloseResultsCallback = null;
+
+    this.createUI();
+  }
+
+  createUI() {
+    // Round timer (top center)
+    this.timer = document.createElement("div");
+    this.timer.className = "match-timer";
+    this.timer.style.position = "absolute";
+    this.timer.style.top = "20px";
+    this.timer.style.left = "50%";
+    this.timer.style.transform = "translateX(-50%)";
+    this.timer.style.padding = "5px 15px";
+    this.timer.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
+    this.timer.style.borderRadius = "5px";
+    this.timer.style.color = "#fff";
+    this.timer.style.fontSize = "24px";
+    this.timer.style.fontFamily = "Arial, sans-serif";
+    this.timer.style.fontWeight = "bold";
+    this.timer.style.display = "none";
+
+    // Big countdown in the middle of the screen
+    this.countdown = document.createElement("div");
+    this.countdown.className = "match-countdown";
+    this.countdown.style.position = "absolute";
+    this.countdown.style.top = "40%";
+    this.countdown.style.left = "50%";
+    this.countdown.style.transform = "translate(-50%, -50%)";
+    this.countdown.style.color = "#fff";
+    this.countdown.style.fontSize = "96px";
+    this.countdown.style.fontFamily = "Arial, sans-serif";
+    this.countdown.style.fontWeight = "bold";
+    this.countdown.style.textShadow = "3px 3px 6px rgba(0,0,0,0.7)";
+    this.countdown.style.pointerEvents = "none";
+    this.countdown.style.display = "none";
+
+    // Results screen shown when the match ends
+    this.results = document.createElement("div");
+    this.results.className = "match-results";
+    this.results.style.position = "absolute";
+    this.results.style.top = "0";
+    this.results.style.left = "0";
+    this.results.style.width = "100%";
+    this.results.style.height = "100%";
+    this.results.style.backgroundColor = "rgba(0, 0, 0, 0.8)";
+    this.results.style.display = "none";
+    this.results.style.flexDirection = "column";
+    this.results.style.justifyContent = "center";
+    this.results.style.alignItems = "center";
+    this.results.style.color = "#fff";
+    this.results.style.fontFamily = "Arial, sans-serif";
+    this.results.style.zIndex = "1500";
+
+    document.body.appendChild(this.timer);
+    document.body.appendChild(this.countdown);
+    document.body.appendChild(this.results);
+  }
+
+  // Apply a match state update from the server (loadingProgress comes with
+  // the "loading" state)
+  setState(state, remainingMs, loadingProgress = null) {
+    const previousState = this.state;
+    this.state = state;
+    this.loadingProgress = loadingProgress;
+
+    // Use our own clock so the server's clock doesn't need to match
+    this.endsAt = remainingMs !== null ? Date.now() + remainingMs : null;
+
+    if (state === "ended") {
+      this.stopTimer();
+      this.timer.style.display = "none";
+      this.countdown.style.display = "none";
+      return;
+    }
+
+    // Leave "GO!" up for a moment after the countdown
+    if (state === "playing" && previousState === "countdown") {
+      this.countdown.textContent = "GO!";
+      setTimeout(() => {
+        if (this.state === "playing") {
+          this.countdown.style.display = "none";
+        }
+      }, 1000);
+    } else if (state === "playing") {
+      this.countdown.style.display = "none";
+    }
+
+    this.startTimer();
+  }
+
+  startTimer() {
+    this.stopTimer();
+    this.updateTimer();
+    this.timerInterval = setInterval(() => this.updateTimer(), 250);
+  }
+
+  stopTimer() {
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+  }
+
+  updateTimer() {
+    const remainingMs =
+      this.endsAt !== null ? Math.max(0, this.endsAt - Date.now()) : 0;
+    const seconds = Math.ceil(remainingMs / 1000);
+
+    if (this.state === "loading") {
+      // Waiting for everyone's models before the countdown
+      const progress = this.loadingProgress;
+      this.timer.style.display = "none";
+      this.countdown.style.display = "block";
+      this.countdown.style.fontSize = "36px";
+      this.countdown.textContent = progress
+        ? `Waiting for players... ${progress.loaded}/${progress.total}`
+        : "Waiting for players...";
+    } else if (this.state === "countdown") {
+      this.timer.style.display = "none";
+      this.countdown.style.display = "block";
+      this.countdown.style.fontSize = "96px";
+      this.countdown.textContent = seconds > 0 ? `${seconds}` : "GO!";
+    } else if (this.state === "playing") {
+      const minutes = Math.floor(seconds / 60);
+      const secs = seconds % 60;
+      this.timer.textContent = `${minutes}:${secs.toString().padStart(2, "0")}`;
+      this.timer.style.color = seconds <= 30 ? "#e74c3c" : "#fff";
+      this.timer.style.display = "block";
+    }
+  }
+
+  // Show who won and everyone's stats
+  showResults(result, localPlayerId) {
+    this.setState("ended", null);
+    this.results.innerHTML = "";
+
+    const title = document.createElement("h1");
+    if (!result.winner) {
+      title.textContent = "NO CONTEST";
+      title.style.color = "#9b9b9b";
+    } else {
+      title.textContent =
+        result.winner === "gorilla" ? "THE GORILLA WINS!" : "THE HUMANS WIN!";
+      title.style.color = result.winner === "gorilla" ? "#e74c3c" : "#2ecc71";
+    }
+    title.style.margin = "0 0 10px 0";
+    title.style.fontSize = "48px";
+    this.results.appendChild(title);
+
+    const reason = document.createElement("div");
+    reason.textContent = END_REASONS[result.reason] || "";
+    reason.style.fontSize = "20px";
+    reason.style.marginBottom = "20px";
+    this.results.appendChild(reason);
+
+    // Stats table
+    const table = document.createElement("table");
+    table.style.borderCollapse = "collapse";
+    table.style.marginBottom = "20px";
+    table.style.fontSize = "16px";
+
+    const header = document.createElement("tr");
+    [
+      "Player",
+      "Role",
+      "Kills",
+      "Deaths",
+      "Damage Dealt",
+      "Damage Taken",
+    ].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      th.style.padding = "5px 15px";
+      th.style.borderBottom = "1px solid #888";
+      header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    // Gorilla first, then humans by kills
+    const stats = [...result.stats].sort(
+      (a, b) => b.isGorilla - a.isGorilla || b.kills - a.kills
+    );
+
+    stats.forEach((playerStats) => {
+      const row = document.createElement("tr");
+      if (playerStats.id === localPlayerId) {
+        row.style.backgroundColor = "rgba(52, 152, 219, 0.3)";
+      }
+      if (playerStats.left) {
+        row.style.opacity = "0.5";
+      }
+
+      [
+        playerStats.name,
+        playerStats.isGorilla ? "Gorilla" : "Human",
+        playerStats.kills,
+        playerStats.deaths,
+        playerStats.damageDealt,
+        playerStats.damageTaken,
+      ].forEach((value) => {
+        const td = document.createElement("td");
+        td.textContent = value;
+        td.style.padding = "5px 15px";
+        td.style.textAlign = "center";
+        row.appendChild(td);
+      });
+
+      table.appendChild(row);
+    });
+    this.results.appendChild(table);
+
+    // Back to lobby button
+    const backButton = document.createElement("button");
+    backButton.textContent = "Back to Lobby";
+    backButton.style.padding = "10px 20px";
+    backButton.style.backgroundColor = "#3498db";
+    backButton.style.color = "white";
+    backButton.style.border = "none";
+    backButton.style.borderRadius = "5px";
+    backButton.style.fontSize = "20px";
+    backButton.style.cursor = "pointer";
+    backButton.addEventListener("click", () => this.hideResults());
+    this.results.appendChild(backButton);
+
+    this.results.style.display = "flex";
+  }
+
+  hideResults() {
+    if (this.results.style.display === "none") return;
+
+    this.results.style.display = "none";
+    this.onCloseResultsCallback && this.onCloseResultsCallback();
+  }
+
+  // Hide everything (e.g. when leaving a match early)
+  reset() {
+    this.state = null;
+    this.endsAt = null;
+    this.loadingProgress = null;
+    this.stopTimer();
+    this.timer.style.display = "none";
+    this.countdown.style.display = "none";
+    this.results.style.display = "none";
+  }
+
+  onCloseResults(callback) {
+    this.onCloseResultsCallback = callback;
+  }
+}
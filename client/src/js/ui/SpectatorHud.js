@@ -0,0 +1,193 @@
+import * as THREE from "three";
+
+// Labels sit this far above a player's feet (gorillas are taller)
+const LABEL_HEIGHT = 2.8;
+const GORILLA_LABEL_HEIGHT = 4.5;
+
+// Labels further away than this are hidden to keep the screen readable
+const LABEL_MAX_DISTANCE = 40;
+
+// What a spectator sees on top of the game: who they are watching, how to
+// switch, and a name and health bar over every living player
+export class SpectatorHud {
+  constructor() {
+    this.isVisible = false;
+    this.labels = new Map(); // player id -> { element, name, bar }
+
+    this.createUI();
+  }
+
+  createUI() {
+    // Who we are watching (below the round timer)
+    this.banner = document.createElement("div");
+    this.banner.className = "spectator-banner";
+    this.banner.style.position = "absolute";
+    this.banner.style.top = "65px";
+    this.banner.style.left = "50%";
+    this.banner.style.transform = "translateX(-50%)";
+    this.banner.style.padding = "5px 15px";
+    this.banner.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
+    this.banner.style.borderRadius = "5px";
+    this.banner.style.color = "#fff";
+    this.banner.style.fontSize = "18px";
+    this.banner.style.fontFamily = "Arial, sans-serif";
+    this.banner.style.pointerEvents = "none";
+    this.banner.style.display = "none";
+
+    // Key reminder (bottom center)
+    this.hint = document.createElement("div");
+    this.hint.className = "spectator-hint";
+    this.hint.style.position = "absolute";
+    this.hint.style.bottom = "20px";
+    this.hint.style.left = "50%";
+    this.hint.style.transform = "translateX(-50%)";
+    this.hint.style.color = "rgba(255, 255, 255, 0.8)";
+    this.hint.style.fontSize = "14px";
+    this.hint.style.fontFamily = "Arial, sans-serif";
+    this.hint.style.textShadow = "1px 1px 2px rgba(0,0,0,0.7)";
+    this.hint.style.pointerEvents = "none";
+    this.hint.style.display = "none";
+
+    // Holds the per-player labels
+    this.labelLayer = document.createElement("div");
+    this.labelLayer.className = "spectator-labels";
+    this.labelLayer.style.position = "absolute";
+    this.labelLayer.style.top = "0";
+    this.labelLayer.style.left = "0";
+    this.labelLayer.style.width = "100%";
+    this.labelLayer.style.height = "100%";
+    this.labelLayer.style.overflow = "hidden";
+    this.labelLayer.style.pointerEvents = "none";
+    this.labelLayer.style.display = "none";
+
+    document.body.appendChild(this.banner);
+    document.body.appendChild(this.hint);
+    document.body.appendChild(this.labelLayer);
+  }
+
+  show() {
+    this.isVisible = true;
+    this.banner.style.display = "block";
+    this.hint.style.display = "block";
+    this.labelLayer.style.display = "block";
+  }
+
+  hide() {
+    this.isVisible = false;
+    this.banner.style.display = "none";
+    this.hint.style.display = "none";
+    this.labelLayer.style.display = "none";
+
+    this.labels.forEach((label) => label.element.remove());
+    this.labels.clear();
+  }
+
+  // Refresh the banner and move the labels to where the players are on screen
+  update(target, targets, mode, camera) {
+    if (!this.isVisible) return;
+
+    if (target) {
+      this.banner.textContent = `SPECTATING ${target.name} ${this.formatHealth(
+        target
+      )}`;
+    } else {
+      this.banner.textContent =
+        mode === "free" ? "SPECTATING - free camera" : "SPECTATING";
+    }
+
+    this.hint.textContent =
+      mode === "free"
+        ? "W/S move - A/D turn - Space/Shift up/down - C follow a player"
+        : "←/→ switch player - C free camera";
+
+    this.updateLabels(targets, camera);
+  }
+
+  formatHealth(target) {
+    if (typeof target.health !== "number") return "";
+    return `HP ${Math.max(0, Math.round(target.health))}/${target.maxHealth}`;
+  }
+
+  updateLabels(targets, camera) {
+    const seen = new Set();
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+
+    targets.forEach((target) => {
+      seen.add(target.id);
+
+      let label = this.labels.get(target.id);
+      if (!label) {
+        label = this.createLabel();
+        this.labels.set(target.id, label);
+      }
+
+      const position = new THREE.Vector3().copy(target.group.position);
+      position.y += target.isGorilla ? GORILLA_LABEL_HEIGHT : LABEL_HEIGHT;
+
+      const distance = position.distanceTo(camera.position);
+      position.project(camera);
+
+      // Behind the camera or too far to matter
+      if (position.z > 1 || distance > LABEL_MAX_DISTANCE) {
+        label.element.style.display = "none";
+        return;
+      }
+
+      label.element.style.display = "block";
+      label.element.style.left = `${((position.x + 1) / 2) * width}px`;
+      label.element.style.top = `${((1 - position.y) / 2) * height}px`;
+
+      label.name.textContent = target.name;
+      label.name.style.color = target.isGorilla ? "#e74c3c" : "#fff";
+
+      const fraction =
+        typeof target.health === "number" && target.maxHealth
+          ? Math.max(0, target.health / target.maxHealth)
+          : 1;
+      label.bar.style.width = `${fraction * 100}%`;
+      label.bar.style.backgroundColor =
+        fraction > 0.6 ? "#2ecc71" : fraction > 0.3 ? "#f39c12" : "#e74c3c";
+    });
+
+    // Players who died or left
+    this.labels.forEach((label, id) => {
+      if (!seen.has(id)) {
+        label.element.remove();
+        this.labels.delete(id);
+      }
+    });
+  }
+
+  createLabel() {
+    const element = document.createElement("div");
+    element.style.position = "absolute";
+    element.style.transform = "translate(-50%, -100%)";
+    element.style.textAlign = "center";
+    element.style.fontFamily = "Arial, sans-serif";
+
+    const name = document.createElement("div");
+    name.style.fontSize = "13px";
+    name.style.fontWeight = "bold";
+    name.style.textShadow = "1px 1px 2px rgba(0,0,0,0.8)";
+    name.style.whiteSpace = "nowrap";
+
+    const barBackground = document.createElement("div");
+    barBackground.style.width = "60px";
+    barBackground.style.height = "5px";
+    barBackground.style.margin = "2px auto 0";
+    barBackground.style.backgroundColor = "rgba(0, 0, 0, 0.6)";
+    barBackground.style.borderRadius = "2px";
+
+    const bar = document.createElement("div");
+    bar.style.height = "100%";
+    bar.style.borderRadius = "2px";
+
+    barBackground.appendChild(bar);
+    element.appendChild(name);
+    element.appendChild(barBackground);
+    this.labelLayer.appendChild(element);
+
+    return { element, name, bar };
+  }
+}
@@ -0,0 +1,158 @@
+const express = require("express");
+const crypto = require("crypto");
+
+// REST API for whoever runs the server to moderate a live session (from curl
+// or a small admin page). Every request needs the admin token, sent as
+// "Authorization: Bearer <token>" or an "X-Admin-Token" header. Without a
+// token configured the API is switched off.
+//
+// The router only deals with HTTP - looking things up and changing them is
+// done by the functions server.js passes in.
+
+// Compare without leaking how much of the token matched through timing
+function isValidToken(expected, given) {
+  if (typeof given !== "string") return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function getRequestToken(req) {
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.substring("Bearer ".length).trim();
+  }
+  return req.get("x-admin-token");
+}
+
+function createAdminRouter({
+  token,
+  log = () => {},
+  listLobbies,
+  getLobby,
+  getPlayer,
+  kickPlayer,
+  listBans,
+  unbanAddress,
+  endMatch,
+  closeLobby,
+  sendSystemMessage,
+}) {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.use((req, res, next) => {
+    if (!token) {
+      res.status(503).json({
+        error: "The admin API is disabled. Set ADMIN_TOKEN to enable it.",
+      });
+      return;
+    }
+
+    if (!isValidToken(token, getRequestToken(req))) {
+      log(`Rejected admin request ${req.method} ${req.url}`, "warn");
+      res.status(401).json({ error: "Invalid or missing admin token." });
+      return;
+    }
+
+    log(`Admin request ${req.method} ${req.url}`, "info");
+    next();
+  });
+
+  // Lobbies with their players and whether (and how far) a match is running
+  router.get("/lobbies", (req, res) => {
+    res.json({ lobbies: listLobbies() });
+  });
+
+  router.get("/lobbies/:lobbyId", (req, res) => {
+    const lobby = getLobby(req.params.lobbyId);
+    if (!lobby) {
+      res.status(404).json({ error: "Lobby not found." });
+      return;
+    }
+    res.json({ lobby });
+  });
+
+  // Stop the lobby's running match - nobody wins
+  router.post("/lobbies/:lobbyId/end-match", (req, res) => {
+    const lobby = getLobby(req.params.lobbyId);
+    if (!lobby) {
+      res.status(404).json({ error: "Lobby not found." });
+      return;
+    }
+    if (!endMatch(req.params.lobbyId)) {
+      res.status(409).json({ error: "That lobby has no match running." });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
+  // Remove everyone from the lobby and close it
+  router.delete("/lobbies/:lobbyId", (req, res) => {
+    if (!closeLobby(req.params.lobbyId)) {
+      res.status(404).json({ error: "Lobby not found." });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
+  router.get("/players/:playerId", (req, res) => {
+    const player = getPlayer(req.params.playerId);
+    if (!player) {
+      res.status(404).json({ error: "Player not found." });
+      return;
+    }
+    res.json({ player });
+  });
+
+  // Disconnect a socket. With { "ban": true } in the body its address can't
+  // connect again until unbanned.
+  router.post("/players/:playerId/kick", (req, res) => {
+    const ban = !!(req.body && req.body.ban);
+    const result = kickPlayer(req.params.playerId, { ban });
+    if (!result) {
+      res.status(404).json({ error: "Player not found." });
+      return;
+    }
+    res.json({ ok: true, ...result });
+  });
+
+  router.get("/bans", (req, res) => {
+    res.json({ bans: listBans() });
+  });
+
+  router.delete("/bans/:address", (req, res) => {
+    if (!unbanAddress(req.params.address)) {
+      res.status(404).json({ error: "That address isn't banned." });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
+  // A system chat message to one lobby ({ lobbyId }) or to everyone
+  router.post("/broadcast", (req, res) => {
+    const { message, lobbyId } = req.body || {};
+    if (typeof message !== "string" || !message.trim()) {
+      res.status(400).json({ error: "A message is required." });
+      return;
+    }
+    if (lobbyId && !getLobby(lobbyId)) {
+      res.status(404).json({ error: "Lobby not found." });
+      return;
+    }
+
+    sendSystemMessage(message.trim(), lobbyId || null);
+    res.json({ ok: true });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: "Unknown admin endpoint." });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+};
@@ -0,0 +1,323 @@
+const { ATTACK_COOLDOWN_MS, getRoleStats } = require("./combat");
+const { MAP_BOUNDARY, getMovementStats } = require("./movement");
+
+// Names handed out to bots, in order (a number is added once they run out)
+const BOT_NAMES = [
+  "Dave",
+  "Steve",
+  "Kevin",
+  "Gary",
+  "Brian",
+  "Phil",
+  "Craig",
+  "Terry",
+  "Barry",
+  "Derek",
+  "Keith",
+  "Nigel",
+  "Colin",
+  "Trevor",
+  "Graham",
+  "Roger",
+];
+
+// Bots walk a little slower than players so they never trip the speed check
+const BOT_SPEED_FACTOR = 0.9;
+
+// How often a bot reconsiders what it is doing (plus some random jitter)
+const THINK_INTERVAL_MS = 250;
+const THINK_JITTER_MS = 150;
+
+// Bots run for it when their health drops to this fraction of the maximum
+const FLEE_HEALTH_FRACTION = 0.3;
+
+// A fleeing bot calms down this far from the gorilla...
+const SAFE_DISTANCE = 12;
+
+// ...and panics again if it comes back this close while regrouping
+const PANIC_DISTANCE = 6;
+
+// Regrouping bots go back in once this many allies are within the radius,
+// or after the timeout, whichever comes first
+const REGROUP_RADIUS = 4;
+const REGROUP_SIZE = 3;
+const REGROUP_TIMEOUT_MS = 6000;
+
+// Without a gorilla to chase, bots wander between random points
+const WANDER_REACHED_DISTANCE = 1;
+
+// Keep bots this far from the gorilla's spawn when placing them
+const SPAWN_CLEARANCE = 10;
+
+const BOT_STATES = {
+  wander: "wander",
+  swarm: "swarm",
+  flee: "flee",
+  regroup: "regroup",
+};
+
+let nextBotId = 1;
+
+// Lobby entry for a new bot (they get a full player once the match starts)
+function createLobbyBot(existingCount) {
+  const name = BOT_NAMES[existingCount % BOT_NAMES.length];
+  const round = Math.floor(existingCount / BOT_NAMES.length);
+
+  return {
+    id: `bot_${nextBotId++}`,
+    name: `Bot ${name}${round > 0 ? ` ${round + 1}` : ""}`,
+    isBot: true,
+  };
+}
+
+function randomPointOnMap() {
+  const extent = MAP_BOUNDARY - 1;
+  return {
+    x: (Math.random() * 2 - 1) * extent,
+    y: 0,
+    z: (Math.random() * 2 - 1) * extent,
+  };
+}
+
+function horizontalDistance(a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+// Somewhere on the map not too close to where the gorilla starts
+function getBotSpawnPosition(gorillaSpawn) {
+  let position = randomPointOnMap();
+  for (let i = 0; i < 10; i++) {
+    if (horizontalDistance(position, gorillaSpawn) >= SPAWN_CLEARANCE) break;
+    position = randomPointOnMap();
+  }
+  return position;
+}
+
+// Drives the server-simulated human bots in a room. Every tick it decides
+// what each bot wants to do and queues the same move / attack inputs a real
+// client would send, so bots go through the normal validation and combat.
+//
+// Bots swarm the gorilla from all sides, run away when badly hurt, and once
+// they are safe head back to the other humans before going in again.
+class BotController {
+  constructor(room) {
+    this.room = room;
+  }
+
+  // Bot players currently in the room (not counting an AI gorilla)
+  getBots() {
+    return Object.values(this.room.players).filter(
+      (p) => p.isBot && !p.isGorilla
+    );
+  }
+
+  // Per-bot AI state, kept on the player
+  createBrain() {
+    return {
+      state: BOT_STATES.wander,
+      nextThinkAt: 0,
+      orbitAngle: Math.random() * Math.PI * 2, // Which side it attacks from
+      target: null,
+      regroupStartedAt: 0,
+      fledAtHealth: Infinity,
+    };
+  }
+
+  // Queue this tick's inputs for every bot
+  update(now, deltaTime) {
+    // Bots wait for the countdown like everyone else
+    if (!this.room.isPlaying) return;
+
+    const gorilla = this.room.getPlayer(this.room.gorillaPlayerId);
+    const humans = Object.values(this.room.players).filter(
+      (p) => !p.isGorilla && !p.isDead
+    );
+
+    this.getBots().forEach((bot) => {
+      if (bot.isDead) return;
+
+      if (now >= bot.brain.nextThinkAt) {
+        this.think(bot, gorilla, humans, now);
+        bot.brain.nextThinkAt =
+          now + THINK_INTERVAL_MS + Math.random() * THINK_JITTER_MS;
+      }
+
+      this.act(bot, gorilla, now, deltaTime);
+    });
+  }
+
+  // Pick a state and a point to head for
+  think(bot, gorilla, humans, now) {
+    const brain = bot.brain;
+
+    if (!gorilla || gorilla.isDead) {
+      brain.state = BOT_STATES.wander;
+      if (
+        !brain.target ||
+        horizontalDistance(bot.position, brain.target) < WANDER_REACHED_DISTANCE
+      ) {
+        brain.target = randomPointOnMap();
+      }
+      return;
+    }
+
+    const distance = horizontalDistance(bot.position, gorilla.position);
+    const isHurt = bot.health <= bot.maxHealth * FLEE_HEALTH_FRACTION;
+
+    switch (brain.state) {
+      case BOT_STATES.flee:
+        if (distance >= SAFE_DISTANCE) {
+          brain.state = BOT_STATES.regroup;
+          brain.regroupStartedAt = now;
+        }
+        break;
+
+      case BOT_STATES.regroup: {
+        const nearbyAllies = humans.filter(
+          (h) =>
+            h !== bot &&
+            horizontalDistance(bot.position, h.position) <= REGROUP_RADIUS
+        ).length;
+
+        if (isHurt && distance < PANIC_DISTANCE) {
+          brain.state = BOT_STATES.flee;
+        } else if (
+          nearbyAllies >= REGROUP_SIZE - 1 ||
+          now - brain.regroupStartedAt > REGROUP_TIMEOUT_MS
+        ) {
+          brain.state = BOT_STATES.swarm;
+        }
+        break;
+      }
+
+      default:
+        // Run once each time we get hurt further below the threshold
+        if (isHurt && bot.health < brain.fledAtHealth) {
+          brain.state = BOT_STATES.flee;
+          brain.fledAtHealth = bot.health;
+        } else {
+          brain.state = BOT_STATES.swarm;
+        }
+    }
+
+    if (brain.state === BOT_STATES.flee) {
+      brain.target = this.getFleeTarget(bot, gorilla);
+    } else if (brain.state === BOT_STATES.regroup) {
+      brain.target = this.getRegroupTarget(bot, humans) || brain.target;
+    } else {
+      // Surround the gorilla rather than all piling onto the same spot
+      const reach = getRoleStats(false).range * 0.7;
+      brain.target = {
+        x: gorilla.position.x + Math.sin(brain.orbitAngle) * reach,
+        y: 0,
+        z: gorilla.position.z + Math.cos(brain.orbitAngle) * reach,
+      };
+    }
+  }
+
+  // Run directly away from the gorilla - or, if a wall is in the way, in
+  // whichever nearby direction gets us furthest from it
+  getFleeTarget(bot, gorilla) {
+    const away = Math.atan2(
+      bot.position.x - gorilla.position.x,
+      bot.position.z - gorilla.position.z
+    );
+    const lookAhead = 5;
+    let best = null;
+    let bestDistance = -Infinity;
+
+    [0, 0.25, -0.25, 0.5, -0.5].forEach((turn) => {
+      const angle = away + turn * Math.PI;
+      const candidate = this.clampToMap({
+        x: bot.position.x + Math.sin(angle) * lookAhead,
+        y: 0,
+        z: bot.position.z + Math.cos(angle) * lookAhead,
+      });
+      const distance = horizontalDistance(candidate, gorilla.position);
+      if (distance > bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  // The middle of the other living humans
+  getRegroupTarget(bot, humans) {
+    const allies = humans.filter((h) => h !== bot);
+    if (allies.length === 0) return null;
+
+    const sum = allies.reduce(
+      (total, h) => ({ x: total.x + h.position.x, z: total.z + h.position.z }),
+      { x: 0, z: 0 }
+    );
+    return { x: sum.x / allies.length, y: 0, z: sum.z / allies.length };
+  }
+
+  clampToMap(position) {
+    const extent = MAP_BOUNDARY - 0.5;
+    return {
+      x: Math.max(-extent, Math.min(extent, position.x)),
+      y: position.y,
+      z: Math.max(-extent, Math.min(extent, position.z)),
+    };
+  }
+
+  // Step towards the target and swing at the gorilla when in reach
+  act(bot, gorilla, now, deltaTime) {
+    const brain = bot.brain;
+    const position = { ...bot.position, y: 0 };
+    let yaw = bot.rotation.y;
+
+    if (brain.target) {
+      const dx = brain.target.x - position.x;
+      const dz = brain.target.z - position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      const step =
+        getMovementStats(false).moveSpeed * BOT_SPEED_FACTOR * deltaTime;
+
+      if (distance > 0.05) {
+        const move = Math.min(step, distance);
+        position.x += (dx / distance) * move;
+        position.z += (dz / distance) * move;
+        yaw = Math.atan2(dx, dz);
+      }
+    }
+
+    const canAttack =
+      gorilla &&
+      !gorilla.isDead &&
+      brain.state === BOT_STATES.swarm &&
+      horizontalDistance(position, gorilla.position) <=
+        getRoleStats(false).range;
+
+    // Face the gorilla so the swing lands
+    if (canAttack) {
+      yaw = Math.atan2(
+        gorilla.position.x - position.x,
+        gorilla.position.z - position.z
+      );
+    }
+
+    bot.inputQueue.push({
+      type: "move",
+      position,
+      rotation: { y: yaw },
+      receivedAt: now,
+    });
+
+    if (canAttack && now - bot.lastAttackAt >= ATTACK_COOLDOWN_MS) {
+      bot.inputQueue.push({ type: "attack", receivedAt: now });
+    }
+  }
+}
+
+module.exports = {
+  BotController,
+  BOT_STATES,
+  createLobbyBot,
+  getBotSpawnPosition,
+};
@@ -0,0 +1,1503 @@
+const { ATTACK_COOLDOWN_MS, getRoleStats, resolveAttack } = require("./combat");
+const {
+  VIOLATION_WINDOW_MS,
+  enforceMapBoundaries,
+  validateMove,
+  recordViolation,
+} = require("./movement");
+const {
+  BINARY_PROTOCOL_VERSION,
+  BINARY_EVENTS,
+  quantizePlayer,
+  encodeSnapshot,
+  decodeInput,
+} = require("./protocol");
+const {
+  INTEREST_CELL_SIZE,
+  MAX_INTEREST_RADIUS,
+  FAR_UPDATE_TICKS,
+  INTEREST_TIERS,
+  getInterestTier,
+  isFarUpdateTick,
+} = require("./interest");
+const { SpatialGrid } = require("./SpatialGrid");
+const { GAME_MODES, getScaledRoleStats } = require("./lobbySettings");
+const {
+  RESPAWN_MODES,
+  RESPAWN_DELAY_MS,
+  SPAWN_INVULNERABILITY_MS,
+  getNextWaveAt,
+  getSpawnPosition,
+} = require("./respawn");
+const {
+  GORILLA_SUCCESSION,
+  pickNextHost,
+  pickGorillaSuccessor,
+} = require("./succession");
+const { CHAT_CHANNELS } = require("./chat");
+const { BotController, getBotSpawnPosition } = require("./BotController");
+const { Logger } = require("../logger");
+const {
+  GorillaController,
+  AI_GORILLA_ID,
+  AI_GORILLA_NAME,
+} = require("./GorillaController");
+
+// Define initial positions of entities
+const INITIAL_POSITIONS = {
+  gorilla: { x: 10, y: 0, z: 10 },
+  player: { x: 0, y: 0, z: 0 }, // Where clients put their player before joining
+};
+
+// Match timing (the round length is a lobby setting)
+const COUNTDOWN_SECONDS = 5;
+
+// The countdown waits for every player to load their models, but one stuck
+// client can't hold the match up for longer than this
+const LOADING_TIMEOUT_SECONDS = 30;
+
+// Simulation rate - every tick applies queued inputs and sends one snapshot
+const TICK_RATE = 20;
+const TICK_INTERVAL_MS = 1000 / TICK_RATE;
+
+// Attacks come in several times a second per player - only one in this many
+// is logged
+const ATTACK_LOG_SAMPLE = 20;
+
+// How many sent snapshots we keep per binary client to delta against
+const SNAPSHOT_HISTORY = 32;
+
+// Measuring a JSON snapshot means serializing it a second time, so each
+// viewer's is only measured once in this many ticks and counted at that size
+// in between
+const SNAPSHOT_SIZE_SAMPLE_TICKS = 20;
+
+// Match states - a room always moves forward through these
+const MATCH_STATES = {
+  loading: "loading",
+  countdown: "countdown",
+  playing: "playing",
+  ended: "ended",
+};
+
+// Helper function to generate a random color
+function randomColor() {
+  const colors = [
+    0xff0000, // red
+    0x00ff00, // green
+    0x0000ff, // blue
+    0xffff00, // yellow
+    0xff00ff, // magenta
+    0x00ffff, // cyan
+    0xff8000, // orange
+  ];
+  return colors[Math.floor(Math.random() * colors.length)];
+}
+
+// A running match for one lobby. Each room owns its own players, gorilla
+// assignment, host and entity state, and only talks to sockets in its
+// Socket.IO room (keyed by the lobby id) so matches never see each other.
+//
+// The room also drives the match lifecycle (loading -> countdown -> playing
+// -> ended), checks win conditions and calls onEnd once a winner has been
+// decided. Clients join once their models have loaded, and the countdown
+// only starts when every lobby player has joined.
+// Moves and attacks are queued as they arrive and applied on a fixed-rate
+// tick, which ends by sending every player a numbered snapshot of the players
+// in their area of interest (see interest.js). Clients that negotiated the
+// binary protocol get it quantized and delta compressed against the last
+// snapshot they acknowledged; the rest get JSON.
+class GameRoom {
+  constructor(
+    io,
+    lobby,
+    {
+      logger = new Logger({ level: "silent" }),
+      onEnd = () => {},
+      onTick = () => {},
+    } = {}
+  ) {
+    this.io = io;
+    this.id = lobby.id;
+    this.lobby = lobby;
+    this.logger = logger; // Adds the lobby id to every line
+    this.onEnd = onEnd;
+    this.onTick = onTick; // Told how long each tick took, in seconds
+
+    // Players in this match, keyed by socket id
+    this.players = {};
+
+    // Lobby players when the match started, minus any who left since - the
+    // only ones who can join it or hold up loading
+    this.roster = new Set();
+
+    // People watching without playing (joined after the match started),
+    // keyed by socket id. They get snapshots like players but aren't part
+    // of the match.
+    this.spectators = {};
+
+    // Per-player match stats, kept even after a player leaves
+    this.stats = {};
+
+    // Fixed-rate simulation loop
+    this.tick = 0;
+    this.tickInterval = null;
+
+    // AI for the room's bots (added from the lobby when the match starts)
+    this.bots = new BotController(this);
+
+    // AI for the gorilla in PvE rounds
+    this.gorillaAi = new GorillaController(this);
+
+    // Spatial index for area-of-interest queries, rebuilt every tick
+    this.grid = new SpatialGrid(INTEREST_CELL_SIZE);
+
+    // Small numeric ids used instead of socket ids in binary snapshots
+    this.nextPlayerIndex = 1;
+
+    // Bytes sent and received on the hot path, per encoding
+    this.netStats = {
+      json: { snapshots: 0, snapshotBytes: 0, inputs: 0, inputBytes: 0 },
+      binary: { snapshots: 0, snapshotBytes: 0, inputs: 0, inputBytes: 0 },
+    };
+
+    // Match lifecycle
+    this.state = null;
+    this.stateEndsAt = null;
+    this.stateTimer = null;
+    this.startedAt = null;
+
+    // Room host (first player to join controls host-side game logic)
+    this.hostId = null;
+
+    // Game entities (just the gorilla - it is assigned to a player)
+    this.gameEntities = {
+      gorilla: {
+        position: { ...INITIAL_POSITIONS.gorilla },
+        rotation: { y: 0 },
+        health: getRoleStats(true).maxHealth,
+        maxHealth: getRoleStats(true).maxHealth,
+        isDead: false,
+        playerId: null, // Will store the ID of the player assigned as gorilla
+      },
+    };
+  }
+
+  log(message, level = "info", fields = null) {
+    this.logger.log(level, message, fields);
+  }
+
+  // Start the simulation loop and wait for everyone to load in
+  start() {
+    if (this.lobby.settings.mode === GAME_MODES.pve) {
+      this.addAiGorilla();
+    }
+    (this.lobby.bots || []).forEach((bot) => this.addBot(bot));
+    this.roster = new Set(this.lobby.players.map((p) => p.id));
+
+    this.startTicking();
+    this.setState(MATCH_STATES.loading, LOADING_TIMEOUT_SECONDS * 1000, () =>
+      this.finishLoading()
+    );
+  }
+
+  // Loading timed out - go ahead without whoever is still loading. If that
+  // includes the gorilla someone takes over by the succession rule, or with
+  // "end" the round is over before it started.
+  finishLoading() {
+    const gorillaId = this.gorillaPlayerId;
+    if (gorillaId && !this.players[gorillaId]) {
+      if (this.lobby.settings.gorillaSuccession === GORILLA_SUCCESSION.end) {
+        this.end("humans", "gorillaLeft");
+        return;
+      }
+
+      const gorilla = this.gameEntities.gorilla;
+      const lobbyPlayer = this.lobby.players.find((p) => p.id === gorillaId);
+      this.replaceGorilla({
+        id: gorillaId,
+        name: lobbyPlayer ? lobbyPlayer.name : "",
+        position: INITIAL_POSITIONS.gorilla,
+        health: gorilla.maxHealth,
+      });
+    }
+
+    this.beginCountdown();
+  }
+
+  // Lobby players who haven't joined the match yet (still loading)
+  getLoadingPlayerIds() {
+    return Array.from(this.roster).filter(
+      (id) => !this.players[id] && !this.isSpectator(id)
+    );
+  }
+
+  // Someone finished loading or left - start the countdown once nobody is
+  // left to wait for, otherwise tell the room how far along we are
+  checkLoading() {
+    if (this.state !== MATCH_STATES.loading) return;
+
+    if (this.getLoadingPlayerIds().length === 0) {
+      this.beginCountdown();
+    } else {
+      this.broadcast("matchState", this.getMatchState());
+    }
+  }
+
+  // Everyone is in - count down to the start
+  beginCountdown() {
+    this.setState(MATCH_STATES.countdown, COUNTDOWN_SECONDS * 1000, () =>
+      this.beginPlaying()
+    );
+  }
+
+  // Countdown finished - start the round timer
+  beginPlaying() {
+    this.startedAt = Date.now();
+    const roundMs = this.lobby.settings.roundDurationSeconds * 1000;
+    this.setState(MATCH_STATES.playing, roundMs, () =>
+      // The humans win if they survive until the timer runs out
+      this.end("humans", "timeUp")
+    );
+
+    // Someone may have left during the countdown
+    this.checkWinConditions();
+  }
+
+  // Move to a new match state and tell the room about it
+  setState(state, durationMs = null, onTimeout = null) {
+    clearTimeout(this.stateTimer);
+    this.stateTimer = null;
+
+    this.state = state;
+    this.stateEndsAt = durationMs !== null ? Date.now() + durationMs : null;
+
+    if (durationMs !== null && onTimeout) {
+      this.stateTimer = setTimeout(onTimeout, durationMs);
+    }
+
+    this.broadcast("matchState", this.getMatchState());
+    this.log(`Room ${this.id} is now ${state}`, "info");
+  }
+
+  // Current match state as sent to clients
+  getMatchState() {
+    const matchState = {
+      state: this.state,
+      remainingMs:
+        this.stateEndsAt !== null
+          ? Math.max(0, this.stateEndsAt - Date.now())
+          : null,
+    };
+
+    // How many players have loaded in so far
+    if (this.state === MATCH_STATES.loading) {
+      const total = this.roster.size;
+      matchState.loaded = total - this.getLoadingPlayerIds().length;
+      matchState.total = total;
+    }
+
+    return matchState;
+  }
+
+  get isPlaying() {
+    return this.state === MATCH_STATES.playing;
+  }
+
+  get isEnded() {
+    return this.state === MATCH_STATES.ended;
+  }
+
+  // Has this player left the match? Players still loading in haven't.
+  hasLeft(playerId) {
+    const stats = this.stats[playerId];
+    if (stats && stats.left) return true;
+    if (this.players[playerId]) return false;
+
+    return !this.roster.has(playerId);
+  }
+
+  // Decide whether either side has won
+  checkWinConditions() {
+    if (!this.isPlaying) return;
+
+    const gorilla = this.players[this.gorillaPlayerId];
+    const botIds = this.bots.getBots().map((p) => p.id);
+    const humanIds = this.lobby.players
+      .map((p) => p.id)
+      .concat(botIds)
+      .filter(
+        (id) =>
+          id !== this.gorillaPlayerId &&
+          !this.isSpectator(id) &&
+          !this.hasLeft(id)
+      );
+    const humans = Object.values(this.players).filter((p) => !p.isGorilla);
+
+    // Humans waiting to respawn are still in it - except in wave mode, where
+    // everyone being down at the same time is a wipe
+    const isWaves = this.getRespawnRules().mode === RESPAWN_MODES.waves;
+    const isOut = (p) => p.isDead && (isWaves || p.respawnAt === null);
+
+    if (gorilla && gorilla.isDead) {
+      this.end("humans", "gorillaKilled");
+    } else if (!gorilla && this.hasLeft(this.gorillaPlayerId)) {
+      this.end("humans", "gorillaLeft");
+    } else if (humanIds.length === 0) {
+      this.end("gorilla", "humansLeft");
+    } else if (humans.length > 0 && humans.every(isOut)) {
+      this.end("gorilla", "humansEliminated");
+    }
+  }
+
+  // Finish the match and report the result
+  end(winner, reason) {
+    if (this.isEnded) return;
+
+    this.setState(MATCH_STATES.ended);
+
+    const result = {
+      lobbyId: this.id,
+      winner,
+      reason,
+      duration: this.startedAt ? Date.now() - this.startedAt : 0,
+      stats: Object.values(this.stats),
+    };
+
+    this.broadcast("matchEnded", result);
+    this.log(`Match in ${this.id} ended: ${winner} win (${reason})`, "success");
+    this.log(`Room ${this.id} traffic - ${this.describeNetStats()}`, "info");
+
+    this.onEnd(this, result);
+  }
+
+  // Stop any running timers
+  dispose() {
+    clearTimeout(this.stateTimer);
+    this.stateTimer = null;
+    this.stopTicking();
+  }
+
+  startTicking() {
+    if (this.tickInterval) return;
+    this.tickInterval = setInterval(() => {
+      const startedAt = process.hrtime.bigint();
+      this.step();
+      this.onTick(Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }, TICK_INTERVAL_MS);
+  }
+
+  stopTicking() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+
+  // One simulation tick: apply every player's queued inputs in the order
+  // they arrived, then send each player the part of the world they care about
+  step() {
+    this.tick++;
+
+    // Bots (and the AI gorilla) decide what to do and queue their inputs
+    // like everyone else
+    const now = Date.now();
+    this.respawnPlayers(now);
+    this.bots.update(now, TICK_INTERVAL_MS / 1000);
+    this.gorillaAi.update(now, TICK_INTERVAL_MS / 1000);
+
+    Object.values(this.players).forEach((player) => {
+      const inputs = player.inputQueue;
+      player.inputQueue = [];
+
+      inputs.forEach((input) => {
+        // An earlier input this tick may have ended the match
+        if (this.isEnded || !this.players[player.id]) return;
+
+        if (input.type === "move") {
+          this.applyMove(player, input);
+        } else if (input.type === "attack") {
+          this.applyAttack(player, input);
+        }
+      });
+    });
+
+    // The match may have ended (and the room been closed) during this tick
+    if (this.isEnded) return;
+
+    this.updateInterest();
+    this.sendSnapshots();
+  }
+
+  // Work out who each player should hear about (and how often), and tell
+  // them when players come into or drop out of range
+  updateInterest() {
+    const players = Object.values(this.players);
+
+    this.grid.clear();
+    players.forEach((player) => this.grid.insert(player));
+
+    this.getViewers().forEach((viewer) => {
+      const interest = new Map();
+
+      // Spectators (and dead players, who spectate) can follow anyone, so
+      // they hear about everyone at full rate
+      if (viewer.isSpectator || viewer.isDead) {
+        players.forEach((other) => {
+          if (other !== viewer) interest.set(other.id, INTEREST_TIERS.near);
+        });
+        this.sendInterestChanges(viewer, interest);
+        viewer.interest = interest;
+        return;
+      }
+
+      this.grid
+        .queryRadius(viewer.position, MAX_INTEREST_RADIUS)
+        .forEach((other) => {
+          if (other === viewer) return;
+
+          const tier = getInterestTier(
+            viewer,
+            other,
+            other.id === this.gorillaPlayerId
+          );
+          if (tier) interest.set(other.id, tier);
+        });
+
+      // The gorilla is always relevant, however far away
+      const gorilla = this.players[this.gorillaPlayerId];
+      if (gorilla && gorilla !== viewer) {
+        interest.set(gorilla.id, INTEREST_TIERS.near);
+      }
+
+      this.sendInterestChanges(viewer, interest);
+      viewer.interest = interest;
+    });
+  }
+
+  // Tell a client which players changed tier or left its area of interest
+  sendInterestChanges(viewer, interest) {
+    const changed = {};
+    const left = [];
+
+    interest.forEach((tier, id) => {
+      if (viewer.interest.get(id) !== tier) changed[id] = tier;
+    });
+    viewer.interest.forEach((tier, id) => {
+      if (!interest.has(id)) left.push(id);
+    });
+
+    if (Object.keys(changed).length === 0 && left.length === 0) return;
+
+    this.sendTo(viewer.id, "interestUpdate", {
+      players: changed,
+      left,
+      farUpdateTicks: FAR_UPDATE_TICKS,
+      tickIntervalMs: TICK_INTERVAL_MS,
+    });
+  }
+
+  // Send each player (and spectator) the state of the players they are
+  // interested in this tick, in the encoding they asked for
+  sendSnapshots() {
+    const time = Date.now();
+    const farTick = isFarUpdateTick(this.tick);
+
+    // Quantized once per tick and shared by every binary client
+    let quantized = null;
+
+    this.getViewers().forEach((player) => {
+      if (player.protocolVersion === BINARY_PROTOCOL_VERSION) {
+        if (!quantized) {
+          quantized = new Map(
+            Object.values(this.players).map((p) => [p.id, quantizePlayer(p)])
+          );
+        }
+        this.sendBinarySnapshot(player, quantized, time, farTick);
+        return;
+      }
+
+      const snapshot = this.getSnapshot(player, time, farTick);
+      this.sendTo(player.id, "snapshot", snapshot);
+
+      if (
+        player.snapshotBytes === null ||
+        this.tick % SNAPSHOT_SIZE_SAMPLE_TICKS === 0
+      ) {
+        player.snapshotBytes = Buffer.byteLength(JSON.stringify(snapshot));
+      }
+      this.netStats.json.snapshots++;
+      this.netStats.json.snapshotBytes += player.snapshotBytes;
+    });
+  }
+
+  // Encode a player's snapshot as a delta against the last one they acknowledged
+  sendBinarySnapshot(player, quantized, time, farTick) {
+    const previous = player.sentSnapshots.get(this.tick - 1);
+
+    // Spectators aren't in the snapshot themselves
+    const states = player.isSpectator
+      ? new Map()
+      : new Map([[player.index, quantized.get(player.id)]]);
+
+    player.interest.forEach((tier, id) => {
+      const other = this.players[id];
+      if (!other) return;
+
+      // Far players not due an update keep the state we last sent, so
+      // they drop out of the delta
+      const held =
+        tier === INTEREST_TIERS.far && !farTick && previous
+          ? previous.get(other.index)
+          : null;
+      states.set(other.index, held || quantized.get(id));
+    });
+
+    const buffer = encodeSnapshot({
+      tick: this.tick,
+      time,
+      states,
+      baseTick: player.ackTick,
+      baseStates: player.sentSnapshots.get(player.ackTick) || null,
+      ownIndex: player.isSpectator ? null : player.index,
+      ownSeq: player.lastInputSeq,
+    });
+
+    this.rememberSnapshot(player, states);
+    this.sendTo(player.id, BINARY_EVENTS.snapshot, buffer);
+
+    this.netStats.binary.snapshots++;
+    this.netStats.binary.snapshotBytes += buffer.length;
+  }
+
+  // Keep what we sent a binary client so later snapshots can delta against it
+  rememberSnapshot(player, states) {
+    player.sentSnapshots.set(this.tick, states);
+
+    // Nothing older than the client's last ack will be used as a base again
+    for (const tick of player.sentSnapshots.keys()) {
+      if (tick >= player.ackTick && tick > this.tick - SNAPSHOT_HISTORY) break;
+      player.sentSnapshots.delete(tick);
+    }
+  }
+
+  // A player's view of the current tick: themselves, everyone they are
+  // interested in at full rate, and far players on far update ticks
+  getSnapshot(viewer, time, farTick) {
+    const players = viewer.isSpectator ? [] : [viewer];
+    viewer.interest.forEach((tier, id) => {
+      if (this.players[id] && (tier === INTEREST_TIERS.near || farTick)) {
+        players.push(this.players[id]);
+      }
+    });
+
+    return {
+      tick: this.tick,
+      time,
+      players: players.map((player) => ({
+        id: player.id,
+        position: player.position,
+        rotation: player.rotation,
+        health: player.health,
+        isDead: player.isDead,
+        seq: player.lastInputSeq,
+      })),
+    };
+  }
+
+  // Get (or create) a player's stats entry
+  trackStats(player) {
+    if (!this.stats[player.id]) {
+      this.stats[player.id] = {
+        id: player.id,
+        name: player.name,
+        isGorilla: player.isGorilla,
+        isBot: !!player.isBot,
+        kills: 0,
+        deaths: 0,
+        damageDealt: 0,
+        damageTaken: 0,
+        survived: true,
+      };
+    }
+    return this.stats[player.id];
+  }
+
+  // Send an event to every socket in the room
+  broadcast(event, data) {
+    this.io.to(this.id).emit(event, data);
+  }
+
+  // Send an event to every socket in the room except the sender
+  broadcastFrom(socket, event, data) {
+    socket.to(this.id).emit(event, data);
+  }
+
+  // Send an event to every socket in the room except one player
+  broadcastExcept(playerId, event, data) {
+    this.io.to(this.id).except(playerId).emit(event, data);
+  }
+
+  // Send an event to a single player
+  sendTo(playerId, event, data) {
+    this.io.to(playerId).emit(event, data);
+  }
+
+  // Mark a player as the gorilla for this match
+  assignGorilla(playerId) {
+    this.gameEntities.gorilla.playerId = playerId;
+  }
+
+  get gorillaPlayerId() {
+    return this.gameEntities.gorilla.playerId;
+  }
+
+  get playerCount() {
+    return Object.keys(this.players).length;
+  }
+
+  // No real players left - bots don't keep a room open on their own
+  isEmpty() {
+    return !Object.values(this.players).some((p) => !p.isBot);
+  }
+
+  getPlayer(playerId) {
+    return this.players[playerId] || null;
+  }
+
+  isSpectator(id) {
+    return !!this.spectators[id];
+  }
+
+  // Everyone the room sends snapshots to - real players and spectators
+  getViewers() {
+    return Object.values(this.players)
+      .filter((p) => !p.isBot)
+      .concat(Object.values(this.spectators));
+  }
+
+  // Who gets a team or spectator chat message from senderId, or null if the
+  // sender can't use that channel
+  getChatRecipients(senderId, channel) {
+    const sender = this.players[senderId];
+    const viewers = this.getViewers();
+
+    if (channel === CHAT_CHANNELS.team) {
+      if (!sender) return null;
+      return viewers
+        .filter((p) => !p.isSpectator && p.isGorilla === sender.isGorilla)
+        .map((p) => p.id);
+    }
+
+    if (channel === CHAT_CHANNELS.spectators) {
+      if (!this.isSpectator(senderId) && !(sender && sender.isDead)) {
+        return null;
+      }
+      return viewers.filter((p) => p.isSpectator || p.isDead).map((p) => p.id);
+    }
+
+    return null;
+  }
+
+  // Let someone watch the match without taking part
+  addSpectator(socket, data) {
+    const spectator = {
+      id: socket.id,
+      name: data.name,
+      isSpectator: true,
+      protocolVersion: 0,
+      ackTick: 0,
+      sentSnapshots: new Map(),
+      snapshotBytes: null,
+      interest: new Map(),
+      lastInputSeq: 0,
+    };
+    this.spectators[socket.id] = spectator;
+
+    // They start out knowing about everyone in existingPlayers
+    Object.keys(this.players).forEach((id) => {
+      spectator.interest.set(id, INTEREST_TIERS.near);
+    });
+
+    if (data.protocol) {
+      this.negotiateProtocol(socket, data.protocol);
+    }
+
+    this.sendRoomState(socket);
+
+    this.log(
+      `Player ${socket.id} (${data.name}) is spectating ${this.id}`,
+      "info",
+      { socketId: socket.id }
+    );
+
+    return spectator;
+  }
+
+  // Why a socket can't join the match as a player, or null if it can. Each
+  // lobby player from the start of the match joins once, while it is loading
+  // - joining again would hand them a fresh player with full health.
+  getJoinError(id) {
+    if (this.players[id]) return "You have already joined this match.";
+    if (this.isSpectator(id)) {
+      return "Spectators can join in from the next round.";
+    }
+    if (!this.roster.has(id)) {
+      return "You aren't part of this match.";
+    }
+    if (this.state !== MATCH_STATES.loading) {
+      return "This match has already started.";
+    }
+    return null;
+  }
+
+  // Was this socket still loading when the match got going? It can watch
+  // until the next round instead.
+  isLateLoader(id) {
+    return (
+      this.roster.has(id) &&
+      this.state !== MATCH_STATES.loading &&
+      !this.players[id] &&
+      !this.isSpectator(id)
+    );
+  }
+
+  // Let a late loader watch the match - they're out of this round, so
+  // someone else takes over if they were meant to be the gorilla (or with
+  // "end" the win check ends it)
+  addLateLoader(socket, data) {
+    const spectator = this.addSpectator(socket, data);
+    this.roster.delete(socket.id);
+
+    if (socket.id === this.gorillaPlayerId) {
+      const gorilla = this.gameEntities.gorilla;
+      this.replaceGorilla({
+        id: socket.id,
+        name: data.name,
+        position: INITIAL_POSITIONS.gorilla,
+        health: gorilla.maxHealth,
+      });
+    }
+    this.checkWinConditions();
+
+    return spectator;
+  }
+
+  // Add a player who finished loading into the match
+  addPlayer(socket, data) {
+    if (this.getJoinError(socket.id)) return null;
+
+    // The spawn is ours to pick - a position from the client would skip
+    // movement validation
+    const player = this.createPlayer(socket.id, {
+      ...data,
+      position: INITIAL_POSITIONS.player,
+    });
+    const isGorilla = player.isGorilla;
+    this.players[socket.id] = player;
+
+    // The client starts out showing everyone in existingPlayers, and everyone
+    // else is told about the new player - the next tick narrows both down
+    Object.values(this.players).forEach((other) => {
+      if (other === player) return;
+      player.interest.set(other.id, INTEREST_TIERS.near);
+      other.interest.set(player.id, INTEREST_TIERS.near);
+    });
+    this.trackStats(player);
+
+    if (isGorilla) {
+      const gorilla = this.gameEntities.gorilla;
+      gorilla.health = player.maxHealth;
+      gorilla.maxHealth = player.maxHealth;
+      gorilla.isDead = false;
+    }
+
+    // Assign host if needed
+    if (!this.hostId) {
+      this.hostId = socket.id;
+      socket.emit("hostAssigned", { isHost: true });
+      this.log(`Player ${socket.id} assigned as host of ${this.id}`, "info", {
+        socketId: socket.id,
+      });
+    }
+
+    // Clients that can decode binary snapshots say so when they join
+    if (data.protocol) {
+      this.negotiateProtocol(socket, data.protocol);
+    }
+
+    // Send existing players and the match state to the new player
+    this.sendRoomState(socket);
+
+    // Notify everyone else in the room about the new player
+    this.broadcastFrom(socket, "playerJoined", this.getPublicPlayer(player));
+
+    this.log(
+      `Room ${this.id} players now: ${this.playerCount} (Gorilla: ${
+        this.gorillaPlayerId || "None yet"
+      })`,
+      "info"
+    );
+
+    this.checkLoading();
+
+    return player;
+  }
+
+  // Add a server-simulated human from the lobby's bot list
+  addBot(lobbyBot) {
+    const player = this.createPlayer(lobbyBot.id, {
+      name: lobbyBot.name,
+      position: getBotSpawnPosition(INITIAL_POSITIONS.gorilla),
+    });
+    player.brain = this.bots.createBrain();
+
+    return this.addSimulatedPlayer(player);
+  }
+
+  // Add the server-controlled gorilla for a PvE round (or to take over from
+  // a gorilla who left)
+  addAiGorilla(position = INITIAL_POSITIONS.gorilla) {
+    this.assignGorilla(AI_GORILLA_ID);
+
+    const player = this.createPlayer(AI_GORILLA_ID, {
+      name: AI_GORILLA_NAME,
+      position,
+    });
+    player.brain = this.gorillaAi.createBrain();
+
+    const gorilla = this.gameEntities.gorilla;
+    gorilla.health = player.maxHealth;
+    gorilla.maxHealth = player.maxHealth;
+    gorilla.isDead = false;
+
+    return this.addSimulatedPlayer(player);
+  }
+
+  // Put a player the server plays itself into the room
+  addSimulatedPlayer(player) {
+    player.isBot = true;
+
+    this.players[player.id] = player;
+    this.trackStats(player);
+
+    // Anyone already in the room sees them arrive
+    Object.values(this.players).forEach((other) => {
+      if (other !== player) other.interest.set(player.id, INTEREST_TIERS.near);
+    });
+    this.broadcast("playerJoined", this.getPublicPlayer(player));
+
+    return player;
+  }
+
+  // Build the server-side state for a new player
+  createPlayer(id, data) {
+    // Use the room's gorilla assignment when there is one - never trust the client
+    const isGorilla = this.gorillaPlayerId
+      ? this.gorillaPlayerId === id
+      : data.isGorilla || false;
+    const stats = getScaledRoleStats(isGorilla, this.lobby.settings);
+
+    return {
+      id,
+      name: data.name,
+      position: enforceMapBoundaries({ x: 0, y: 0, z: 0, ...data.position }),
+      rotation: data.rotation || { y: 0 },
+      color: randomColor(),
+      isGorilla, // Store gorilla state
+      health: stats.maxHealth,
+      maxHealth: stats.maxHealth,
+      damage: stats.damage, // Per hit, with the lobby's multiplier
+      isDead: false,
+      livesLeft: this.getRespawnRules().lives, // Only counted in lives mode
+      respawnAt: null, // When a dead human comes back, if they do
+      invulnerableUntil: 0,
+      lastAttackAt: 0,
+      lastDamagedAt: 0,
+      lastMoveAt: Date.now(),
+      lastCorrectionAt: 0,
+      violations: [],
+      flaggedAt: 0,
+      inputQueue: [], // Moves and attacks waiting for the next tick
+      lastInputSeq: 0, // Newest client input sequence number we have applied
+      index: this.nextPlayerIndex++,
+      protocolVersion: 0, // 0 = JSON, otherwise the binary protocol version
+      ackTick: 0, // Newest snapshot the client told us it has
+      sentSnapshots: new Map(), // tick -> quantized states (binary clients)
+      snapshotBytes: null, // Size of the last measured JSON snapshot
+      interest: new Map(), // player id -> interest tier, as the client knows it
+      isBot: false,
+    };
+  }
+
+  // The parts of a player's state clients get to see
+  getPublicPlayer(player) {
+    return {
+      id: player.id,
+      index: player.index,
+      name: player.name,
+      position: player.position,
+      rotation: player.rotation,
+      color: player.color,
+      isGorilla: player.isGorilla,
+      health: player.health,
+      maxHealth: player.maxHealth,
+      isDead: player.isDead,
+      livesLeft: this.getLivesLeft(player),
+      isBot: player.isBot,
+    };
+  }
+
+  // Bring a socket up to date with everyone else in the room and the match state
+  sendRoomState(socket) {
+    const existingPlayers = Object.values(this.players)
+      .filter((p) => p.id !== socket.id)
+      .map((p) => this.getPublicPlayer(p));
+    socket.emit("existingPlayers", existingPlayers);
+
+    socket.emit("matchState", this.getMatchState());
+  }
+
+  // Pick the snapshot encoding for a player. Clients speaking our binary
+  // version get binary snapshots; anything else stays on JSON.
+  negotiateProtocol(socket, requested) {
+    const player = this.players[socket.id] || this.spectators[socket.id];
+    if (!player) return;
+
+    const binary = !!requested && requested.binary === BINARY_PROTOCOL_VERSION;
+
+    player.protocolVersion = binary ? BINARY_PROTOCOL_VERSION : 0;
+    player.ackTick = 0;
+    player.sentSnapshots.clear();
+
+    socket.emit("protocolSelected", {
+      binary,
+      version: BINARY_PROTOCOL_VERSION,
+      index: player.index,
+    });
+
+    this.log(
+      `Player ${socket.id} in ${this.id} using ${
+        binary ? `binary v${BINARY_PROTOCOL_VERSION}` : "JSON"
+      } snapshots`,
+      "info",
+      { socketId: socket.id }
+    );
+  }
+
+  // Hand a player's slot (role, health, position, host status) over to the
+  // socket they reconnected with
+  resumePlayer(socket, previousId) {
+    // Spectators just carry on watching under the new id
+    const spectator = this.spectators[previousId];
+    if (spectator) {
+      delete this.spectators[previousId];
+      spectator.id = socket.id;
+      spectator.protocolVersion = 0;
+      spectator.ackTick = 0;
+      spectator.sentSnapshots.clear();
+      this.spectators[socket.id] = spectator;
+      return null;
+    }
+
+    const player = this.players[previousId];
+
+    if (player) {
+      delete this.players[previousId];
+      player.id = socket.id;
+      player.lastMoveAt = Date.now();
+      this.players[socket.id] = player;
+
+      // The new socket starts on JSON until it negotiates again
+      player.protocolVersion = 0;
+      player.ackTick = 0;
+      player.sentSnapshots.clear();
+
+      // The client is sent everyone again (existingPlayers), and everyone
+      // else re-keys this player under the new id
+      Object.values(this.players).forEach((other) => {
+        if (other === player) return;
+        player.interest.set(other.id, INTEREST_TIERS.near);
+
+        if (other.interest.has(previousId)) {
+          other.interest.set(socket.id, other.interest.get(previousId));
+          other.interest.delete(previousId);
+        }
+      });
+    }
+
+    if (this.roster.delete(previousId)) {
+      this.roster.add(socket.id);
+    }
+
+    if (this.stats[previousId]) {
+      this.stats[socket.id] = this.stats[previousId];
+      this.stats[socket.id].id = socket.id;
+      delete this.stats[previousId];
+    }
+
+    if (this.gorillaPlayerId === previousId) {
+      this.assignGorilla(socket.id);
+    }
+
+    if (this.hostId === previousId) {
+      this.hostId = socket.id;
+      socket.emit("hostAssigned", { isHost: true });
+    }
+
+    // Other clients re-key their copy of this player
+    this.broadcastFrom(socket, "playerResumed", {
+      previousId,
+      id: socket.id,
+      index: player ? player.index : null,
+    });
+
+    this.log(
+      `Player ${previousId} resumed in ${this.id} as ${socket.id}`,
+      "info",
+      { socketId: socket.id, previousId }
+    );
+
+    return player || null;
+  }
+
+  // Queue a position update for the next tick
+  updatePlayer(socket, data) {
+    const player = this.players[socket.id];
+    if (!player || !data) return;
+
+    this.acknowledgeSnapshot(player, data.ackTick);
+
+    player.inputQueue.push({
+      type: "move",
+      position: data.position,
+      rotation: data.rotation,
+      seq: data.seq,
+      receivedAt: Date.now(),
+    });
+  }
+
+  // Queue a binary position update for the next tick
+  handleBinaryInput(socket, buffer) {
+    const player = this.players[socket.id];
+    if (!player) return;
+
+    const data = decodeInput(buffer);
+    if (!data) return;
+
+    this.countInput("binary", buffer.length);
+    this.updatePlayer(socket, data);
+  }
+
+  // Add an incoming movement update to the byte counters
+  countInput(encoding, bytes) {
+    this.netStats[encoding].inputs++;
+    this.netStats[encoding].inputBytes += bytes;
+  }
+
+  // One-line summary of the hot path traffic, for the server logs
+  describeNetStats() {
+    return ["json", "binary"]
+      .map((encoding) => {
+        const stats = this.netStats[encoding];
+        const average = stats.snapshots
+          ? Math.round(stats.snapshotBytes / stats.snapshots)
+          : 0;
+        return `${encoding}: ${stats.snapshots} snapshots / ${stats.snapshotBytes}B (avg ${average}B), ${stats.inputs} inputs / ${stats.inputBytes}B`;
+      })
+      .join(" | ");
+  }
+
+  // Remember the newest snapshot a client has, to delta the next ones against
+  acknowledgeSnapshot(player, ackTick) {
+    if (!Number.isInteger(ackTick)) return;
+
+    if (ackTick > player.ackTick && ackTick <= this.tick) {
+      player.ackTick = ackTick;
+    }
+  }
+
+  // Validate a queued position update and store it
+  applyMove(player, input) {
+    const now = input.receivedAt;
+    const { position, violation } = validateMove(player, input.position, now);
+
+    player.position = position;
+    if (input.rotation && Number.isFinite(input.rotation.y)) {
+      player.rotation = { y: input.rotation.y };
+    }
+    player.lastMoveAt = now;
+
+    // Acknowledge the client's inputs up to this one (they arrive in order)
+    if (Number.isInteger(input.seq)) {
+      player.lastInputSeq = input.seq;
+    }
+
+    if (violation) {
+      this.handleMoveViolation(player, violation, now);
+    }
+  }
+
+  // Send the player back to where we think they are and keep track of repeat offenders
+  handleMoveViolation(player, violation, now) {
+    const shouldFlag = recordViolation(player, now);
+
+    player.lastCorrectionAt = now;
+    this.sendTo(player.id, "positionCorrection", {
+      position: player.position,
+      rotation: player.rotation,
+      reason: violation,
+    });
+
+    if (shouldFlag && now - player.flaggedAt > VIOLATION_WINDOW_MS) {
+      player.flaggedAt = now;
+      this.log(
+        `Player ${player.id} (${player.name}) flagged in ${this.id}: ${
+          player.violations.length
+        } movement violations in ${
+          VIOLATION_WINDOW_MS / 1000
+        }s (last: ${violation})`,
+        "warn",
+        { socketId: player.id }
+      );
+    }
+  }
+
+  // Queue an attack for the next tick
+  handleAttack(socket) {
+    const attacker = this.players[socket.id];
+    if (!attacker) return;
+
+    attacker.inputQueue.push({ type: "attack", receivedAt: Date.now() });
+  }
+
+  // Resolve a queued attack from one of the room's players
+  applyAttack(attacker, input) {
+    if (attacker.isDead) return;
+
+    // No fighting during the countdown or after the match is over
+    if (!this.isPlaying) return;
+
+    // Ignore attacks faster than the cooldown allows
+    const now = input.receivedAt;
+    if (now - attacker.lastAttackAt < ATTACK_COOLDOWN_MS) return;
+    attacker.lastAttackAt = now;
+
+    if (!attacker.isBot) {
+      this.logger
+        .sampled("attack", ATTACK_LOG_SAMPLE)
+        .debug(`Player ${attacker.id} (${attacker.name}) attacked`, {
+          socketId: attacker.id,
+        });
+    }
+
+    // Let everyone else play the attack animation
+    this.broadcastExcept(attacker.id, "playerAttacked", {
+      id: attacker.id,
+      isGorilla: attacker.isGorilla,
+      name: attacker.name,
+    });
+
+    // Run the hit test against our stored positions and rotations
+    const hits = resolveAttack(attacker, Object.values(this.players), now);
+
+    hits.forEach(({ target, damage, killed }) => {
+      const attackerStats = this.trackStats(attacker);
+      const targetStats = this.trackStats(target);
+      attackerStats.damageDealt += damage;
+      targetStats.damageTaken += damage;
+
+      // Keep the gorilla entity in sync with its player
+      if (target.id === this.gorillaPlayerId) {
+        this.gameEntities.gorilla.health = target.health;
+        this.gameEntities.gorilla.isDead = target.isDead;
+      }
+
+      this.broadcast("playerDamaged", {
+        id: target.id,
+        attackerId: attacker.id,
+        damage,
+        health: target.health,
+        maxHealth: target.maxHealth,
+      });
+
+      if (killed) {
+        attackerStats.kills++;
+        targetStats.deaths++;
+        targetStats.survived = false;
+
+        const respawnAt = this.scheduleRespawn(target, now);
+
+        this.log(
+          `Player ${target.id} (${target.name}) was killed by ${attacker.name}`,
+          "info",
+          { socketId: target.id, killerId: attacker.id }
+        );
+
+        this.broadcast("playerKilled", {
+          id: target.id,
+          name: target.name,
+          killerId: attacker.id,
+          killerName: attacker.name,
+          respawnInMs: respawnAt !== null ? respawnAt - now : null,
+          livesLeft: this.getLivesLeft(target),
+        });
+      }
+    });
+
+    if (hits.some((hit) => hit.killed)) {
+      this.checkWinConditions();
+    }
+  }
+
+  // The lobby's respawn rules for this match
+  getRespawnRules() {
+    return this.lobby.settings.respawn;
+  }
+
+  // Lives a human has left, when the match counts them
+  getLivesLeft(player) {
+    const countsLives = this.getRespawnRules().mode === RESPAWN_MODES.lives;
+    return countsLives && !player.isGorilla ? player.livesLeft : null;
+  }
+
+  // Work out if and when a player who just died comes back. Returns the
+  // time they respawn at, or null if they are out for good.
+  scheduleRespawn(player, now) {
+    const rules = this.getRespawnRules();
+    player.respawnAt = null;
+
+    // The gorilla dying ends the match
+    if (player.isGorilla) return null;
+
+    if (rules.mode === RESPAWN_MODES.lives) {
+      player.livesLeft--;
+      if (player.livesLeft > 0) {
+        player.respawnAt = now + RESPAWN_DELAY_MS;
+      }
+    } else if (rules.mode === RESPAWN_MODES.waves) {
+      player.respawnAt = getNextWaveAt(rules, this.startedAt, now);
+    }
+
+    return player.respawnAt;
+  }
+
+  // Bring back everyone whose respawn time has come
+  respawnPlayers(now) {
+    if (!this.isPlaying) return;
+
+    Object.values(this.players).forEach((player) => {
+      if (
+        player.isDead &&
+        player.respawnAt !== null &&
+        now >= player.respawnAt
+      ) {
+        this.respawnPlayer(player, now);
+      }
+    });
+  }
+
+  // Put a dead human back on the map away from the gorilla, at full health
+  // and briefly invulnerable
+  respawnPlayer(player, now) {
+    const gorilla = this.players[this.gorillaPlayerId];
+    const position = getSpawnPosition(gorilla && gorilla.position);
+
+    player.position = position;
+    player.rotation = {
+      y: gorilla
+        ? Math.atan2(
+            gorilla.position.x - position.x,
+            gorilla.position.z - position.z
+          )
+        : 0,
+    };
+    player.health = player.maxHealth;
+    player.isDead = false;
+    player.respawnAt = null;
+    player.invulnerableUntil = now + SPAWN_INVULNERABILITY_MS;
+
+    // Moves the client sent before it heard about the respawn are stale
+    player.lastMoveAt = now;
+    player.lastCorrectionAt = now;
+
+    if (player.brain) {
+      player.brain = this.bots.createBrain();
+    }
+
+    this.trackStats(player).survived = true;
+
+    this.broadcast("playerRespawned", {
+      id: player.id,
+      position: player.position,
+      rotation: player.rotation,
+      health: player.health,
+      maxHealth: player.maxHealth,
+      invulnerableMs: SPAWN_INVULNERABILITY_MS,
+      livesLeft: this.getLivesLeft(player),
+    });
+
+    this.log(
+      `Player ${player.id} (${player.name}) respawned in ${this.id}`,
+      "info",
+      { socketId: player.id }
+    );
+  }
+
+  // Relay host-side game state to the rest of the room
+  handleGameState(socket, gameState) {
+    // Only accept updates from the room host
+    if (socket.id !== this.hostId) return;
+
+    this.broadcastFrom(socket, "gameStateUpdate", gameState);
+  }
+
+  // Hand the host role on if leavingId has it (bots can't host). A player
+  // who only dropped out keeps it unless someone connected can take over.
+  handOverHost(leavingId) {
+    if (this.hostId !== leavingId) return;
+
+    const next = pickNextHost(
+      this.lobby.players.filter((p) => this.players[p.id]),
+      leavingId
+    );
+    const isStillHere = !!this.players[leavingId];
+    if (isStillHere && (!next || next.disconnected)) return;
+
+    this.hostId = next ? next.id : null;
+    if (this.hostId) {
+      this.sendTo(this.hostId, "hostAssigned", { isHost: true });
+      this.log(`New host assigned in ${this.id}: ${this.hostId}`, "info");
+    }
+  }
+
+  // The gorilla left mid-match - carry on by the lobby's succession rule.
+  // With "end" (or if there's nobody to take over) the win check ends the
+  // round.
+  replaceGorilla(leaving) {
+    if (this.isEnded) return;
+
+    const rule = this.lobby.settings.gorillaSuccession;
+    let gorilla = null;
+
+    if (rule === GORILLA_SUCCESSION.promote) {
+      gorilla = this.promoteToGorilla(leaving);
+    }
+
+    // Nobody could be promoted - the AI steps in instead
+    if (
+      rule === GORILLA_SUCCESSION.ai ||
+      (rule === GORILLA_SUCCESSION.promote && !gorilla)
+    ) {
+      gorilla = this.addAiGorilla(leaving.position);
+      gorilla.health = Math.min(leaving.health, gorilla.maxHealth);
+      this.gameEntities.gorilla.health = gorilla.health;
+    }
+
+    if (!gorilla) return;
+
+    this.broadcast("gorillaReplaced", {
+      previousId: leaving.id,
+      previousName: leaving.name,
+      reason: gorilla.isBot ? "ai" : "promoted",
+      gorilla: this.getPublicPlayer(gorilla),
+    });
+
+    this.log(
+      `Gorilla ${leaving.id} left ${this.id} - ${gorilla.name} took over`,
+      "info"
+    );
+  }
+
+  // Make a random living, connected human the gorilla (with full gorilla
+  // health). Returns them, or null if nobody qualifies - or if they'd be left
+  // without anyone to fight.
+  promoteToGorilla(leaving) {
+    const humans = Object.values(this.players).filter(
+      (p) => !p.isGorilla && p.id !== leaving.id
+    );
+    if (humans.length < 2) return null;
+
+    const candidates = this.lobby.players
+      .filter((p) => !p.disconnected && p.id !== leaving.id)
+      .map((p) => this.players[p.id])
+      .filter((p) => p && !p.isDead);
+    const player = pickGorillaSuccessor(candidates);
+    if (!player) return null;
+
+    const stats = getScaledRoleStats(true, this.lobby.settings);
+    this.assignGorilla(player.id);
+    player.isGorilla = true;
+    player.health = stats.maxHealth;
+    player.maxHealth = stats.maxHealth;
+    player.damage = stats.damage;
+    player.respawnAt = null;
+    this.trackStats(player).isGorilla = true;
+
+    const gorilla = this.gameEntities.gorilla;
+    gorilla.health = player.health;
+    gorilla.maxHealth = player.maxHealth;
+    gorilla.isDead = false;
+
+    return player;
+  }
+
+  // Remove a player from the match and hand over the host and gorilla roles
+  // if needed
+  removePlayer(playerId) {
+    if (this.spectators[playerId]) {
+      delete this.spectators[playerId];
+      this.roster.delete(playerId);
+      this.checkWinConditions();
+      return true;
+    }
+
+    const player = this.players[playerId];
+    this.roster.delete(playerId);
+
+    // They may have left while still loading - don't wait for them, and
+    // find someone else if they were meant to be the gorilla
+    if (!player) {
+      if (playerId === this.gorillaPlayerId && this.hasLeft(playerId)) {
+        const gorilla = this.gameEntities.gorilla;
+        this.replaceGorilla({
+          id: playerId,
+          name: "",
+          position: INITIAL_POSITIONS.gorilla,
+          health: gorilla.maxHealth,
+        });
+      }
+      this.checkLoading();
+      return false;
+    }
+
+    delete this.players[playerId];
+    Object.values(this.players).forEach((other) => {
+      other.interest.delete(playerId);
+    });
+
+    if (this.stats[playerId]) {
+      this.stats[playerId].survived = false;
+      this.stats[playerId].left = true;
+    }
+
+    // Tell the rest of the room this player has left
+    this.broadcast("playerLeft", playerId);
+
+    this.handOverHost(playerId);
+
+    if (playerId === this.gorillaPlayerId && !player.isBot) {
+      this.replaceGorilla(player);
+    }
+
+    this.log(`Room ${this.id} players now: ${this.playerCount}`, "info");
+
+    // The match can't continue without both sides
+    this.checkWinConditions();
+    this.checkLoading();
+
+    return true;
+  }
+}
+
+module.exports = { GameRoom, MATCH_STATES };
@@ -0,0 +1,176 @@
+const { ATTACK_COOLDOWN_MS } = require("./combat");
+const { MAP_BOUNDARY } = require("./movement");
+
+// The AI gorilla's player slot in PvE rounds
+const AI_GORILLA_ID = "ai_gorilla";
+const AI_GORILLA_NAME = "Gorilla (AI)";
+
+// Behaviour tuning, carried over from the old client-side Gorilla entity
+const MOVE_SPEED = 3.5;
+const WANDER_SPEED_FACTOR = 0.5; // Slower wandering
+const ATTACK_DISTANCE = 2;
+const AGGRO_RANGE = 30; // Distance at which the gorilla detects targets
+const TARGET_LOCK_MS = 10000; // Keep chasing the same target this long
+
+// Chance per tick of picking a new wander direction (about as often as the
+// old 60 fps client loop did)
+const WANDER_TURN_CHANCE = 0.03;
+
+// Wandering turns back towards the middle past this distance
+const WANDER_RADIUS = 15;
+
+function horizontalDistance(a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+// Drives the server-controlled gorilla in PvE rounds. Like the human bots it
+// only queues the move / attack inputs a client would send, so it goes
+// through the same validation and combat and reaches every client through
+// the normal snapshots.
+//
+// The gorilla picks the nearest living human in aggro range and sticks with
+// them for a while, swinging whenever they are close enough, and wanders
+// around the middle of the map when nobody is in range.
+class GorillaController {
+  constructor(room) {
+    this.room = room;
+  }
+
+  // The room's gorilla, if the server is the one playing it
+  getGorilla() {
+    const gorilla = this.room.getPlayer(this.room.gorillaPlayerId);
+    return gorilla && gorilla.isBot ? gorilla : null;
+  }
+
+  // AI state, kept on the gorilla's player
+  createBrain() {
+    return {
+      targetId: null,
+      targetLockedUntil: 0,
+      wanderYaw: Math.random() * Math.PI * 2,
+    };
+  }
+
+  // Queue this tick's inputs for the gorilla
+  update(now, deltaTime) {
+    // The gorilla waits for the countdown like everyone else
+    if (!this.room.isPlaying) return;
+
+    const gorilla = this.getGorilla();
+    if (!gorilla || gorilla.isDead) return;
+
+    const target = this.findTarget(gorilla, now);
+    if (target) {
+      this.chase(gorilla, target, now, deltaTime);
+    } else {
+      this.wander(gorilla, now, deltaTime);
+    }
+  }
+
+  // Keep the locked target while it is alive, otherwise lock onto the
+  // nearest human in aggro range
+  findTarget(gorilla, now) {
+    const brain = gorilla.brain;
+    const current = this.room.getPlayer(brain.targetId);
+
+    if (current && !current.isDead && now < brain.targetLockedUntil) {
+      return current;
+    }
+
+    let nearestDistance = AGGRO_RANGE;
+    let nearest = null;
+
+    Object.values(this.room.players).forEach((player) => {
+      if (player.isGorilla || player.isDead) return;
+
+      const distance = horizontalDistance(gorilla.position, player.position);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = player;
+      }
+    });
+
+    brain.targetId = nearest ? nearest.id : null;
+    brain.targetLockedUntil = nearest ? now + TARGET_LOCK_MS : 0;
+
+    return nearest;
+  }
+
+  // Close in on the target and swing once in reach
+  chase(gorilla, target, now, deltaTime) {
+    const position = { ...gorilla.position, y: 0 };
+    const dx = target.position.x - position.x;
+    const dz = target.position.z - position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const yaw = distance > 0 ? Math.atan2(dx, dz) : gorilla.rotation.y;
+
+    if (distance > ATTACK_DISTANCE) {
+      const move = Math.min(
+        MOVE_SPEED * deltaTime,
+        distance - ATTACK_DISTANCE * 0.5
+      );
+      position.x += (dx / distance) * move;
+      position.z += (dz / distance) * move;
+    }
+
+    this.queueMove(gorilla, position, yaw, now);
+
+    if (
+      distance <= ATTACK_DISTANCE &&
+      now - gorilla.lastAttackAt >= ATTACK_COOLDOWN_MS
+    ) {
+      gorilla.inputQueue.push({ type: "attack", receivedAt: now });
+    }
+  }
+
+  // Amble about, turning now and then and heading back to the middle when
+  // straying too far
+  wander(gorilla, now, deltaTime) {
+    const brain = gorilla.brain;
+    const position = { ...gorilla.position, y: 0 };
+
+    if (Math.random() < WANDER_TURN_CHANCE) {
+      brain.wanderYaw = Math.random() * Math.PI * 2;
+    }
+
+    const step = MOVE_SPEED * WANDER_SPEED_FACTOR * deltaTime;
+    position.x += Math.sin(brain.wanderYaw) * step;
+    position.z += Math.cos(brain.wanderYaw) * step;
+
+    // Bounce off the edge of the map in a new direction
+    if (
+      Math.abs(position.x) > MAP_BOUNDARY ||
+      Math.abs(position.z) > MAP_BOUNDARY
+    ) {
+      position.x = Math.max(-MAP_BOUNDARY, Math.min(MAP_BOUNDARY, position.x));
+      position.z = Math.max(-MAP_BOUNDARY, Math.min(MAP_BOUNDARY, position.z));
+      brain.wanderYaw = Math.random() * Math.PI * 2;
+    }
+
+    if (
+      Math.sqrt(position.x * position.x + position.z * position.z) >
+      WANDER_RADIUS
+    ) {
+      brain.wanderYaw = Math.atan2(-position.x, -position.z);
+    }
+
+    this.queueMove(gorilla, position, brain.wanderYaw, now);
+  }
+
+  queueMove(gorilla, position, yaw, now) {
+    gorilla.inputQueue.push({
+      type: "move",
+      position,
+      rotation: { y: yaw },
+      receivedAt: now,
+    });
+  }
+}
+
+module.exports = {
+  GorillaController,
+  AI_GORILLA_ID,
+  AI_GORILLA_NAME,
+};
@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+
+// How long a dropped player keeps their lobby slot and game state
+const SESSION_GRACE_MS = 30000;
+
+// Resumable player sessions. Every socket gets a token on connect; when the
+// socket drops, the session is kept for a grace window so a reconnecting
+// client (even after a page refresh) can take its old place back.
+class SessionStore {
+  constructor({ graceMs = SESSION_GRACE_MS, onExpire = () => {} } = {}) {
+    this.graceMs = graceMs;
+    this.onExpire = onExpire;
+
+    // Sessions keyed by token, plus a socket id -> token lookup
+    this.sessions = {};
+    this.tokensBySocket = {};
+  }
+
+  // Start a new session for a socket
+  create(socketId) {
+    const session = {
+      token: crypto.randomBytes(24).toString("hex"),
+      socketId,
+      createdAt: Date.now(),
+      disconnectedAt: null,
+      expiryTimer: null,
+    };
+
+    this.sessions[session.token] = session;
+    this.tokensBySocket[socketId] = session.token;
+    return session;
+  }
+
+  getBySocket(socketId) {
+    const token = this.tokensBySocket[socketId];
+    return token ? this.sessions[token] : null;
+  }
+
+  // Move a dropped session over to a new socket. Returns the session (with
+  // the socket id it used before) or null if it can't be resumed.
+  resume(token, socketId) {
+    const session = typeof token === "string" ? this.sessions[token] : null;
+
+    // Only sessions waiting out their grace window can be taken over -
+    // a duplicated tab must not steal a live player's slot
+    if (!session || session.disconnectedAt === null) return null;
+
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+    session.disconnectedAt = null;
+
+    const previousId = session.socketId;
+    delete this.tokensBySocket[previousId];
+    session.socketId = socketId;
+    this.tokensBySocket[socketId] = token;
+
+    return { session, previousId };
+  }
+
+  // Keep a session around for the grace window after its socket drops
+  disconnect(socketId) {
+    const session = this.getBySocket(socketId);
+    if (!session) return;
+
+    session.disconnectedAt = Date.now();
+    session.expiryTimer = setTimeout(() => {
+      this.remove(session.socketId);
+      this.onExpire(session.socketId);
+    }, this.graceMs);
+  }
+
+  // Forget a session straight away
+  remove(socketId) {
+    const session = this.getBySocket(socketId);
+    if (!session) return;
+
+    clearTimeout(session.expiryTimer);
+    delete this.sessions[session.token];
+    delete this.tokensBySocket[socketId];
+  }
+}
+
+module.exports = { SessionStore, SESSION_GRACE_MS };
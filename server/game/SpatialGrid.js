@@ -0,0 +1,58 @@
+// Uniform grid over the map for finding players near a point without
+// checking every pair. Rooms rebuild it every tick - players move too often
+// for incremental updates to be worth it.
+class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  getCellKey(cellX, cellZ) {
+    return `${cellX},${cellZ}`;
+  }
+
+  // Add something with a `position` to the cell it is standing in
+  insert(item) {
+    const cellX = Math.floor(item.position.x / this.cellSize);
+    const cellZ = Math.floor(item.position.z / this.cellSize);
+    const key = this.getCellKey(cellX, cellZ);
+
+    if (!this.cells.has(key)) {
+      this.cells.set(key, []);
+    }
+    this.cells.get(key).push(item);
+  }
+
+  // Everything within radius of a position (horizontal distance)
+  queryRadius(position, radius) {
+    const results = [];
+    const minX = Math.floor((position.x - radius) / this.cellSize);
+    const maxX = Math.floor((position.x + radius) / this.cellSize);
+    const minZ = Math.floor((position.z - radius) / this.cellSize);
+    const maxZ = Math.floor((position.z + radius) / this.cellSize);
+    const radiusSquared = radius * radius;
+
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+        const cell = this.cells.get(this.getCellKey(cellX, cellZ));
+        if (!cell) continue;
+
+        cell.forEach((item) => {
+          const dx = item.position.x - position.x;
+          const dz = item.position.z - position.z;
+          if (dx * dx + dz * dz <= radiusSquared) {
+            results.push(item);
+          }
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = { SpatialGrid };
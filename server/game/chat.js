@@ -0,0 +1,130 @@
+// Chat channels. Everyone in a lobby can use the lobby channel. During a
+// match players can also talk to their own side only, and spectators (and
+// dead players) get a channel of their own so they can't tip off the living.
+const CHAT_CHANNELS = {
+  lobby: "lobby",
+  team: "team",
+  spectators: "spectators",
+};
+
+// Longest message anyone can send
+const MAX_CHAT_MESSAGE_LENGTH = 200;
+
+// How many messages a player can send per window before being told to slow
+// down - enough for a quick back-and-forth, not for flooding
+const CHAT_RATE_LIMIT = {
+  messages: 5,
+  windowMs: 3000,
+};
+
+// Commands typed into chat, handled by the server
+const CHAT_COMMANDS = {
+  kick: "kick", // /kick name - host only
+  mute: "mute", // /mute name - host only, toggles
+  whisper: "w", // /w name message
+  roll: "roll", // /roll [max]
+};
+
+const DEFAULT_ROLL_MAX = 100;
+const MAX_ROLL_MAX = 1000000;
+
+// What a client sent as a chat message (older clients send just the text),
+// or null if there's nothing to send
+function parseChatMessage(data) {
+  const payload = typeof data === "string" ? { message: data } : data || {};
+  const message =
+    typeof payload.message === "string" ? payload.message.trim() : "";
+  const channel = CHAT_CHANNELS[payload.channel] || CHAT_CHANNELS.lobby;
+
+  return message ? { message, channel } : null;
+}
+
+// A chat message as a command ({ name, args }), or null if it isn't one
+function parseChatCommand(message) {
+  const match = /^\/(\S+)\s*(.*)$/.exec(message);
+  if (!match) return null;
+
+  return { name: match[1].toLowerCase(), args: match[2].trim() };
+}
+
+// The lobby player whose name text starts with, and the rest of the text.
+// Names can have spaces in them, so the longest matching name wins.
+function findPlayerByName(players, text) {
+  const lowerText = text.toLowerCase();
+  const player = players
+    .filter((p) => {
+      const name = p.name.toLowerCase();
+      return lowerText === name || lowerText.startsWith(`${name} `);
+    })
+    .sort((a, b) => b.name.length - a.name.length)[0];
+
+  if (!player) return null;
+  return { player, rest: text.substring(player.name.length).trim() };
+}
+
+// A roll between 1 and max - /roll takes an optional max
+function rollDice(args) {
+  const requested = parseInt(args, 10);
+  const max =
+    requested > 1 ? Math.min(requested, MAX_ROLL_MAX) : DEFAULT_ROLL_MAX;
+
+  return { max, result: 1 + Math.floor(Math.random() * max) };
+}
+
+// Replaces filtered words with asterisks. The word list comes from the
+// CHAT_FILTER_WORDS environment variable (comma separated); matching ignores
+// case and only hits whole words.
+function createWordFilter(words) {
+  const escaped = words
+    .map((word) => word.trim())
+    .filter(Boolean)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  if (escaped.length === 0) return (message) => message;
+
+  const pattern = new RegExp(`\\b(${escaped.join("|")})\\b`, "gi");
+  return (message) =>
+    message.replace(pattern, (word) => "*".repeat(word.length));
+}
+
+// Counts each socket's recent messages to cap how fast they can chat
+class ChatRateLimiter {
+  constructor({
+    messages = CHAT_RATE_LIMIT.messages,
+    windowMs = CHAT_RATE_LIMIT.windowMs,
+  } = {}) {
+    this.messages = messages;
+    this.windowMs = windowMs;
+    this.sentAt = new Map(); // socket id -> times of recent messages
+  }
+
+  // Whether socketId may send another message now (and count it if so)
+  allow(socketId, now = Date.now()) {
+    const recent = (this.sentAt.get(socketId) || []).filter(
+      (time) => now - time < this.windowMs
+    );
+    if (recent.length >= this.messages) {
+      this.sentAt.set(socketId, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.sentAt.set(socketId, recent);
+    return true;
+  }
+
+  remove(socketId) {
+    this.sentAt.delete(socketId);
+  }
+}
+
+module.exports = {
+  CHAT_CHANNELS,
+  MAX_CHAT_MESSAGE_LENGTH,
+  CHAT_COMMANDS,
+  parseChatMessage,
+  parseChatCommand,
+  findPlayerByName,
+  rollDice,
+  createWordFilter,
+  ChatRateLimiter,
+};
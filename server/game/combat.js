@@ -0,0 +1,89 @@
+// Server-side combat rules. Clients only play attack animations - the server
+// decides who was hit and broadcasts playerDamaged / playerKilled events.
+
+// Per-role combat stats (mirror the values used by the client's Player class)
+const ROLE_STATS = {
+  human: {
+    maxHealth: 100,
+    damage: 1, // 1/100 of gorilla health
+    range: 2,
+  },
+  gorilla: {
+    maxHealth: 200,
+    damage: 20, // 1/5 of human health
+    range: 3,
+  },
+};
+
+// How directly the attacker has to face the target (dot product threshold)
+const FACING_THRESHOLD = 0.3;
+
+// Minimum time between two attacks from the same player (Player.attackCooldown)
+const ATTACK_COOLDOWN_MS = 500;
+
+// Time a player can't be hit again after taking damage (Player.invulnerabilityTime)
+const INVULNERABILITY_MS = 1000;
+
+// Get the combat stats for a role
+function getRoleStats(isGorilla) {
+  return isGorilla ? ROLE_STATS.gorilla : ROLE_STATS.human;
+}
+
+// Check whether a target is within range and in front of the attacker
+function isInAttackArc(attacker, target, range) {
+  const dx = target.position.x - attacker.position.x;
+  const dy = target.position.y - attacker.position.y;
+  const dz = target.position.z - attacker.position.z;
+
+  const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (distance > range) return false;
+
+  // Standing on top of each other always counts as a hit
+  if (distance === 0) return true;
+
+  // Players face (sin(y), cos(y)) - the same direction Controls moves them in
+  const rotationY = attacker.rotation ? attacker.rotation.y || 0 : 0;
+  const dot = (dx * Math.sin(rotationY) + dz * Math.cos(rotationY)) / distance;
+
+  return dot > FACING_THRESHOLD;
+}
+
+// Resolve an attack against a list of players.
+// Humans can only hit the gorilla and the gorilla can only hit humans.
+// An attacker's own damage (the lobby's multiplier applied) wins over the
+// role's base damage. Returns the hits that landed; target health is
+// updated in place.
+function resolveAttack(attacker, candidates, now = Date.now()) {
+  const stats = getRoleStats(attacker.isGorilla);
+  const damage = attacker.damage || stats.damage;
+  const hits = [];
+
+  candidates.forEach((target) => {
+    if (target.id === attacker.id || target.isDead) return;
+    if (target.isGorilla === attacker.isGorilla) return;
+    if (now - (target.lastDamagedAt || 0) < INVULNERABILITY_MS) return;
+    if (now < (target.invulnerableUntil || 0)) return;
+    if (!isInAttackArc(attacker, target, stats.range)) return;
+
+    target.health = Math.max(0, target.health - damage);
+    target.lastDamagedAt = now;
+
+    const killed = target.health <= 0;
+    if (killed) {
+      target.isDead = true;
+    }
+
+    hits.push({ target, damage, killed });
+  });
+
+  return hits;
+}
+
+module.exports = {
+  ROLE_STATS,
+  ATTACK_COOLDOWN_MS,
+  INVULNERABILITY_MS,
+  getRoleStats,
+  isInAttackArc,
+  resolveAttack,
+};
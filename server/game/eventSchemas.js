@@ -0,0 +1,319 @@
+const { BINARY_EVENTS } = require("./protocol");
+const { MAX_CHAT_MESSAGE_LENGTH, CHAT_CHANNELS } = require("./chat");
+
+// What every socket event a client can send has to look like. Payloads are
+// checked against these before any handler sees them, so handlers can rely
+// on the types (though not on the values making sense - that is still up to
+// them, e.g. whether a player id is in the lobby).
+//
+// A schema is a plain object: { type, optional, nullable, ... } where type is
+// one of "string", "number", "integer", "boolean", "object", "binary" or
+// "any". Objects list their fields; unknown fields are allowed (older and
+// newer clients send a few extra) unless strict is set. oneOf accepts a
+// value matching any of the listed schemas.
+
+const MAX_PLAYER_NAME_LENGTH = 24;
+const MAX_LOBBY_NAME_LENGTH = 40;
+const MAX_ID_LENGTH = 64;
+const MAX_PASSCODE_LENGTH = 32;
+// Far past the map edge - positions are clamped to the map later, this only
+// keeps out values no client could ever send
+const MAX_COORDINATE = 1e6;
+
+// Bad payloads allowed per socket in the window before it is disconnected
+const PROTOCOL_VIOLATION_WINDOW_MS = 10000;
+const PROTOCOL_VIOLATION_LIMIT = 10;
+
+const OPTIONAL_ANY = { type: "any", optional: true };
+const PLAYER_NAME = {
+  type: "string",
+  maxLength: MAX_PLAYER_NAME_LENGTH,
+  optional: true,
+};
+const ID = { type: "string", maxLength: MAX_ID_LENGTH };
+const COORDINATE = {
+  type: "number",
+  min: -MAX_COORDINATE,
+  max: MAX_COORDINATE,
+};
+const POSITION = {
+  type: "object",
+  fields: { x: COORDINATE, y: COORDINATE, z: COORDINATE },
+};
+const ROTATION = {
+  type: "object",
+  fields: { y: { type: "number" } },
+};
+const PROTOCOL_REQUEST = {
+  type: "object",
+  nullable: true,
+  optional: true,
+  fields: { binary: { type: "integer", min: 0, optional: true } },
+};
+// Settings are normalized by lobbySettings.js - only the shape is checked.
+// Numbers can be null (a cleared input sends NaN, which arrives as null) and
+// fall back to the current value.
+const SETTING_NUMBER = { type: "number", optional: true, nullable: true };
+const SETTING_CHOICE = { type: "string", maxLength: 16, optional: true };
+const LOBBY_SETTINGS = {
+  type: "object",
+  fields: {
+    mode: SETTING_CHOICE,
+    isPrivate: { type: "boolean", optional: true },
+    maxPlayers: SETTING_NUMBER,
+    roundDurationSeconds: SETTING_NUMBER,
+    gorillaSelection: SETTING_CHOICE,
+    gorillaPickId: { ...ID, nullable: true, optional: true },
+    gorillaSuccession: SETTING_CHOICE,
+    humanHealthMultiplier: SETTING_NUMBER,
+    humanDamageMultiplier: SETTING_NUMBER,
+    gorillaHealthMultiplier: SETTING_NUMBER,
+    gorillaDamageMultiplier: SETTING_NUMBER,
+    botFill: { type: "boolean", optional: true },
+    respawn: {
+      type: "object",
+      optional: true,
+      fields: {
+        mode: SETTING_CHOICE,
+        lives: SETTING_NUMBER,
+        waveIntervalSeconds: SETTING_NUMBER,
+      },
+    },
+    passcode: {
+      type: "string",
+      maxLength: MAX_PASSCODE_LENGTH,
+      nullable: true,
+      optional: true,
+    },
+  },
+};
+
+const EVENT_SCHEMAS = {
+  getLobbies: OPTIONAL_ANY,
+  createLobby: {
+    type: "object",
+    fields: {
+      name: {
+        type: "string",
+        maxLength: MAX_LOBBY_NAME_LENGTH,
+        optional: true,
+      },
+      maxPlayers: SETTING_NUMBER,
+      playerName: PLAYER_NAME,
+      settings: { ...LOBBY_SETTINGS, optional: true, nullable: true },
+      passcode: {
+        type: "string",
+        maxLength: MAX_PASSCODE_LENGTH,
+        optional: true,
+      },
+    },
+  },
+  joinLobby: {
+    type: "object",
+    fields: {
+      lobbyId: { ...ID, optional: true },
+      inviteCode: { type: "string", maxLength: 16, optional: true },
+      passcode: {
+        type: "string",
+        maxLength: MAX_PASSCODE_LENGTH,
+        optional: true,
+      },
+      playerName: PLAYER_NAME,
+    },
+  },
+  leaveLobby: OPTIONAL_ANY,
+  kickPlayer: { type: "object", fields: { playerId: ID } },
+  setMuted: {
+    type: "object",
+    fields: { playerId: ID, muted: { type: "boolean" } },
+  },
+  setBotCount: {
+    type: "object",
+    fields: { count: { type: "integer", min: 0, max: 1000 } },
+  },
+  updateLobbySettings: LOBBY_SETTINGS,
+  setVolunteer: {
+    type: "object",
+    fields: { volunteer: { type: "boolean" } },
+  },
+  setReady: { type: "object", fields: { ready: { type: "boolean" } } },
+  transferHost: { type: "object", fields: { playerId: ID } },
+  startGame: {
+    type: "object",
+    optional: true,
+    fields: {
+      lobbyId: { ...ID, optional: true },
+      force: { type: "boolean", optional: true },
+    },
+  },
+  join: {
+    type: "object",
+    fields: {
+      name: PLAYER_NAME,
+      position: { ...POSITION, optional: true },
+      rotation: { ...ROTATION, optional: true },
+      isGorilla: { type: "boolean", optional: true },
+      protocol: PROTOCOL_REQUEST,
+    },
+  },
+  playerUpdate: {
+    type: "object",
+    fields: {
+      position: POSITION,
+      rotation: { ...ROTATION, optional: true },
+      seq: { type: "integer", min: 0, optional: true },
+      ackTick: { type: "integer", min: 0, optional: true },
+    },
+  },
+  [BINARY_EVENTS.input]: { type: "binary", maxBytes: 256 },
+  negotiateProtocol: PROTOCOL_REQUEST,
+  gameStateUpdate: { type: "object" },
+  playerAttack: OPTIONAL_ANY,
+  leaveGame: OPTIONAL_ANY,
+  chatMessage: {
+    oneOf: [
+      // The text (a little over the limit, so the handler can say so)
+      { type: "string", maxLength: MAX_CHAT_MESSAGE_LENGTH * 2 },
+      {
+        type: "object",
+        fields: {
+          message: { type: "string", maxLength: MAX_CHAT_MESSAGE_LENGTH * 2 },
+          channel: {
+            type: "string",
+            enum: Object.values(CHAT_CHANNELS),
+            optional: true,
+          },
+        },
+      },
+    ],
+  },
+};
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Buffer.isBuffer(value)) return "binary";
+  return typeof value;
+}
+
+// Why value doesn't match schema (mentioning where, e.g. "position.x"), or
+// null if it does
+function validate(schema, value, path = "payload") {
+  if (value === undefined) {
+    return schema.optional ? null : `${path} is required`;
+  }
+  if (value === null) {
+    return schema.nullable ? null : `${path} can't be null`;
+  }
+
+  const type = describeType(value);
+  if (schema.oneOf) {
+    if (schema.oneOf.some((s) => !validate(s, value, path))) return null;
+
+    // Explain against the form of the same type, if there is one
+    const closest = schema.oneOf.find((s) => s.type === type);
+    return closest
+      ? validate(closest, value, path)
+      : `${path} doesn't match any accepted form`;
+  }
+
+  switch (schema.type) {
+    case "any":
+      return null;
+
+    case "string":
+      if (type !== "string") return `${path} must be a string, not ${type}`;
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `${path} must be at most ${schema.maxLength} characters`;
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of ${schema.enum.join(", ")}`;
+      }
+      return null;
+
+    case "number":
+    case "integer":
+      if (type !== "number" || !Number.isFinite(value)) {
+        return `${path} must be a finite number`;
+      }
+      if (schema.type === "integer" && !Number.isInteger(value)) {
+        return `${path} must be a whole number`;
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return `${path} must be at least ${schema.min}`;
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        return `${path} must be at most ${schema.max}`;
+      }
+      return null;
+
+    case "boolean":
+      return type === "boolean" ? null : `${path} must be true or false`;
+
+    case "binary": {
+      const isBinary =
+        type === "binary" ||
+        value instanceof ArrayBuffer ||
+        ArrayBuffer.isView(value);
+      if (!isBinary) return `${path} must be binary data`;
+      if (schema.maxBytes !== undefined && value.byteLength > schema.maxBytes) {
+        return `${path} must be at most ${schema.maxBytes} bytes`;
+      }
+      return null;
+    }
+
+    case "object": {
+      if (type !== "object") return `${path} must be an object, not ${type}`;
+
+      const fields = schema.fields || {};
+      if (schema.strict) {
+        const unknown = Object.keys(value).find((key) => !fields[key]);
+        if (unknown) return `${path}.${unknown} is not allowed`;
+      }
+      for (const [key, fieldSchema] of Object.entries(fields)) {
+        const error = validate(fieldSchema, value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    default:
+      return `${path} has an unknown schema type`;
+  }
+}
+
+function isKnownEvent(event) {
+  return Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event);
+}
+
+// Check an event's payload. Returns null if it is fine, or the reason it
+// was rejected - including events that have no schema at all.
+function validateEvent(event, payload) {
+  if (!isKnownEvent(event)) return `Unknown event "${event}"`;
+
+  return validate(EVENT_SCHEMAS[event], payload);
+}
+
+// Note a bad payload from a socket - true once it has sent too many in the
+// window and should be disconnected
+function recordProtocolViolation(violations, now = Date.now()) {
+  const recent = violations.filter(
+    (time) => now - time < PROTOCOL_VIOLATION_WINDOW_MS
+  );
+  recent.push(now);
+  violations.length = 0;
+  violations.push(...recent);
+
+  return violations.length >= PROTOCOL_VIOLATION_LIMIT;
+}
+
+module.exports = {
+  MAX_PLAYER_NAME_LENGTH,
+  MAX_LOBBY_NAME_LENGTH,
+  PROTOCOL_VIOLATION_LIMIT,
+  EVENT_SCHEMAS,
+  validate,
+  isKnownEvent,
+  validateEvent,
+  recordProtocolViolation,
+};
@@ -0,0 +1,73 @@
+// Area-of-interest rules - which players each client gets updates about, and
+// how often. Nearby players the client can (roughly) see are sent every tick,
+// everyone else in range at a reduced rate, and players beyond the interest
+// radius not at all. The gorilla is always sent at full rate.
+
+// Grid cell size for the room's spatial index
+const INTEREST_CELL_SIZE = 10;
+
+// Full rate for players this close and in view range
+const RELEVANCE_RADIUS = 15;
+
+// Full rate this close whichever way the viewer is facing (someone right
+// behind you can still hit you)
+const CLOSE_RADIUS = 5;
+
+// Players further away than this aren't sent at all
+const MAX_INTEREST_RADIUS = 35;
+
+// Half-angle of the rough view range around the viewer's facing. Wider than
+// the camera's field of view so players don't pop in when turning.
+const VIEW_HALF_ANGLE = (100 * Math.PI) / 180;
+
+// Reduced-rate players are sent every this many ticks
+const FAR_UPDATE_TICKS = 4;
+
+const INTEREST_TIERS = {
+  near: "near",
+  far: "far",
+};
+
+// Is the target roughly in front of the viewer?
+function isInViewRange(viewer, target) {
+  const dx = target.position.x - viewer.position.x;
+  const dz = target.position.z - viewer.position.z;
+  const distance = Math.sqrt(dx * dx + dz * dz);
+  if (distance === 0) return true;
+
+  // Forward is (sin(rotY), cos(rotY)), same as the attack arc
+  const yaw = viewer.rotation.y;
+  const dot = (dx * Math.sin(yaw) + dz * Math.cos(yaw)) / distance;
+  return dot >= Math.cos(VIEW_HALF_ANGLE);
+}
+
+// How often the viewer should hear about the target: "near", "far" or null
+function getInterestTier(viewer, target, isGorilla) {
+  if (isGorilla) return INTEREST_TIERS.near;
+
+  const dx = target.position.x - viewer.position.x;
+  const dz = target.position.z - viewer.position.z;
+  const distance = Math.sqrt(dx * dx + dz * dz);
+
+  if (distance > MAX_INTEREST_RADIUS) return null;
+  if (distance <= CLOSE_RADIUS) return INTEREST_TIERS.near;
+  if (distance <= RELEVANCE_RADIUS && isInViewRange(viewer, target)) {
+    return INTEREST_TIERS.near;
+  }
+  return INTEREST_TIERS.far;
+}
+
+// Reduced-rate players are all sent on the same ticks so clients know when
+// to expect them
+function isFarUpdateTick(tick) {
+  return tick % FAR_UPDATE_TICKS === 0;
+}
+
+module.exports = {
+  INTEREST_CELL_SIZE,
+  MAX_INTEREST_RADIUS,
+  FAR_UPDATE_TICKS,
+  INTEREST_TIERS,
+  getInterestTier,
+  isFarUpdateTick,
+};
@@ -0,0 +1,48 @@
+// Invite codes and passcodes. Every lobby gets a short invite code that can
+// be shared as a link (?lobby=CODE) - private lobbies can only be joined that
+// way. A lobby can also have a passcode that everyone joining must give.
+
+// No 0/O or 1/I/L so codes can be read out loud and typed back
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 6;
+
+const MAX_PASSCODE_LENGTH = 32;
+
+// A new code that isTaken(code) doesn't know about yet
+function generateInviteCode(isTaken) {
+  let code;
+  do {
+    code = "";
+    for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+      code +=
+        INVITE_CODE_ALPHABET[
+          Math.floor(Math.random() * INVITE_CODE_ALPHABET.length)
+        ];
+    }
+  } while (isTaken(code));
+
+  return code;
+}
+
+// What a player typed or pasted as a code, in the form codes are stored in
+// (null if it can't be one)
+function normalizeInviteCode(code) {
+  if (typeof code !== "string") return null;
+
+  const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return normalized.length === INVITE_CODE_LENGTH ? normalized : null;
+}
+
+// A passcode as the host set it - null (no passcode) if it is empty
+function normalizePasscode(passcode) {
+  if (typeof passcode !== "string") return null;
+
+  const trimmed = passcode.trim().substring(0, MAX_PASSCODE_LENGTH);
+  return trimmed || null;
+}
+
+module.exports = {
+  generateInviteCode,
+  normalizeInviteCode,
+  normalizePasscode,
+};
@@ -0,0 +1,189 @@
+const { getRoleStats } = require("./combat");
+const { DEFAULT_RESPAWN_RULES, normalizeRespawnRules } = require("./respawn");
+const { GORILLA_SUCCESSION } = require("./succession");
+
+// Everything the host can change about a lobby before starting. The server
+// validates every change (normalizeLobbySettings) and applies the settings
+// when the match starts.
+
+// Lobby size limit - 100 humans plus the gorilla
+const MAX_LOBBY_PLAYERS = 101;
+
+const GAME_MODES = {
+  pvp: "pvp", // A player is the gorilla
+  pve: "pve", // Everyone plays a human against an AI gorilla
+};
+
+// How the gorilla is picked when a PvP match starts
+const GORILLA_SELECTION = {
+  random: "random",
+  volunteer: "volunteer", // Randomly among players who volunteered
+  host: "host", // Whoever the host picked
+  rotate: "rotate", // The next player in lobby order after the last gorilla
+};
+
+// Round length limits
+const MIN_ROUND_SECONDS = 60;
+const MAX_ROUND_SECONDS = 900;
+
+// Health and damage multiplier limits
+const MIN_MULTIPLIER = 0.25;
+const MAX_MULTIPLIER = 4;
+
+const DEFAULT_LOBBY_SETTINGS = {
+  mode: GAME_MODES.pvp,
+  isPrivate: false, // Hidden from the lobbies list - join with the invite code
+  maxPlayers: 4,
+  roundDurationSeconds: 300,
+  gorillaSelection: GORILLA_SELECTION.random,
+  gorillaPickId: null, // The host's pick with the "host" rule
+  gorillaSuccession: GORILLA_SUCCESSION.promote, // If the gorilla leaves
+  humanHealthMultiplier: 1,
+  humanDamageMultiplier: 1,
+  gorillaHealthMultiplier: 1,
+  gorillaDamageMultiplier: 1,
+  botFill: false, // Fill the empty slots with bots when the match starts
+  respawn: DEFAULT_RESPAWN_RULES,
+};
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// A whole number within the limits, or the fallback if it isn't a number
+function toInteger(value, min, max, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? clamp(number, min, max) : fallback;
+}
+
+function toMultiplier(value, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+
+  // Keep to two decimals so they display sensibly
+  return Math.round(clamp(number, MIN_MULTIPLIER, MAX_MULTIPLIER) * 100) / 100;
+}
+
+// Apply the host's changes on top of the current settings. Anything missing
+// or invalid keeps its current value; out-of-range numbers are clamped.
+function normalizeLobbySettings(current, changes = {}) {
+  const settings = { ...DEFAULT_LOBBY_SETTINGS, ...current };
+  if (!changes || typeof changes !== "object") return settings;
+
+  if (GAME_MODES[changes.mode]) {
+    settings.mode = changes.mode;
+  }
+
+  if (changes.isPrivate !== undefined) {
+    settings.isPrivate = !!changes.isPrivate;
+  }
+
+  if (changes.maxPlayers !== undefined) {
+    settings.maxPlayers = toInteger(
+      changes.maxPlayers,
+      2,
+      MAX_LOBBY_PLAYERS,
+      settings.maxPlayers
+    );
+  }
+
+  if (changes.roundDurationSeconds !== undefined) {
+    settings.roundDurationSeconds = toInteger(
+      changes.roundDurationSeconds,
+      MIN_ROUND_SECONDS,
+      MAX_ROUND_SECONDS,
+      settings.roundDurationSeconds
+    );
+  }
+
+  if (GORILLA_SELECTION[changes.gorillaSelection]) {
+    settings.gorillaSelection = changes.gorillaSelection;
+  }
+
+  if (GORILLA_SUCCESSION[changes.gorillaSuccession]) {
+    settings.gorillaSuccession = changes.gorillaSuccession;
+  }
+
+  if (changes.gorillaPickId !== undefined) {
+    settings.gorillaPickId =
+      typeof changes.gorillaPickId === "string" ? changes.gorillaPickId : null;
+  }
+
+  [
+    "humanHealthMultiplier",
+    "humanDamageMultiplier",
+    "gorillaHealthMultiplier",
+    "gorillaDamageMultiplier",
+  ].forEach((key) => {
+    if (changes[key] !== undefined) {
+      settings[key] = toMultiplier(changes[key], settings[key]);
+    }
+  });
+
+  if (changes.botFill !== undefined) {
+    settings.botFill = !!changes.botFill;
+  }
+
+  if (changes.respawn !== undefined) {
+    settings.respawn = normalizeRespawnRules({
+      ...settings.respawn,
+      ...changes.respawn,
+    });
+  }
+
+  return settings;
+}
+
+// A role's health and damage with the lobby's multipliers applied. Health
+// and damage stay whole numbers (snapshots carry health as an integer).
+function getScaledRoleStats(isGorilla, settings) {
+  const stats = getRoleStats(isGorilla);
+  const healthMultiplier = isGorilla
+    ? settings.gorillaHealthMultiplier
+    : settings.humanHealthMultiplier;
+  const damageMultiplier = isGorilla
+    ? settings.gorillaDamageMultiplier
+    : settings.humanDamageMultiplier;
+
+  return {
+    ...stats,
+    maxHealth: Math.max(1, Math.round(stats.maxHealth * healthMultiplier)),
+    damage: Math.max(1, Math.round(stats.damage * damageMultiplier)),
+  };
+}
+
+// Pick the lobby player who plays the gorilla in a PvP match
+function pickGorilla(lobby) {
+  const { players, settings } = lobby;
+  const randomFrom = (list) => list[Math.floor(Math.random() * list.length)];
+
+  switch (settings.gorillaSelection) {
+    case GORILLA_SELECTION.volunteer: {
+      const volunteers = players.filter((p) => p.volunteer);
+      return randomFrom(volunteers.length > 0 ? volunteers : players);
+    }
+
+    case GORILLA_SELECTION.host: {
+      const pick = players.find((p) => p.id === settings.gorillaPickId);
+      return pick || randomFrom(players);
+    }
+
+    case GORILLA_SELECTION.rotate: {
+      const lastIndex = players.findIndex((p) => p.id === lobby.lastGorillaId);
+      return players[(lastIndex + 1) % players.length];
+    }
+
+    default:
+      return randomFrom(players);
+  }
+}
+
+module.exports = {
+  MAX_LOBBY_PLAYERS,
+  GAME_MODES,
+  GORILLA_SELECTION,
+  DEFAULT_LOBBY_SETTINGS,
+  normalizeLobbySettings,
+  getScaledRoleStats,
+  pickGorilla,
+};
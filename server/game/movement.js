@@ -0,0 +1,142 @@
+// Server-side movement rules. Clients still simulate their own movement, but
+// every position they report is checked against what the role could actually
+// have done since the last accepted update.
+
+// Square map boundary centered at origin (Player.mapBoundary / Environment)
+const MAP_BOUNDARY = 20;
+
+// Gravity used by the client's jump physics (Player.gravity)
+const GRAVITY = 20;
+
+// Per-role movement stats (mirror the values used by the client's Player class)
+const MOVEMENT_STATS = {
+  human: {
+    moveSpeed: 5,
+    jumpForce: 10,
+  },
+  gorilla: {
+    moveSpeed: 5,
+    jumpForce: 15,
+  },
+};
+
+// Extra room for network jitter - updates can arrive bunched together
+const SPEED_TOLERANCE = 1.5;
+const DISTANCE_SLACK = 0.5;
+const HEIGHT_SLACK = 0.5;
+
+// Longest gap between updates we give movement credit for
+const MAX_ELAPSED_MS = 1000;
+
+// Updates still in flight when a correction is sent don't count as violations
+const CORRECTION_GRACE_MS = 500;
+
+// Players with this many violations inside the window get flagged
+const VIOLATION_WINDOW_MS = 10000;
+const VIOLATION_FLAG_THRESHOLD = 5;
+
+// Get the movement stats for a role
+function getMovementStats(isGorilla) {
+  return isGorilla ? MOVEMENT_STATS.gorilla : MOVEMENT_STATS.human;
+}
+
+// Highest a role can get off the ground with a single jump
+function getMaxJumpHeight(isGorilla) {
+  const { jumpForce } = getMovementStats(isGorilla);
+  return (jumpForce * jumpForce) / (2 * GRAVITY);
+}
+
+// Keep a position inside the map
+function enforceMapBoundaries(position) {
+  return {
+    x: Math.max(-MAP_BOUNDARY, Math.min(MAP_BOUNDARY, position.x)),
+    y: position.y,
+    z: Math.max(-MAP_BOUNDARY, Math.min(MAP_BOUNDARY, position.z)),
+  };
+}
+
+function isValidPosition(position) {
+  return (
+    !!position &&
+    Number.isFinite(position.x) &&
+    Number.isFinite(position.y) &&
+    Number.isFinite(position.z)
+  );
+}
+
+// Check a reported position against the player's last accepted one.
+// Returns the position to store and the reason it was changed, if it was.
+function validateMove(player, proposed, now) {
+  if (!isValidPosition(proposed)) {
+    return { position: { ...player.position }, violation: "invalid" };
+  }
+
+  // Dead players stay where they fell
+  if (player.isDead) {
+    const moved =
+      proposed.x !== player.position.x || proposed.z !== player.position.z;
+    return {
+      position: { ...player.position },
+      violation: moved ? "dead" : null,
+    };
+  }
+
+  let violation = null;
+  const position = { ...proposed };
+
+  // Horizontal speed
+  const { moveSpeed } = getMovementStats(player.isGorilla);
+  const elapsed = Math.min(now - player.lastMoveAt, MAX_ELAPSED_MS) / 1000;
+  const maxDistance = moveSpeed * SPEED_TOLERANCE * elapsed + DISTANCE_SLACK;
+
+  const dx = position.x - player.position.x;
+  const dz = position.z - player.position.z;
+  const distance = Math.sqrt(dx * dx + dz * dz);
+
+  if (distance > maxDistance) {
+    // Clamp to the furthest point the player could have reached
+    const scale = maxDistance / distance;
+    position.x = player.position.x + dx * scale;
+    position.z = player.position.z + dz * scale;
+    violation = "speed";
+  }
+
+  // Jump height
+  const maxHeight = getMaxJumpHeight(player.isGorilla) + HEIGHT_SLACK;
+  if (position.y < 0 || position.y > maxHeight) {
+    position.y = Math.max(0, Math.min(maxHeight, position.y));
+    violation = violation || "height";
+  }
+
+  // Map bounds
+  const bounded = enforceMapBoundaries(position);
+  if (bounded.x !== position.x || bounded.z !== position.z) {
+    violation = violation || "bounds";
+  }
+
+  return { position: bounded, violation };
+}
+
+// Record a violation and report whether the player should now be flagged
+function recordViolation(player, now) {
+  // Ignore stale updates sent before the client saw our last correction
+  if (now - player.lastCorrectionAt < CORRECTION_GRACE_MS) {
+    return false;
+  }
+
+  player.violations = player.violations.filter(
+    (time) => now - time < VIOLATION_WINDOW_MS
+  );
+  player.violations.push(now);
+
+  return player.violations.length >= VIOLATION_FLAG_THRESHOLD;
+}
+
+module.exports = {
+  MAP_BOUNDARY,
+  VIOLATION_WINDOW_MS,
+  getMovementStats,
+  enforceMapBoundaries,
+  validateMove,
+  recordViolation,
+};
@@ -0,0 +1,202 @@
+// Compact binary encoding for the hot path (snapshots and movement input).
+// Clients opt in by sending the protocol version they speak in `join`; anyone
+// else keeps getting JSON. The client side lives in
+// client/src/js/multiplayer/BinaryProtocol.js - keep the two in sync.
+//
+// Snapshot: version u8, type u8, tick u32, time f64, baseTick u32,
+//   entity count u16, removed count u16, then per entity index u16, flags u8
+//   and the flagged fields, then the indices of removed entities (u16 each).
+// Input: version u8, type u8, seq u32, ackTick u32, x/y/z i16, yaw u16.
+// Everything is little-endian.
+
+const BINARY_PROTOCOL_VERSION = 1;
+
+// Short event names - the name is sent with every message
+const BINARY_EVENTS = {
+  snapshot: "s",
+  input: "u",
+};
+
+const MESSAGE_TYPES = {
+  snapshot: 1,
+  input: 2,
+};
+
+// Positions are sent as centimetres in an int16 (+/- 327m)
+const POSITION_SCALE = 100;
+
+// Per-entity flags saying which fields follow
+const ENTITY_FLAGS = {
+  position: 1,
+  yaw: 2,
+  health: 4, // health (uint16) follows, isDead is the `dead` flag
+  dead: 8,
+  seq: 16, // acknowledged input sequence (only for the receiving player)
+};
+
+const SNAPSHOT_HEADER_BYTES = 22;
+const INPUT_BYTES = 18;
+
+function quantizePosition(value) {
+  const scaled = Math.round(value * POSITION_SCALE);
+  return Math.max(-32768, Math.min(32767, scaled));
+}
+
+// Map any angle onto 0..65535 (one full turn)
+function quantizeYaw(yaw) {
+  const turn = Math.PI * 2;
+  const normalized = ((yaw % turn) + turn) % turn;
+  return Math.round((normalized / turn) * 65536) & 0xffff;
+}
+
+function dequantizeYaw(value) {
+  return (value / 65536) * Math.PI * 2;
+}
+
+// Quantize a player's networked state so deltas compare what is actually sent
+function quantizePlayer(player) {
+  return {
+    x: quantizePosition(player.position.x),
+    y: quantizePosition(player.position.y),
+    z: quantizePosition(player.position.z),
+    yaw: quantizeYaw(player.rotation.y),
+    health: Math.max(0, Math.min(65535, Math.round(player.health))),
+    isDead: !!player.isDead,
+  };
+}
+
+// Which fields of an entity changed since the base state
+function getChangedFlags(state, base) {
+  if (!base) {
+    return ENTITY_FLAGS.position | ENTITY_FLAGS.yaw | ENTITY_FLAGS.health;
+  }
+
+  let flags = 0;
+  if (state.x !== base.x || state.y !== base.y || state.z !== base.z) {
+    flags |= ENTITY_FLAGS.position;
+  }
+  if (state.yaw !== base.yaw) {
+    flags |= ENTITY_FLAGS.yaw;
+  }
+  if (state.health !== base.health || state.isDead !== base.isDead) {
+    flags |= ENTITY_FLAGS.health;
+  }
+  return flags;
+}
+
+// Encode a snapshot for one client. `states` maps player index -> quantized
+// state; `baseStates` is what the client acknowledged at `baseTick` (or null
+// for a full snapshot). Unchanged entities are left out entirely, and anyone
+// in the base who is gone now is listed as removed.
+function encodeSnapshot({
+  tick,
+  time,
+  states,
+  baseTick = 0,
+  baseStates = null,
+  ownIndex = null,
+  ownSeq = 0,
+}) {
+  const entries = [];
+  let size = SNAPSHOT_HEADER_BYTES;
+
+  states.forEach((state, index) => {
+    let flags = getChangedFlags(state, baseStates && baseStates.get(index));
+    if (index === ownIndex) flags |= ENTITY_FLAGS.seq;
+    if (flags === 0) return;
+
+    entries.push({ index, state, flags });
+    size += 3;
+    if (flags & ENTITY_FLAGS.position) size += 6;
+    if (flags & ENTITY_FLAGS.yaw) size += 2;
+    if (flags & ENTITY_FLAGS.health) size += 2;
+    if (flags & ENTITY_FLAGS.seq) size += 4;
+  });
+
+  const removed = [];
+  if (baseStates) {
+    baseStates.forEach((state, index) => {
+      if (!states.has(index)) removed.push(index);
+    });
+    size += removed.length * 2;
+  }
+
+  const buffer = Buffer.alloc(size);
+  const view = new DataView(buffer.buffer, buffer.byteOffset, size);
+  let offset = 0;
+
+  view.setUint8(offset, BINARY_PROTOCOL_VERSION);
+  view.setUint8(offset + 1, MESSAGE_TYPES.snapshot);
+  view.setUint32(offset + 2, tick, true);
+  view.setFloat64(offset + 6, time, true);
+  view.setUint32(offset + 14, baseStates ? baseTick : 0, true);
+  view.setUint16(offset + 18, entries.length, true);
+  view.setUint16(offset + 20, removed.length, true);
+  offset = SNAPSHOT_HEADER_BYTES;
+
+  entries.forEach(({ index, state, flags }) => {
+    const flagByte =
+      flags & ENTITY_FLAGS.health && state.isDead
+        ? flags | ENTITY_FLAGS.dead
+        : flags;
+
+    view.setUint16(offset, index, true);
+    view.setUint8(offset + 2, flagByte);
+    offset += 3;
+
+    if (flags & ENTITY_FLAGS.position) {
+      view.setInt16(offset, state.x, true);
+      view.setInt16(offset + 2, state.y, true);
+      view.setInt16(offset + 4, state.z, true);
+      offset += 6;
+    }
+    if (flags & ENTITY_FLAGS.yaw) {
+      view.setUint16(offset, state.yaw, true);
+      offset += 2;
+    }
+    if (flags & ENTITY_FLAGS.health) {
+      view.setUint16(offset, state.health, true);
+      offset += 2;
+    }
+    if (flags & ENTITY_FLAGS.seq) {
+      view.setUint32(offset, ownSeq >>> 0, true);
+      offset += 4;
+    }
+  });
+
+  removed.forEach((index) => {
+    view.setUint16(offset, index, true);
+    offset += 2;
+  });
+
+  return buffer;
+}
+
+// Decode a binary movement input into the same shape as a JSON playerUpdate.
+// Returns null for anything malformed.
+function decodeInput(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < INPUT_BYTES) return null;
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.length);
+  if (view.getUint8(0) !== BINARY_PROTOCOL_VERSION) return null;
+  if (view.getUint8(1) !== MESSAGE_TYPES.input) return null;
+
+  return {
+    seq: view.getUint32(2, true),
+    ackTick: view.getUint32(6, true),
+    position: {
+      x: view.getInt16(10, true) / POSITION_SCALE,
+      y: view.getInt16(12, true) / POSITION_SCALE,
+      z: view.getInt16(14, true) / POSITION_SCALE,
+    },
+    rotation: { y: dequantizeYaw(view.getUint16(16, true)) },
+  };
+}
+
+module.exports = {
+  BINARY_PROTOCOL_VERSION,
+  BINARY_EVENTS,
+  quantizePlayer,
+  encodeSnapshot,
+  decodeInput,
+};
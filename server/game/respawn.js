@@ -0,0 +1,105 @@
+const { MAP_BOUNDARY } = require("./movement");
+
+// Respawn rules for humans, picked per lobby by the host. The gorilla never
+// respawns. With "lives" a human comes back a few seconds after dying until
+// their lives run out; with "waves" everyone who is down comes back together
+// on a fixed interval, and the gorilla wins if it takes all humans down at
+// once between two waves.
+
+const RESPAWN_MODES = {
+  none: "none",
+  lives: "lives",
+  waves: "waves",
+};
+
+// What a new lobby starts with
+const DEFAULT_RESPAWN_RULES = {
+  mode: RESPAWN_MODES.none,
+  lives: 3, // Including the first one
+  waveIntervalSeconds: 20,
+};
+
+// Limits for the host's settings
+const MIN_LIVES = 2;
+const MAX_LIVES = 10;
+const MIN_WAVE_INTERVAL_SECONDS = 5;
+const MAX_WAVE_INTERVAL_SECONDS = 120;
+
+// How long a human with lives left stays down
+const RESPAWN_DELAY_MS = 5000;
+
+// How long a respawned player can't be hit
+const SPAWN_INVULNERABILITY_MS = 3000;
+
+// Spawn points are picked from this many random candidates - the one
+// furthest from the gorilla wins
+const SPAWN_CANDIDATES = 8;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// Turn whatever the host sent into valid rules
+function normalizeRespawnRules(data) {
+  const mode = RESPAWN_MODES[data && data.mode] || RESPAWN_MODES.none;
+
+  return {
+    mode,
+    lives: clamp(
+      parseInt(data && data.lives, 10) || DEFAULT_RESPAWN_RULES.lives,
+      MIN_LIVES,
+      MAX_LIVES
+    ),
+    waveIntervalSeconds: clamp(
+      parseInt(data && data.waveIntervalSeconds, 10) ||
+        DEFAULT_RESPAWN_RULES.waveIntervalSeconds,
+      MIN_WAVE_INTERVAL_SECONDS,
+      MAX_WAVE_INTERVAL_SECONDS
+    ),
+  };
+}
+
+// When the next wave after `now` comes in, counting from the round start
+function getNextWaveAt(rules, startedAt, now) {
+  const interval = rules.waveIntervalSeconds * 1000;
+  const waves = Math.floor((now - startedAt) / interval) + 1;
+  return startedAt + waves * interval;
+}
+
+// Somewhere on the map well away from the gorilla
+function getSpawnPosition(gorillaPosition) {
+  const extent = MAP_BOUNDARY - 1;
+  let best = null;
+  let bestDistance = -Infinity;
+
+  for (let i = 0; i < SPAWN_CANDIDATES; i++) {
+    const candidate = {
+      x: (Math.random() * 2 - 1) * extent,
+      y: 0,
+      z: (Math.random() * 2 - 1) * extent,
+    };
+    const distance = gorillaPosition
+      ? Math.hypot(
+          candidate.x - gorillaPosition.x,
+          candidate.z - gorillaPosition.z
+        )
+      : 0;
+
+    if (distance > bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  RESPAWN_MODES,
+  DEFAULT_RESPAWN_RULES,
+  RESPAWN_DELAY_MS,
+  SPAWN_INVULNERABILITY_MS,
+  normalizeRespawnRules,
+  getNextWaveAt,
+  getSpawnPosition,
+};
@@ -0,0 +1,29 @@
+// Who takes over when someone leaves in the middle of things. The host role
+// goes to whoever has been in the lobby longest (lobby order is join order)
+// and is still connected. What happens when the gorilla leaves a PvP match
+// is a lobby setting.
+
+const GORILLA_SUCCESSION = {
+  promote: "promote", // A random living human becomes the gorilla
+  ai: "ai", // The server plays the gorilla for the rest of the round
+  end: "end", // The round ends and the humans win
+};
+
+// The player who becomes host after leavingId - connected players first,
+// then anyone (they may all be waiting to reconnect)
+function pickNextHost(players, leavingId = null) {
+  const candidates = players.filter((p) => p.id !== leavingId);
+  return candidates.find((p) => !p.disconnected) || candidates[0] || null;
+}
+
+// The human who gets promoted to gorilla, picked at random from candidates
+function pickGorillaSuccessor(candidates) {
+  if (candidates.length === 0) return null;
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+module.exports = {
+  GORILLA_SUCCESSION,
+  pickNextHost,
+  pickGorillaSuccessor,
+};
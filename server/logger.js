@@ -0,0 +1,147 @@
+// Server logging. Every line has a level, a message and optional fields
+// (lobbyId, socketId, ...). Lines below LOG_LEVEL are dropped. LOG_FORMAT
+// picks JSON lines for machine parsing or colored text for reading in a
+// terminal - by default JSON unless stdout is a terminal.
+
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  success: 20, // An info line worth highlighting
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+const LOG_FORMATS = {
+  json: "json",
+  pretty: "pretty",
+};
+
+const LEVEL_COLORS = {
+  debug: "\x1b[35m", // Magenta
+  info: "\x1b[34m", // Blue
+  success: "\x1b[32m", // Green
+  warn: "\x1b[33m", // Yellow
+  error: "\x1b[31m", // Red
+};
+
+// Field values as they go into a line - errors by their message
+function serializeField(value) {
+  return value instanceof Error ? value.message : value;
+}
+
+function formatPretty(time, level, message, fields) {
+  const label = `${LEVEL_COLORS[level]}[${level.toUpperCase()}]\x1b[0m`;
+  const extras = Object.entries(fields)
+    .map(([key, value]) => {
+      const text =
+        typeof value === "object" && value !== null
+          ? JSON.stringify(value)
+          : value;
+      return `${key}=${text}`;
+    })
+    .join(" ");
+
+  return `[${time}] ${label} ${message}${extras ? ` ${extras}` : ""}`;
+}
+
+class Logger {
+  constructor({
+    level = "info",
+    format = LOG_FORMATS.json,
+    fields = {},
+    write = (line) => process.stdout.write(`${line}\n`),
+    sampleCounts = new Map(),
+    sample = null,
+  } = {}) {
+    this.level = LOG_LEVELS[level] !== undefined ? level : "info";
+    this.format = format;
+    this.fields = fields;
+    this.write = write;
+    // Shared with child loggers so sampling counts across all of them
+    this.sampleCounts = sampleCounts;
+    this.sample = sample; // { key, every } on a sampled logger
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  log(level, message, fields = null) {
+    if (!LOG_LEVELS[level] || level === "silent") level = "info";
+    if (!this.isEnabled(level)) return;
+
+    const lineFields = { ...this.fields };
+    if (this.sample) {
+      const count = (this.sampleCounts.get(this.sample.key) || 0) + 1;
+      this.sampleCounts.set(this.sample.key, count);
+      if ((count - 1) % this.sample.every !== 0) return;
+      lineFields.sampleRate = this.sample.every;
+    }
+    Object.entries(fields || {}).forEach(([key, value]) => {
+      if (value !== undefined) lineFields[key] = serializeField(value);
+    });
+
+    const time = new Date().toISOString();
+    this.write(
+      this.format === LOG_FORMATS.pretty
+        ? formatPretty(time, level, message, lineFields)
+        : JSON.stringify({
+            time,
+            level: level === "success" ? "info" : level,
+            msg: message,
+            ...lineFields,
+          })
+    );
+  }
+
+  debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  success(message, fields) {
+    this.log("success", message, fields);
+  }
+
+  warn(message, fields) {
+    this.log("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this.log("error", message, fields);
+  }
+
+  // A logger that adds fields (e.g. { lobbyId }) to every line
+  child(fields) {
+    return new Logger({
+      ...this,
+      fields: { ...this.fields, ...fields },
+    });
+  }
+
+  // A logger for high-frequency events that only writes the first of
+  // every `every` lines logged under key
+  sampled(key, every) {
+    return new Logger({ ...this, sample: { key, every } });
+  }
+}
+
+// The server's logger, set up from LOG_LEVEL and LOG_FORMAT
+function createLogger(env = process.env) {
+  const level = (env.LOG_LEVEL || "info").toLowerCase();
+  const format =
+    LOG_FORMATS[(env.LOG_FORMAT || "").toLowerCase()] ||
+    (process.stdout.isTTY ? LOG_FORMATS.pretty : LOG_FORMATS.json);
+
+  return new Logger({ level, format });
+}
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  createLogger,
+};
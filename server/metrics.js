@@ -0,0 +1,185 @@
+const { monitorEventLoopDelay } = require("perf_hooks");
+
+// Server metrics in the Prometheus text format, served on /metrics so a
+// session can be graphed in a local Prometheus/Grafana. Counters and
+// histograms are updated as things happen; gauges are read when scraped.
+
+// Tick times are well under the 50ms tick budget when things are healthy
+const TICK_DURATION_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1];
+
+// How often the event loop delay is sampled
+const EVENT_LOOP_RESOLUTION_MS = 10;
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+// A set of labels as a key for a Map
+function labelsKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort());
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = "counter";
+    this.values = new Map(); // labels key -> { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelsKey(labels);
+    const entry = this.values.get(key);
+    if (entry) {
+      entry.value += amount;
+    } else {
+      this.values.set(key, { labels, value: amount });
+    }
+  }
+
+  render() {
+    return Array.from(this.values.values()).map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+    );
+  }
+}
+
+// A value read when scraped - collect() returns a number, or a list of
+// { labels, value } for labelled series
+class Gauge {
+  constructor(name, help, collect, type = "gauge") {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.collect = collect;
+  }
+
+  render() {
+    const collected = this.collect();
+    const series = Array.isArray(collected)
+      ? collected
+      : [{ labels: {}, value: collected }];
+
+    return series.map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+    );
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = "histogram";
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) this.counts[i]++;
+    });
+    this.count++;
+    this.sum += value;
+  }
+
+  render() {
+    return this.buckets
+      .map((bound, i) => `${this.name}_bucket{le="${bound}"} ${this.counts[i]}`)
+      .concat([
+        `${this.name}_bucket{le="+Inf"} ${this.count}`,
+        `${this.name}_sum ${this.sum}`,
+        `${this.name}_count ${this.count}`,
+      ]);
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  // collect() is called on every scrape. Totals kept elsewhere (e.g. the
+  // connections object) can be exposed as counters with type "counter".
+  gauge(name, help, collect, type = "gauge") {
+    return this.register(new Gauge(name, help, collect, type));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // Everything in the Prometheus text exposition format
+  render() {
+    return (
+      this.metrics
+        .map((metric) =>
+          [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+          ]
+            .concat(metric.render())
+            .join("\n")
+        )
+        .join("\n") + "\n"
+    );
+  }
+}
+
+// Event loop delay, sampled in the background. Percentiles cover the time
+// since the last scrape, so a slow patch shows up in the next one.
+function createEventLoopMonitor() {
+  const histogram = monitorEventLoopDelay({
+    resolution: EVENT_LOOP_RESOLUTION_MS,
+  });
+  histogram.enable();
+
+  // The samples include the sampling interval itself - only the part past
+  // it is lag
+  const toLagSeconds = (ns) =>
+    Math.max(0, ns / 1e6 - EVENT_LOOP_RESOLUTION_MS) / 1000;
+
+  let last = { mean: 0, p99: 0, max: 0 };
+
+  // Read (and start a new sampling window) - values are in seconds
+  return () => {
+    if (histogram.count > 0) {
+      last = {
+        mean: toLagSeconds(histogram.mean),
+        p99: toLagSeconds(histogram.percentile(99)),
+        max: toLagSeconds(histogram.max),
+      };
+    }
+    histogram.reset();
+    return last;
+  };
+}
+
+module.exports = {
+  TICK_DURATION_BUCKETS,
+  MetricsRegistry,
+  createEventLoopMonitor,
+};
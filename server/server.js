@@ -3,29 +3,56 @@ const http = require("http");
 const socketIO = require("socket.io");
 const path = require("path");
 const ngrok = require("ngrok");
-
-// Enhanced debug logging with different log levels
-function serverLog(message, level = "info", data = null) {
-  const timestamp = new Date().toISOString();
-  const levelLabels = {
-    info: "\x1b[34m[INFO]\x1b[0m", // Blue
-    error: "\x1b[31m[ERROR]\x1b[0m", // Red
-    warn: "\x1b[33m[WARN]\x1b[0m", // Yellow
-    success: "\x1b[32m[SUCCESS]\x1b[0m", // Green
-    debug: "\x1b[35m[DEBUG]\x1b[0m", // Magenta
-  };
-
-  console.log(
-    `[${timestamp}] ${levelLabels[level] || levelLabels.info} ${message}`
-  );
-  if (data) {
-    console.log(JSON.stringify(data, null, 2));
-  }
-}
-
-// Legacy verbose debug function - maintained for compatibility
-function verboseDebug(message, data = null) {
-  serverLog(message, "debug", data);
+const { createLogger } = require("./logger");
+const { createAdminRouter } = require("./admin");
+const {
+  TICK_DURATION_BUCKETS,
+  MetricsRegistry,
+  createEventLoopMonitor,
+} = require("./metrics");
+const { GameRoom } = require("./game/GameRoom");
+const { SessionStore, SESSION_GRACE_MS } = require("./game/SessionStore");
+const { BINARY_EVENTS } = require("./game/protocol");
+const { createLobbyBot } = require("./game/BotController");
+const { AI_GORILLA_ID, AI_GORILLA_NAME } = require("./game/GorillaController");
+const {
+  MAX_LOBBY_PLAYERS,
+  GAME_MODES,
+  DEFAULT_LOBBY_SETTINGS,
+  normalizeLobbySettings,
+  getScaledRoleStats,
+  pickGorilla,
+} = require("./game/lobbySettings");
+const { pickNextHost } = require("./game/succession");
+const {
+  CHAT_CHANNELS,
+  MAX_CHAT_MESSAGE_LENGTH,
+  CHAT_COMMANDS,
+  parseChatMessage,
+  parseChatCommand,
+  findPlayerByName,
+  rollDice,
+  createWordFilter,
+  ChatRateLimiter,
+} = require("./game/chat");
+const {
+  PROTOCOL_VIOLATION_LIMIT,
+  isKnownEvent,
+  validateEvent,
+  recordProtocolViolation,
+} = require("./game/eventSchemas");
+const {
+  generateInviteCode,
+  normalizeInviteCode,
+  normalizePasscode,
+} = require("./game/invites");
+
+// Server logger - level from LOG_LEVEL, JSON lines or text from LOG_FORMAT
+const logger = createLogger();
+
+// Log a message with optional context fields (lobbyId, socketId, ...)
+function serverLog(message, level = "info", fields = null) {
+  logger.log(level, message, fields);
 }
 
 // Create express app and server
@@ -40,14 +67,6 @@ const connections = {
   errors: [],
 };
 
-// Log connection counts every 10 seconds
-setInterval(() => {
-  serverLog(
-    `Active connections: ${connections.active}/${connections.total}`,
-    "info"
-  );
-}, 10000);
-
 // Enhanced Socket.IO configuration with better connection handling
 const io = socketIO(server, {
   cors: {
@@ -68,8 +87,10 @@ const io = socketIO(server, {
 // Access the default namespace explicitly
 const mainNamespace = io.of("/");
 
-// Log Socket.IO configuration
-serverLog("Socket.IO Configuration:", "debug", io._opts);
+serverLog("Socket.IO configured", "debug", {
+  transports: io._opts.transports,
+  path: io._opts.path,
+});
 
 // Track socket connections by client id
 const clientSockets = {};
@@ -81,34 +102,129 @@ serverLog(
   "debug"
 );
 
+// Addresses banned through the admin API
+const bannedAddresses = new Set();
+
+// Turn away banned addresses before they get a socket
+mainNamespace.use((socket, next) => {
+  const address = getClientAddress(socket);
+  if (bannedAddresses.has(address)) {
+    serverLog(`Rejected connection from banned address ${address}`, "warn", {
+      address,
+    });
+    next(new Error("You are banned from this server."));
+    return;
+  }
+  next();
+});
+
 // Add connection logging middleware to the default namespace
 mainNamespace.use((socket, next) => {
   serverLog(
     `New connection attempt from ${socket.handshake.address}`,
     "debug",
     {
-      id: socket.id,
-      query: socket.handshake.query,
-      headers: socket.handshake.headers,
-      url: socket.handshake.url,
+      socketId: socket.id,
+      address: socket.handshake.address,
     }
   );
   next();
 });
 
+// Metrics for Prometheus - see /metrics below
+const metrics = new MetricsRegistry();
+const readEventLoopLag = createEventLoopMonitor();
+
+metrics.gauge(
+  "gorilla_connections_active",
+  "Sockets currently connected",
+  () => connections.active
+);
+metrics.gauge(
+  "gorilla_connections_total",
+  "Sockets connected since the server started",
+  () => connections.total,
+  "counter"
+);
+metrics.gauge(
+  "gorilla_lobbies",
+  "Lobbies by state (waiting, or the state of their match)",
+  () => {
+    const counts = { waiting: 0 };
+    Object.values(lobbies).forEach((lobby) => {
+      const room = rooms[lobby.id];
+      const state = room ? room.state : "waiting";
+      counts[state] = (counts[state] || 0) + 1;
+    });
+    return Object.entries(counts).map(([state, value]) => ({
+      labels: { state },
+      value,
+    }));
+  }
+);
+metrics.gauge(
+  "gorilla_room_players",
+  "Players (including bots) in each running match",
+  () =>
+    Object.values(rooms).map((room) => ({
+      labels: { lobby: room.id },
+      value: Object.keys(room.players).length,
+    }))
+);
+metrics.gauge(
+  "gorilla_room_spectators",
+  "Spectators watching each running match",
+  () =>
+    Object.values(rooms).map((room) => ({
+      labels: { lobby: room.id },
+      value: Object.keys(room.spectators).length,
+    }))
+);
+const socketEventsReceived = metrics.counter(
+  "gorilla_socket_events_received_total",
+  "Socket.IO events received from clients, by event name"
+);
+const protocolViolations = metrics.counter(
+  "gorilla_protocol_violations_total",
+  "Socket.IO events rejected for not matching their schema, by event name"
+);
+const bytesSent = metrics.counter(
+  "gorilla_bytes_sent_total",
+  "Bytes sent to clients over Socket.IO"
+);
+const tickDuration = metrics.histogram(
+  "gorilla_tick_duration_seconds",
+  "Time taken by one simulation tick of a match",
+  TICK_DURATION_BUCKETS
+);
+metrics.gauge(
+  "gorilla_event_loop_lag_seconds",
+  "Event loop delay since the last scrape (mean, p99 and max)",
+  () => {
+    const lag = readEventLoopLag();
+    return ["mean", "p99", "max"].map((stat) => ({
+      labels: { stat },
+      value: lag[stat],
+    }));
+  }
+);
+
+// Prometheus scrape endpoint
+app.get("/metrics", (req, res) => {
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(metrics.render());
+});
+
 // Health check endpoint
 app.get("/health", (req, res) => {
-  serverLog("Health check requested", "debug", {
-    ip: req.ip,
-    headers: req.headers,
-  });
+  serverLog("Health check requested", "debug", { ip: req.ip });
 
   res.status(200).json({
     status: "ok",
     uptime: process.uptime(),
     timestamp: Date.now(),
-    connections: Object.keys(players).length,
-    host: hostId,
+    connections: countPlayersInGames(),
+    games: Object.keys(rooms).length,
     version: "1.0.2",
     connectionStats: connections,
     socketioVersion: socketIOVersion,
@@ -161,22 +277,44 @@ app.get("/socket-test", (req, res) => {
   `);
 });
 
+// One in every HTTP_LOG_SAMPLE requests is logged
+const HTTP_LOG_SAMPLE = 20;
+const requestLogger = logger.sampled("http", HTTP_LOG_SAMPLE);
+
 // CORS middleware for REST endpoints
 app.use((req, res, next) => {
-  // Log incoming requests
-  verboseDebug(`${req.method} request to ${req.url}`, {
-    headers: req.headers,
-  });
+  // Log incoming requests - every asset the client loads comes through
+  // here, so only a sample of them
+  requestLogger.debug(`${req.method} request to ${req.url}`, { ip: req.ip });
 
   res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
   res.header(
     "Access-Control-Allow-Headers",
-    "Origin, X-Requested-With, Content-Type, Accept"
+    "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Admin-Token"
   );
   next();
 });
 
+// Admin API for moderating a running server (needs ADMIN_TOKEN)
+app.use(
+  "/api/admin",
+  createAdminRouter({
+    token: process.env.ADMIN_TOKEN,
+    log: serverLog,
+    listLobbies: () => Object.values(lobbies).map(describeLobbyForAdmin),
+    getLobby: (lobbyId) =>
+      lobbies[lobbyId] ? describeLobbyForAdmin(lobbies[lobbyId]) : null,
+    getPlayer: describePlayerForAdmin,
+    kickPlayer: kickSocket,
+    listBans: () => Array.from(bannedAddresses),
+    unbanAddress: (address) => bannedAddresses.delete(address),
+    endMatch: endMatchForAdmin,
+    closeLobby,
+    sendSystemMessage,
+  })
+);
+
 // Serve static files from the client/dist directory
 app.use(express.static(path.join(__dirname, "../client/dist")));
 
@@ -190,61 +328,88 @@ app.use((req, res) => {
   res.sendFile(path.join(__dirname, "../client/dist", "index.html"));
 });
 
-// Store connected players
-const players = {};
-
 // Store lobbies
 const lobbies = {};
 
+// Lobby passcodes by lobby id - kept out of the lobby objects, which are
+// sent to clients as they are
+const lobbyPasscodes = {};
+
 // Store player to lobby mapping
 const playerLobbyMap = {};
 
-// Define initial positions of entities
-const INITIAL_POSITIONS = {
-  gorilla: { x: 10, y: 0, z: 10 },
-};
-
-// Store game entities (just the gorilla now - will be assigned to a player)
-const gameEntities = {
-  gorilla: {
-    position: INITIAL_POSITIONS.gorilla,
-    rotation: { y: 0 },
-    health: 200,
-    maxHealth: 200,
-    isDead: false,
-    playerId: null, // Will store the ID of the player assigned as gorilla
-  },
-};
+// Store running games - one GameRoom per lobby id
+const rooms = {};
 
-// Define map boundaries to keep players within a reasonable area
-const MAP_BOUNDARIES = {
-  minX: -50,
-  maxX: 50,
-  minZ: -50,
-  maxZ: 50,
-};
+// Resumable sessions - a dropped player keeps their place for a grace window
+const sessions = new SessionStore({
+  graceMs: Number(process.env.SESSION_GRACE_MS) || SESSION_GRACE_MS,
+  onExpire: (socketId) => {
+    const lobbyId = playerLobbyMap[socketId];
+    serverLog(`Session for ${socketId} expired`, "info", {
+      socketId,
+      lobbyId,
+    });
 
-// Track room host (first player becomes host and controls game logic)
-let hostId = null;
+    if (lobbyId) {
+      removePlayerFromLobby(socketId, lobbyId);
+    }
+  },
+});
 
-// Track active games
-const activeGames = new Set();
+// Chat moderation - how fast each socket can send, and words to blank out
+const chatRateLimiter = new ChatRateLimiter();
+const filterChatMessage = createWordFilter(
+  (process.env.CHAT_FILTER_WORDS || "").split(",")
+);
 
 // Helper function to generate a unique lobby ID
 function generateLobbyId() {
   return "lobby_" + Math.random().toString(36).substring(2, 9);
 }
 
+// A player's name as shown in the lobby - trimmed, with a made-up one for
+// clients that didn't send any
+function normalizePlayerName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  return trimmed || `Player${Math.floor(Math.random() * 1000)}`;
+}
+
+// Find the lobby an invite code belongs to
+function findLobbyByInviteCode(inviteCode) {
+  const code = normalizeInviteCode(inviteCode);
+  return code
+    ? Object.values(lobbies).find((lobby) => lobby.inviteCode === code)
+    : undefined;
+}
+
+// Set or clear (empty passcode) a lobby's passcode
+function setLobbyPasscode(lobby, passcode) {
+  const normalized = normalizePasscode(passcode);
+  if (normalized) {
+    lobbyPasscodes[lobby.id] = normalized;
+  } else {
+    delete lobbyPasscodes[lobby.id];
+  }
+  lobby.hasPasscode = !!normalized;
+}
+
 // Helper function to send updated lobbies list to all connected clients
 function broadcastLobbiesList() {
   // Create a sanitized list of lobbies without sensitive data
+  // Lobbies in a game are listed too - new players can watch until it ends.
+  // Private lobbies are left out - they are joined with their invite code.
   const lobbiesList = Object.values(lobbies)
-    .filter((lobby) => !lobby.inGame) // Only show lobbies not in a game
+    .filter((lobby) => !lobby.settings.isPrivate)
     .map((lobby) => ({
       id: lobby.id,
       name: lobby.name,
+      inGame: lobby.inGame,
       players: lobby.players.map((p) => ({ id: p.id, name: p.name })),
-      maxPlayers: lobby.maxPlayers,
+      botCount: lobby.bots.length,
+      pve: lobby.settings.mode === GAME_MODES.pve,
+      maxPlayers: lobby.settings.maxPlayers,
+      hasPasscode: lobby.hasPasscode,
       hostId: lobby.hostId,
       ping: 0, // We don't actually calculate ping yet
     }));
@@ -252,64 +417,525 @@ function broadcastLobbiesList() {
   mainNamespace.emit("lobbiesList", lobbiesList);
 }
 
-// Debug helper
-function debug(message) {
-  const timestamp = new Date().toISOString().substring(11, 19);
-  console.log(`[${timestamp}] [Server] ${message}`);
+// Who is playing the gorilla in a room, as sent to clients
+function describeGorilla(room, lobby) {
+  const gorilla =
+    room.getPlayer(room.gorillaPlayerId) ||
+    lobby.players.find((p) => p.id === room.gorillaPlayerId);
+
+  return {
+    id: room.gorillaPlayerId,
+    name: gorilla ? gorilla.name : "",
+  };
 }
 
-// Function to log server state periodically
-function logServerState() {
-  debug("============ SERVER STATE ============");
-  debug(`Connected players: ${Object.keys(players).length}`);
-  debug(`Active lobbies: ${Object.keys(lobbies).length}`);
-  debug(`Current host: ${hostId || "None"}`);
-  debug(
-    `Total connections: ${connections.total}, Active: ${connections.active}`
+// Get the game room a socket is playing in, if any
+function getRoomForSocket(socketId) {
+  const lobbyId = playerLobbyMap[socketId];
+  return lobbyId ? rooms[lobbyId] || null : null;
+}
+
+// Count players across every running game
+function countPlayersInGames() {
+  return Object.values(rooms).reduce(
+    (total, room) => total + room.playerCount,
+    0
   );
+}
 
-  if (Object.keys(players).length > 0) {
-    debug("Player positions:");
-    Object.entries(players).forEach(([id, data]) => {
-      const pos = data.position;
-      debug(
-        `- ${id.substring(0, 6)}... (${data.name}): X:${pos.x.toFixed(
-          2
-        )}, Y:${pos.y.toFixed(2)}, Z:${pos.z.toFixed(2)}`
-      );
+// Remove a socket from its game room and drop the room once it is empty
+function removePlayerFromRoom(socketId, lobbyId) {
+  const room = rooms[lobbyId];
+  if (!room) return;
+
+  room.removePlayer(socketId);
+
+  if (room.isEmpty() && rooms[lobbyId] === room) {
+    closeRoom(lobbyId);
+    serverLog(`Game room ${lobbyId} closed (no players left)`, "info", {
+      lobbyId,
+    });
+  }
+}
+
+// Remove a player from their lobby (and its running game), handing the host
+// role over and dropping the lobby once it is empty
+function removePlayerFromLobby(playerId, lobbyId) {
+  const lobby = lobbies[lobbyId];
+  if (!lobby) return;
+
+  // Remove player from lobby
+  lobby.players = lobby.players.filter((p) => p.id !== playerId);
+
+  // Remove lobby-player mapping
+  delete playerLobbyMap[playerId];
+
+  // Remove player from the running game, if any
+  removePlayerFromRoom(playerId, lobbyId);
+
+  // Leave the room
+  if (clientSockets[playerId]) {
+    clientSockets[playerId].leave(lobbyId);
+  }
+
+  // If lobby is empty, remove it
+  if (lobby.players.length === 0) {
+    closeRoom(lobbyId);
+    delete lobbies[lobbyId];
+    delete lobbyPasscodes[lobbyId];
+  }
+  // If this was the host, assign a new host
+  else if (lobby.hostId === playerId) {
+    lobby.hostId = pickNextHost(lobby.players).id;
+  }
+
+  // Update remaining players
+  io.to(lobbyId).emit("lobbyUpdated", lobby);
+
+  // Broadcast updated lobbies list
+  broadcastLobbiesList();
+}
+
+// Kick a player out of their lobby, telling them why
+function kickPlayerFromLobby(playerId, lobbyId) {
+  const lobby = lobbies[lobbyId];
+
+  // Notify kicked player
+  if (clientSockets[playerId]) {
+    clientSockets[playerId].emit("lobbyError", {
+      message: "You were kicked from the lobby.",
     });
   }
-  debug("======================================");
+
+  removePlayerFromLobby(playerId, lobbyId);
+
+  serverLog(
+    `Player ${playerId} was kicked from lobby: ${lobby.name} (${lobbyId})`,
+    "info",
+    { socketId: playerId, lobbyId }
+  );
+}
+
+// Stop (or let) a lobby player send chat messages
+function setPlayerMuted(lobby, player, muted) {
+  player.muted = muted;
+
+  io.to(lobby.id).emit("lobbyUpdated", lobby);
+  io.to(lobby.id).emit("chatMessage", {
+    sender: null,
+    message: muted
+      ? `${player.name} was muted by the host.`
+      : `${player.name} can chat again.`,
+    channel: "system",
+    timestamp: Date.now(),
+  });
+
+  serverLog(
+    `Player ${player.id} was ${muted ? "muted" : "unmuted"} in lobby ${
+      lobby.id
+    }`,
+    "info",
+    { socketId: player.id, lobbyId: lobby.id }
+  );
+}
+
+// A chat reply only the given socket sees (errors, command results)
+function sendChatNotice(socket, message) {
+  socket.emit("chatMessage", {
+    sender: null,
+    message,
+    channel: "system",
+    timestamp: Date.now(),
+  });
 }
 
-// Log server state every 10 seconds
-setInterval(logServerState, 10000);
+// Run a slash command typed into chat. Anything that goes wrong is only
+// told to the player who typed it.
+function runChatCommand(socket, lobby, sender, command) {
+  switch (command.name) {
+    case CHAT_COMMANDS.kick:
+    case CHAT_COMMANDS.mute: {
+      if (lobby.hostId !== socket.id) {
+        sendChatNotice(socket, `Only the host can use /${command.name}.`);
+        return;
+      }
+
+      const target = findPlayerByName(lobby.players, command.args);
+      if (!target || target.rest) {
+        sendChatNotice(socket, `Usage: /${command.name} <player name>`);
+        return;
+      }
+      if (target.player.id === socket.id) {
+        sendChatNotice(socket, `You can't ${command.name} yourself.`);
+        return;
+      }
+
+      if (command.name === CHAT_COMMANDS.kick) {
+        kickPlayerFromLobby(target.player.id, lobby.id);
+      } else {
+        setPlayerMuted(lobby, target.player, !target.player.muted);
+      }
+      return;
+    }
+
+    case CHAT_COMMANDS.whisper: {
+      if (sender.muted) {
+        sendChatNotice(socket, "You are muted by the host.");
+        return;
+      }
+
+      const target = findPlayerByName(lobby.players, command.args);
+      if (!target || !target.rest) {
+        sendChatNotice(socket, "Usage: /w <player name> <message>");
+        return;
+      }
+
+      const whisper = {
+        sender: sender.name,
+        senderId: socket.id,
+        to: target.player.name,
+        message: filterChatMessage(target.rest),
+        channel: "whisper",
+        timestamp: Date.now(),
+      };
+      io.to([socket.id, target.player.id]).emit("chatMessage", whisper);
+      return;
+    }
+
+    case CHAT_COMMANDS.roll: {
+      if (sender.muted) {
+        sendChatNotice(socket, "You are muted by the host.");
+        return;
+      }
+
+      const { max, result } = rollDice(command.args);
+      io.to(lobby.id).emit("chatMessage", {
+        sender: null,
+        message: `${sender.name} rolls ${result} (1-${max})`,
+        channel: "system",
+        timestamp: Date.now(),
+      });
+      return;
+    }
+
+    default:
+      sendChatNotice(
+        socket,
+        `Unknown command /${command.name}. Try /w, /roll, /kick or /mute.`
+      );
+  }
+}
+
+// Give a reconnected socket the lobby slot (and game state) of the socket it replaced
+function restorePlayer(socket, previousId) {
+  const lobbyId = playerLobbyMap[previousId];
+  const lobby = lobbyId ? lobbies[lobbyId] : null;
+  if (!lobby) return;
+
+  // Re-key the lobby membership
+  delete playerLobbyMap[previousId];
+  playerLobbyMap[socket.id] = lobbyId;
+
+  const lobbyPlayer = lobby.players.find((p) => p.id === previousId);
+  if (lobbyPlayer) {
+    lobbyPlayer.id = socket.id;
+    delete lobbyPlayer.disconnected;
+  }
+  if (lobby.hostId === previousId) {
+    lobby.hostId = socket.id;
+  }
+  if (lobby.lastGorillaId === previousId) {
+    lobby.lastGorillaId = socket.id;
+  }
+  if (lobby.settings.gorillaPickId === previousId) {
+    lobby.settings.gorillaPickId = socket.id;
+  }
+
+  socket.join(lobbyId);
+
+  // Re-key the running game, if any
+  const room = rooms[lobbyId];
+  const player = room ? room.resumePlayer(socket, previousId) : null;
+  const spectating = room ? room.isSpectator(socket.id) : false;
+
+  socket.emit("sessionResumed", {
+    lobby,
+    game: room
+      ? {
+          gorilla: describeGorilla(room, lobby),
+          isGorilla: room.gorillaPlayerId === socket.id,
+          player: player ? room.getPublicPlayer(player) : null,
+          spectating,
+        }
+      : null,
+  });
+
+  // Only send the room's players once the client knows its own role
+  if (room && (player || spectating)) {
+    room.sendRoomState(socket);
+  }
+
+  io.to(lobbyId).emit("lobbyUpdated", lobby);
+  broadcastLobbiesList();
+
+  serverLog(
+    `Player ${previousId} reconnected as ${socket.id} in lobby ${lobbyId}`,
+    "success",
+    { socketId: socket.id, previousId, lobbyId }
+  );
+}
+
+// Stop a game room's timers and forget about it
+function closeRoom(lobbyId) {
+  const room = rooms[lobbyId];
+  if (!room) return;
+
+  room.dispose();
+  delete rooms[lobbyId];
+
+  // The lobby is free to start another round
+  const lobby = lobbies[lobbyId];
+  if (lobby) {
+    lobby.inGame = false;
+  }
+}
+
+// Put a lobby back into the pre-game state once its match has ended
+function resetLobbyAfterMatch(lobbyId) {
+  closeRoom(lobbyId);
+
+  const lobby = lobbies[lobbyId];
+  if (!lobby) return;
+
+  // Everyone readies up again for the next match
+  lobby.players.forEach((p) => {
+    p.ready = false;
+  });
+
+  // Everyone (including anyone who left mid-match) goes back to the lobby view
+  io.to(lobbyId).emit("lobbyUpdated", lobby);
+
+  // The lobby shows up as joinable again
+  broadcastLobbiesList();
+}
+
+// Proxies whose X-Forwarded-For header is believed - TRUST_PROXY is "true"
+// for any, or a comma-separated list of their addresses (e.g. "127.0.0.1,::1"
+// for the local ngrok agent). Without it the header is ignored, since any
+// client can send one.
+const TRUSTED_PROXIES = (process.env.TRUST_PROXY || "")
+  .split(",")
+  .map((address) => stripIpv4Prefix(address.trim()))
+  .filter(Boolean);
+
+// IPv4 addresses as Node reports them on a dual-stack socket
+function stripIpv4Prefix(address) {
+  return address.startsWith("::ffff:") ? address.substring(7) : address;
+}
+
+function isTrustedProxy(address) {
+  return (
+    TRUSTED_PROXIES.includes("true") ||
+    TRUSTED_PROXIES.includes(stripIpv4Prefix(address))
+  );
+}
+
+// Where a socket connects from - behind a trusted proxy (such as the ngrok
+// tunnel) that is the forwarded address, not the proxy's
+function getClientAddress(socket) {
+  const { address } = socket.handshake;
+  const forwarded = socket.handshake.headers["x-forwarded-for"];
+  if (!forwarded || !isTrustedProxy(address)) return address;
+
+  return forwarded.split(",")[0].trim();
+}
+
+// A lobby as the admin API shows it - everything but the passcode
+function describeLobbyForAdmin(lobby) {
+  const room = rooms[lobby.id];
+
+  return {
+    id: lobby.id,
+    name: lobby.name,
+    hostId: lobby.hostId,
+    inviteCode: lobby.inviteCode,
+    isPrivate: lobby.settings.isPrivate,
+    hasPasscode: lobby.hasPasscode,
+    inGame: lobby.inGame,
+    createdAt: lobby.createdAt,
+    settings: lobby.settings,
+    players: lobby.players.map((p) => ({
+      id: p.id,
+      name: p.name,
+      ready: !!p.ready,
+      muted: !!p.muted,
+      disconnected: !!p.disconnected,
+    })),
+    botCount: lobby.bots.length,
+    match: room
+      ? {
+          ...room.getMatchState(),
+          gorilla: describeGorilla(room, lobby),
+          playerCount: Object.keys(room.players).length,
+          spectatorCount: Object.keys(room.spectators).length,
+        }
+      : null,
+  };
+}
+
+// A connected (or reconnecting) player as the admin API shows it
+function describePlayerForAdmin(playerId) {
+  const socket = clientSockets[playerId];
+  const lobbyId = playerLobbyMap[playerId];
+  const lobby = lobbyId ? lobbies[lobbyId] : null;
+  const lobbyPlayer = lobby
+    ? lobby.players.find((p) => p.id === playerId)
+    : null;
+  if (!socket && !lobbyPlayer) return null;
+
+  // Their state in the running match, if they are in it
+  const room = rooms[lobbyId];
+  const roomPlayer = room ? room.getPlayer(playerId) : null;
+  let game = null;
+  if (roomPlayer) {
+    game = room.getPublicPlayer(roomPlayer);
+  } else if (room && room.isSpectator(playerId)) {
+    game = { isSpectator: true };
+  }
 
-// Helper function to enforce map boundaries
-function enforceMapBoundaries(position) {
   return {
-    x: Math.max(MAP_BOUNDARIES.minX, Math.min(MAP_BOUNDARIES.maxX, position.x)),
-    y: position.y, // Don't restrict vertical movement
-    z: Math.max(MAP_BOUNDARIES.minZ, Math.min(MAP_BOUNDARIES.maxZ, position.z)),
+    id: playerId,
+    name: lobbyPlayer ? lobbyPlayer.name : null,
+    address: socket ? getClientAddress(socket) : null,
+    connected: !!socket,
+    lobbyId: lobby ? lobby.id : null,
+    isHost: lobby ? lobby.hostId === playerId : false,
+    muted: !!(lobbyPlayer && lobbyPlayer.muted),
+    game,
   };
 }
 
-// Helper function to generate a random color
-function randomColor() {
-  const colors = [
-    0xff0000, // red
-    0x00ff00, // green
-    0x0000ff, // blue
-    0xffff00, // yellow
-    0xff00ff, // magenta
-    0x00ffff, // cyan
-    0xff8000, // orange
-  ];
-  return colors[Math.floor(Math.random() * colors.length)];
+// Disconnect a socket for the admin, banning its address too if asked
+function kickSocket(playerId, { ban = false } = {}) {
+  const socket = clientSockets[playerId];
+  const lobbyId = playerLobbyMap[playerId];
+  if (!socket && !lobbyId) return null;
+
+  const address = socket ? getClientAddress(socket) : null;
+  if (ban && address) {
+    bannedAddresses.add(address);
+  }
+
+  if (lobbyId) {
+    if (socket) {
+      socket.emit("lobbyError", {
+        message: "You were removed from the lobby by the server admin.",
+      });
+    }
+    removePlayerFromLobby(playerId, lobbyId);
+  }
+  sessions.remove(playerId);
+
+  if (socket) {
+    socket.disconnect(true);
+  }
+
+  serverLog(
+    `Admin ${ban ? "banned" : "kicked"} ${playerId}${
+      address ? ` (${address})` : ""
+    }`,
+    "warn",
+    { socketId: playerId, lobbyId, address }
+  );
+
+  return { banned: ban && !!address, address };
+}
+
+// Stop a lobby's match for the admin - nobody wins. False if none is running.
+function endMatchForAdmin(lobbyId) {
+  const room = rooms[lobbyId];
+  if (!room || room.isEnded) return false;
+
+  room.end(null, "adminEnded");
+  return true;
+}
+
+// Remove everyone from a lobby, which closes it
+function closeLobby(lobbyId) {
+  const lobby = lobbies[lobbyId];
+  if (!lobby) return false;
+
+  io.to(lobbyId).emit("lobbyError", {
+    message: "This lobby was closed by the server admin.",
+  });
+
+  lobby.players
+    .map((p) => p.id)
+    .forEach((playerId) => removePlayerFromLobby(playerId, lobbyId));
+
+  serverLog(`Admin closed lobby ${lobby.name} (${lobbyId})`, "warn", {
+    lobbyId,
+  });
+  return true;
+}
+
+// A system chat message from the server, to one lobby or everyone
+function sendSystemMessage(message, lobbyId = null) {
+  const target = lobbyId ? io.to(lobbyId) : mainNamespace;
+  target.emit("chatMessage", {
+    sender: null,
+    message: `[Server] ${message}`,
+    channel: "system",
+    timestamp: Date.now(),
+  });
+
+  serverLog(`Admin message to ${lobbyId || "everyone"}: ${message}`, "info", {
+    lobbyId,
+  });
+}
+
+// Log a summary of the server, and every room's players and positions
+function logServerState() {
+  serverLog("Server state", "info", {
+    playersInGames: countPlayersInGames(),
+    lobbies: Object.keys(lobbies).length,
+    games: Object.keys(rooms).length,
+    connections: connections.active,
+    totalConnections: connections.total,
+  });
+
+  Object.values(rooms).forEach((room) => {
+    serverLog(`Room ${room.id} state`, "info", {
+      lobbyId: room.id,
+      hostId: room.hostId,
+      traffic: room.describeNetStats(),
+      players: Object.values(room.players).map((p) => ({
+        id: p.id,
+        name: p.name,
+        x: Number(p.position.x.toFixed(2)),
+        y: Number(p.position.y.toFixed(2)),
+        z: Number(p.position.z.toFixed(2)),
+      })),
+    });
+  });
+}
+
+// The periodic state dump is opt-in - set LOG_SERVER_STATE_MS (e.g. 10000)
+const SERVER_STATE_LOG_MS = Number(process.env.LOG_SERVER_STATE_MS) || 0;
+if (SERVER_STATE_LOG_MS > 0) {
+  setInterval(logServerState, SERVER_STATE_LOG_MS);
 }
 
 // Handle socket connections on the default namespace
 mainNamespace.on("connection", (socket) => {
+  // Log with this socket (and the lobby it is in at the time) attached
+  const socketLog = (message, level = "info", fields = null) =>
+    serverLog(message, level, {
+      socketId: socket.id,
+      lobbyId: playerLobbyMap[socket.id],
+      ...fields,
+    });
+
   // Increment connection counts
   connections.total++;
   connections.active++;
@@ -324,7 +950,7 @@ mainNamespace.on("connection", (socket) => {
 
   // Now we can safely log transport info since the connection is established
   if (socket.conn && socket.conn.transport) {
-    serverLog(
+    socketLog(
       `Available transports for ${socket.id}: ${Object.keys(
         socket.conn.transport
       ).join(", ")}`,
@@ -335,33 +961,88 @@ mainNamespace.on("connection", (socket) => {
   // Track this socket
   clientSockets[socket.id] = socket;
 
+  // Count what the socket sends us and how much we send it. Events nobody
+  // handles are counted together so clients can't invent new series.
+  socket.onAny((event) => {
+    socketEventsReceived.inc({
+      event: socket.listenerCount(event) > 0 ? event : "unknown",
+    });
+  });
+  socket.conn.on("packetCreate", (packet) => {
+    if (packet.data) {
+      bytesSent.inc(
+        {},
+        typeof packet.data === "string"
+          ? Buffer.byteLength(packet.data)
+          : packet.data.byteLength
+      );
+    }
+  });
+
+  // Check every event against its schema before the handlers see it. Bad
+  // payloads are answered with protocolError and dropped; a socket that
+  // keeps sending them is disconnected.
+  const violations = [];
+  socket.use(([event, payload], next) => {
+    const error = validateEvent(event, payload);
+    if (!error) {
+      next();
+      return;
+    }
+
+    protocolViolations.inc({ event: isKnownEvent(event) ? event : "unknown" });
+    socket.emit("protocolError", { event, message: error });
+
+    if (recordProtocolViolation(violations)) {
+      socketLog(
+        `Disconnecting ${socket.id} after ${PROTOCOL_VIOLATION_LIMIT} protocol errors`,
+        "warn",
+        { event, error }
+      );
+      socket.disconnect(true);
+      return;
+    }
+    socketLog(`Rejected "${event}" from ${socket.id}`, "warn", { error });
+  });
+
   // Log connection
-  serverLog(`Client connected: ${socket.id}`, "success", {
+  socketLog(`Client connected: ${socket.id}`, "success", {
     address: socket.handshake.address,
     transport:
       socket.conn && socket.conn.transport
         ? socket.conn.transport.name
         : "unknown",
-    time: new Date().toISOString(),
-    query: socket.handshake.query,
   });
 
+  // Resume the client's previous session if it has one, otherwise start a new one
+  const handshakeToken = socket.handshake.auth
+    ? socket.handshake.auth.sessionToken
+    : null;
+  const resumed = sessions.resume(handshakeToken, socket.id);
+  const session = resumed ? resumed.session : sessions.create(socket.id);
+
   // Send acknowledgment to client
   socket.emit("connectionAck", {
     id: socket.id,
     message: "Connected to server",
     timestamp: Date.now(),
+    sessionToken: session.token,
+    resumed: !!resumed,
     serverInfo: {
       uptime: process.uptime(),
-      players: Object.keys(players).length,
-      host: hostId,
+      players: countPlayersInGames(),
+      games: Object.keys(rooms).length,
     },
   });
 
+  if (resumed) {
+    restorePlayer(socket, resumed.previousId);
+  }
+
   // Log transport changes - check if socket.conn exists
   if (socket.conn) {
     socket.conn.on("upgrade", (transport) => {
-      serverLog(
+      socketLog(
         `Client ${socket.id} upgraded transport to: ${
           transport ? transport.name : "unknown"
         }`,
@@ -372,13 +1053,15 @@ mainNamespace.on("connection", (socket) => {
 
   // Handle get lobbies request
   socket.on("getLobbies", () => {
-    serverLog(`Player ${socket.id} requested lobbies list`, "info");
+    socketLog(`Player ${socket.id} requested lobbies list`, "info");
     broadcastLobbiesList();
   });
 
   // Handle create lobby
   socket.on("createLobby", (data) => {
-    const { name, maxPlayers, playerName } = data;
+    const { maxPlayers, settings, passcode } = data;
+    const playerName = normalizePlayerName(data.playerName);
+    const name = (data.name || "").trim() || `${playerName}'s Lobby`;
 
     // Check if player is already in a lobby
     if (playerLobbyMap[socket.id]) {
@@ -392,7 +1075,7 @@ mainNamespace.on("connection", (socket) => {
     const lobbyId = generateLobbyId();
     const lobby = {
       id: lobbyId,
-      name: name || `${playerName}'s Lobby`,
+      name,
       hostId: socket.id,
       players: [
         {
@@ -400,13 +1083,21 @@ mainNamespace.on("connection", (socket) => {
           name: playerName,
         },
       ],
-      maxPlayers: maxPlayers || 4,
+      bots: [], // Server-simulated humans filling the empty slots
+      settings: normalizeLobbySettings(DEFAULT_LOBBY_SETTINGS, {
+        ...settings,
+        maxPlayers: maxPlayers || (settings && settings.maxPlayers),
+      }),
+      lastGorillaId: null, // For the "rotate" gorilla selection
+      inviteCode: generateInviteCode((code) => !!findLobbyByInviteCode(code)),
+      hasPasscode: false,
       inGame: false,
       createdAt: Date.now(),
     };
 
     // Save lobby
     lobbies[lobbyId] = lobby;
+    setLobbyPasscode(lobby, passcode);
 
     // Map player to lobby
     playerLobbyMap[socket.id] = lobbyId;
@@ -423,50 +1114,69 @@ mainNamespace.on("connection", (socket) => {
     // Broadcast updated lobbies list
     broadcastLobbiesList();
 
-    serverLog(
+    socketLog(
       `Player ${socket.id} (${playerName}) created lobby: ${name} (${lobbyId})`,
       "info"
     );
   });
 
-  // Handle join lobby
+  // Handle join lobby - from the lobbies list (lobbyId) or with an invite
+  // code, which is the only way into a private lobby
   socket.on("joinLobby", (data) => {
-    const { lobbyId, playerName } = data;
+    const { inviteCode, passcode } = data;
+    const playerName = normalizePlayerName(data.playerName);
+    const lobby = inviteCode
+      ? findLobbyByInviteCode(inviteCode)
+      : lobbies[data.lobbyId];
 
-    // Check if player is already in a lobby
-    if (playerLobbyMap[socket.id]) {
+    // Check if lobby exists
+    if (!lobby || (!inviteCode && lobby.settings.isPrivate)) {
       socket.emit("lobbyError", {
-        message: "You are already in a lobby. Leave it first.",
+        message: inviteCode
+          ? "No lobby with that invite code."
+          : "Lobby not found.",
       });
       return;
     }
 
-    // Check if lobby exists
-    if (!lobbies[lobbyId]) {
-      socket.emit("lobbyError", {
-        message: "Lobby not found.",
-      });
+    const lobbyId = lobby.id;
+
+    // Already in it (e.g. an invite link opened again after a reconnect)
+    if (playerLobbyMap[socket.id] === lobbyId) {
       return;
     }
 
-    const lobby = lobbies[lobbyId];
-
-    // Check if lobby is full
-    if (lobby.players.length >= lobby.maxPlayers) {
+    // Check if player is already in a lobby
+    if (playerLobbyMap[socket.id]) {
       socket.emit("lobbyError", {
-        message: "Lobby is full.",
+        message: "You are already in a lobby. Leave it first.",
       });
       return;
     }
 
-    // Check if lobby is in game
-    if (lobby.inGame) {
+    // Check the passcode - the client asks for it and tries again
+    const expectedPasscode = lobbyPasscodes[lobbyId];
+    if (expectedPasscode && normalizePasscode(passcode) !== expectedPasscode) {
       socket.emit("lobbyError", {
-        message: "Game already in progress.",
+        message: passcode ? "Wrong passcode." : "This lobby needs a passcode.",
+        passcodeRequired: true,
       });
       return;
     }
 
+    // Check if lobby is full - bots give their slot up to real players
+    const { maxPlayers } = lobby.settings;
+    if (lobby.players.length + lobby.bots.length >= maxPlayers) {
+      if (lobby.bots.length > 0 && lobby.players.length < maxPlayers) {
+        lobby.bots.pop();
+      } else {
+        socket.emit("lobbyError", {
+          message: "Lobby is full.",
+        });
+        return;
+      }
+    }
+
     // Add player to lobby
     lobby.players.push({
       id: socket.id,
@@ -488,10 +1198,20 @@ mainNamespace.on("connection", (socket) => {
     // Broadcast updated lobbies list
     broadcastLobbiesList();
 
-    serverLog(
+    socketLog(
       `Player ${socket.id} (${playerName}) joined lobby: ${lobby.name} (${lobbyId})`,
       "info"
     );
+
+    // A game is already running - watch it until the next round
+    const room = lobby.inGame ? rooms[lobbyId] : null;
+    if (room) {
+      socket.emit("spectateStarted", {
+        lobbyId,
+        gorilla: describeGorilla(room, lobby),
+      });
+      room.addSpectator(socket, { name: playerName });
+    }
   });
 
   // Handle leave lobby
@@ -503,35 +1223,9 @@ mainNamespace.on("connection", (socket) => {
 
     const lobby = lobbies[lobbyId];
 
-    // Remove player from lobby
-    lobby.players = lobby.players.filter((p) => p.id !== socket.id);
-
-    // Remove lobby-player mapping
-    delete playerLobbyMap[socket.id];
-
-    // Leave the room
-    socket.leave(lobbyId);
-
-    // If lobby is empty, remove it
-    if (lobby.players.length === 0) {
-      delete lobbies[lobbyId];
-    }
-    // If this was the host, assign a new host
-    else if (lobby.hostId === socket.id) {
-      lobby.hostId = lobby.players[0].id;
-      // Notify new host
-      if (clientSockets[lobby.hostId]) {
-        clientSockets[lobby.hostId].emit("lobbyUpdated", lobby);
-      }
-    }
-
-    // Update remaining players
-    io.to(lobbyId).emit("lobbyUpdated", lobby);
-
-    // Broadcast updated lobbies list
-    broadcastLobbiesList();
+    removePlayerFromLobby(socket.id, lobbyId);
 
-    serverLog(
+    socketLog(
       `Player ${socket.id} left lobby: ${lobby.name} (${lobbyId})`,
       "info"
     );
@@ -565,28 +1259,185 @@ mainNamespace.on("connection", (socket) => {
       return;
     }
 
-    // Remove player from lobby
-    lobby.players = lobby.players.filter((p) => p.id !== playerId);
+    kickPlayerFromLobby(playerId, lobbyId);
+  });
+
+  // Handle muting a player in chat (host only)
+  socket.on("setMuted", (data) => {
+    const lobbyId = playerLobbyMap[socket.id];
+    const lobby = lobbyId ? lobbies[lobbyId] : null;
+    if (!lobby) return;
+
+    if (lobby.hostId !== socket.id) {
+      socket.emit("lobbyError", {
+        message: "Only the host can mute players.",
+      });
+      return;
+    }
+
+    const player = lobby.players.find((p) => p.id === (data && data.playerId));
+    if (!player || player.id === socket.id) {
+      socket.emit("lobbyError", {
+        message: "That player isn't in the lobby.",
+      });
+      return;
+    }
+
+    setPlayerMuted(lobby, player, !!data.muted);
+  });
+
+  // Handle changing the number of bots (host only)
+  socket.on("setBotCount", (data) => {
+    const lobbyId = playerLobbyMap[socket.id];
+    const lobby = lobbyId ? lobbies[lobbyId] : null;
+    if (!lobby) return;
 
-    // Remove lobby-player mapping
-    delete playerLobbyMap[playerId];
+    if (lobby.hostId !== socket.id) {
+      socket.emit("lobbyError", {
+        message: "Only the host can add or remove bots.",
+      });
+      return;
+    }
 
-    // Notify kicked player
-    if (clientSockets[playerId]) {
-      clientSockets[playerId].leave(lobbyId);
-      clientSockets[playerId].emit("lobbyError", {
-        message: "You were kicked from the lobby.",
+    if (lobby.inGame) {
+      socket.emit("lobbyError", {
+        message: "Bots can't be changed during a game.",
       });
+      return;
+    }
+
+    // Bots only fill slots real players aren't using
+    const requested = parseInt(data && data.count, 10) || 0;
+    const count = Math.max(
+      0,
+      Math.min(requested, lobby.settings.maxPlayers - lobby.players.length)
+    );
+
+    while (lobby.bots.length < count) {
+      lobby.bots.push(createLobbyBot(lobby.bots.length));
     }
+    lobby.bots.length = count;
 
-    // Update remaining players
     io.to(lobbyId).emit("lobbyUpdated", lobby);
+    broadcastLobbiesList();
 
-    // Broadcast updated lobbies list
+    socketLog(`Lobby ${lobbyId} now has ${count} bots`, "info");
+  });
+
+  // Handle changes to the lobby settings (host only). Only the settings
+  // sent are changed, and the server has the final say on every value.
+  socket.on("updateLobbySettings", (data) => {
+    const lobbyId = playerLobbyMap[socket.id];
+    const lobby = lobbyId ? lobbies[lobbyId] : null;
+    if (!lobby) return;
+
+    if (lobby.hostId !== socket.id) {
+      socket.emit("lobbyError", {
+        message: "Only the host can change the lobby settings.",
+      });
+      return;
+    }
+
+    if (lobby.inGame) {
+      socket.emit("lobbyError", {
+        message: "The lobby settings can't be changed during a game.",
+      });
+      return;
+    }
+
+    const settings = normalizeLobbySettings(lobby.settings, data);
+
+    // Never shrink the lobby below the players already in it, and let bots
+    // go if they no longer fit
+    settings.maxPlayers = Math.max(settings.maxPlayers, lobby.players.length);
+    lobby.bots.length = Math.min(
+      lobby.bots.length,
+      settings.maxPlayers - lobby.players.length
+    );
+
+    // The host can only pick someone who is in the lobby
+    if (!lobby.players.some((p) => p.id === settings.gorillaPickId)) {
+      settings.gorillaPickId = null;
+    }
+
+    lobby.settings = settings;
+
+    // The passcode is kept apart from the settings everyone sees
+    if (data && data.passcode !== undefined) {
+      setLobbyPasscode(lobby, data.passcode);
+    }
+
+    io.to(lobbyId).emit("lobbyUpdated", lobby);
+    broadcastLobbiesList();
+
+    socketLog(`Lobby ${lobbyId} settings changed`, "info", {
+      settings: lobby.settings,
+    });
+  });
+
+  // Handle a player offering to be the gorilla (any player)
+  socket.on("setVolunteer", (data) => {
+    const lobbyId = playerLobbyMap[socket.id];
+    const lobby = lobbyId ? lobbies[lobbyId] : null;
+    if (!lobby || lobby.inGame) return;
+
+    const lobbyPlayer = lobby.players.find((p) => p.id === socket.id);
+    if (!lobbyPlayer) return;
+
+    lobbyPlayer.volunteer = !!(data && data.volunteer);
+
+    io.to(lobbyId).emit("lobbyUpdated", lobby);
+  });
+
+  // Handle a player saying they are (or aren't) ready to start (any player)
+  socket.on("setReady", (data) => {
+    const lobbyId = playerLobbyMap[socket.id];
+    const lobby = lobbyId ? lobbies[lobbyId] : null;
+    if (!lobby || lobby.inGame) return;
+
+    const lobbyPlayer = lobby.players.find((p) => p.id === socket.id);
+    if (!lobbyPlayer) return;
+
+    lobbyPlayer.ready = !!(data && data.ready);
+
+    io.to(lobbyId).emit("lobbyUpdated", lobby);
+  });
+
+  // Handle handing the host role to another player (host only)
+  socket.on("transferHost", (data) => {
+    const lobbyId = playerLobbyMap[socket.id];
+    const lobby = lobbyId ? lobbies[lobbyId] : null;
+    if (!lobby) return;
+
+    if (lobby.hostId !== socket.id) {
+      socket.emit("lobbyError", {
+        message: "Only the host can hand over the host role.",
+      });
+      return;
+    }
+
+    if (lobby.inGame) {
+      socket.emit("lobbyError", {
+        message: "The host can't be changed during a game.",
+      });
+      return;
+    }
+
+    const newHost = lobby.players.find((p) => p.id === (data && data.playerId));
+    if (!newHost || newHost.id === socket.id) {
+      socket.emit("lobbyError", {
+        message: "That player isn't in the lobby.",
+      });
+      return;
+    }
+
+    lobby.hostId = newHost.id;
+
+    io.to(lobbyId).emit("lobbyUpdated", lobby);
     broadcastLobbiesList();
 
-    serverLog(
-      `Player ${playerId} was kicked from lobby: ${lobby.name} (${lobbyId})`,
+    socketLog(
+      `Lobby ${lobbyId} host handed from ${socket.id} to ${newHost.id}`,
       "info"
     );
   });
@@ -596,15 +1447,10 @@ mainNamespace.on("connection", (socket) => {
     const lobbyId = playerLobbyMap[socket.id];
 
     if (!lobbyId || !lobbies[lobbyId]) {
-      serverLog(
+      socketLog(
         `Error starting game: LobbyId not found for player ${socket.id}`,
         "error",
-        {
-          providedLobbyId: data.lobbyId,
-          mappedLobbyId: lobbyId,
-          playerLobbyMapExists: !!playerLobbyMap[socket.id],
-          lobbyExists: !!lobbies[lobbyId],
-        }
+        { providedLobbyId: data && data.lobbyId }
       );
       socket.emit("lobbyError", {
         message: "Could not start game - lobby not found.",
@@ -613,15 +1459,15 @@ mainNamespace.on("connection", (socket) => {
     }
 
     const lobby = lobbies[lobbyId];
-    serverLog(`Starting game for lobby: ${lobby.name} (${lobbyId})`, "info", {
-      lobbyData: lobby,
-      requestingPlayer: socket.id,
+    socketLog(`Starting game for lobby: ${lobby.name} (${lobbyId})`, "info", {
+      players: lobby.players.length,
+      bots: lobby.bots.length,
       isHost: socket.id === lobby.hostId,
     });
 
     // Only host can start the game
     if (lobby.hostId !== socket.id) {
-      serverLog(
+      socketLog(
         `Non-host player ${socket.id} tried to start game in lobby ${lobbyId}`,
         "warn"
       );
@@ -631,40 +1477,92 @@ mainNamespace.on("connection", (socket) => {
       return;
     }
 
-    // Check if there are enough players
-    if (lobby.players.length < 2) {
-      // Changed from 1 to 2 since we need at least 2 players (1 gorilla, 1 human)
-      serverLog(`Not enough players in lobby ${lobbyId} to start game`, "warn");
+    // One match at a time - starting again would leave the running room
+    // ticking and its end would tear down the new one
+    if (lobby.inGame || rooms[lobbyId]) {
       socket.emit("lobbyError", {
-        message: "Need at least 2 players to start the game.",
+        message: "A match is already running in this lobby.",
       });
       return;
     }
 
-    // Mark lobby as in game
-    lobby.inGame = true;
+    // Everyone else has to be ready - unless the host starts anyway
+    const notReady = lobby.players.filter(
+      (p) => p.id !== lobby.hostId && !p.ready
+    );
+    if (notReady.length > 0 && !(data && data.force)) {
+      socket.emit("lobbyError", {
+        message: `Waiting for ${notReady
+          .map((p) => p.name)
+          .join(", ")} to be ready.`,
+      });
+      return;
+    }
+
+    const { settings } = lobby;
+    const isPve = settings.mode === GAME_MODES.pve;
+
+    // Fill the empty slots with bots if the host asked for it
+    while (
+      settings.botFill &&
+      lobby.players.length + lobby.bots.length < settings.maxPlayers
+    ) {
+      lobby.bots.push(createLobbyBot(lobby.bots.length));
+    }
+
+    // Check if there are enough players (1 gorilla, 1 human - bots count as
+    // humans, and in PvE the server plays the gorilla)
+    const minPlayers = isPve ? 1 : 2;
+    if (lobby.players.length + lobby.bots.length < minPlayers) {
+      socketLog(`Not enough players in lobby ${lobbyId} to start game`, "warn");
+      socket.emit("lobbyError", {
+        message: "Need at least 2 players (or add bots) to start the game.",
+      });
+      return;
+    }
 
-    // Add to active games
-    activeGames.add(lobbyId);
+    // A room that somehow outlived its match is stopped first
+    closeRoom(lobbyId);
 
-    // Randomly select one player to be the gorilla
-    const playerIndices = lobby.players.map((_, index) => index);
-    const randomIndex = Math.floor(Math.random() * playerIndices.length);
-    const gorillaPlayerIndex = playerIndices[randomIndex];
-    const gorillaPlayer = lobby.players[gorillaPlayerIndex];
+    // Mark lobby as in game
+    lobby.inGame = true;
 
-    // Store the gorilla player ID in gameEntities
-    gameEntities.gorilla.playerId = gorillaPlayer.id;
+    // Create a fresh game room for this lobby - only the current room can
+    // reset the lobby when it ends
+    const room = new GameRoom(io, lobby, {
+      logger: logger.child({ lobbyId }),
+      onEnd: (endedRoom) => {
+        if (rooms[lobbyId] === endedRoom) resetLobbyAfterMatch(lobbyId);
+      },
+      onTick: (seconds) => tickDuration.observe(seconds),
+    });
+    rooms[lobbyId] = room;
+
+    // Pick the gorilla by the lobby's selection rule - in PvE everyone is a
+    // human and the room adds the AI gorilla when it starts
+    let gorillaPlayer = { id: AI_GORILLA_ID, name: AI_GORILLA_NAME };
+    if (!isPve) {
+      gorillaPlayer = pickGorilla(lobby);
+      lobby.lastGorillaId = gorillaPlayer.id;
+    }
 
-    // Create roles array to send to clients
-    const playerRoles = lobby.players.map((player, index) => ({
-      id: player.id,
-      name: player.name,
-      isGorilla: index === gorillaPlayerIndex,
-    }));
+    // Store the gorilla player ID in the room
+    room.assignGorilla(gorillaPlayer.id);
+
+    // Create roles array to send to clients (with health scaled by the
+    // lobby's multipliers)
+    const playerRoles = lobby.players.map((player) => {
+      const isGorilla = player.id === gorillaPlayer.id;
+      return {
+        id: player.id,
+        name: player.name,
+        isGorilla,
+        maxHealth: getScaledRoleStats(isGorilla, settings).maxHealth,
+      };
+    });
 
     // Emit game started event to all players in the lobby with role assignments
-    serverLog(
+    socketLog(
       `Emitting gameStarted event to all players in lobby ${lobbyId}. Gorilla: ${gorillaPlayer.name}`,
       "info"
     );
@@ -673,209 +1571,226 @@ mainNamespace.on("connection", (socket) => {
       lobbyId,
       players: lobby.players,
       roles: playerRoles,
+      pve: isPve,
+      settings,
       gorilla: {
         id: gorillaPlayer.id,
         name: gorillaPlayer.name,
       },
     });
 
-    // Broadcast updated lobbies list (to remove this lobby from available ones)
+    // Start the match - the countdown begins once everyone has loaded in
+    room.start();
+
+    // Broadcast updated lobbies list (the lobby now shows as in game)
     broadcastLobbiesList();
 
-    serverLog(
+    socketLog(
       `Game started in lobby: ${lobby.name} (${lobbyId}). Gorilla: ${gorillaPlayer.name}`,
       "success"
     );
   });
 
-  // Handle join event
+  // Handle join event (player finished loading into their lobby's game)
   socket.on("join", (data) => {
-    serverLog(
-      `Player ${socket.id} joining game as ${data.name} ${
-        data.isGorilla ? "(Gorilla)" : "(Human)"
-      }`,
-      "info",
-      data
-    );
+    const room = getRoomForSocket(socket.id);
+    if (!room) {
+      socketLog(
+        `Player ${socket.id} tried to join without a running game`,
+        "warn"
+      );
+      return;
+    }
 
-    // Create player data
-    players[socket.id] = {
-      id: socket.id,
-      name: data.name,
-      position: data.position || { x: 0, y: 0, z: 0 },
-      rotation: data.rotation || { y: 0 },
-      color: randomColor(),
-      isGorilla: data.isGorilla || false, // Store gorilla state
-    };
+    const joinError = room.getJoinError(socket.id);
+    if (joinError) {
+      socketLog(`Rejected join from ${socket.id}: ${joinError}`, "warn");
 
-    // Assign host if needed
-    if (!hostId) {
-      hostId = socket.id;
-      socket.emit("hostAssigned", { isHost: true });
-      serverLog(`Player ${socket.id} assigned as host`, "info");
+      // Still loading when the match got going - watch it until the next round
+      if (room.isLateLoader(socket.id)) {
+        socket.emit("spectateStarted", {
+          lobbyId: room.id,
+          gorilla: describeGorilla(room, lobbies[room.id]),
+        });
+        room.addLateLoader(socket, data);
+      } else {
+        socket.emit("lobbyError", { message: joinError });
+      }
+      return;
     }
 
-    // Send existing players to the new player
-    const existingPlayers = Object.values(players).filter(
-      (p) => p.id !== socket.id
-    );
-    socket.emit("existingPlayers", existingPlayers);
-
-    // Notify all players about the new player
-    socket.broadcast.emit("playerJoined", players[socket.id]);
-
-    // Debug
-    serverLog(
-      `Total players now: ${Object.keys(players).length} (Gorilla: ${
-        gameEntities.gorilla.playerId
-          ? gameEntities.gorilla.playerId
-          : "None yet"
-      })`,
+    socketLog(
+      `Player ${socket.id} joining game ${room.id} as ${data.name}`,
       "info"
     );
+
+    room.addPlayer(socket, data);
   });
 
   // Handle position update
   socket.on("playerUpdate", (data) => {
-    if (!players[socket.id]) return;
+    const room = getRoomForSocket(socket.id);
+    if (!room) return;
 
-    // Update player data
-    players[socket.id].position = data.position;
-    players[socket.id].rotation = data.rotation;
+    room.countInput("json", Buffer.byteLength(JSON.stringify(data) || ""));
+    room.updatePlayer(socket, data);
+  });
 
-    // Broadcast to others
-    socket.broadcast.emit("playerMoved", {
-      id: socket.id,
-      position: data.position,
-      rotation: data.rotation,
-    });
+  // Handle binary position update (clients that negotiated the binary protocol)
+  socket.on(BINARY_EVENTS.input, (buffer) => {
+    const room = getRoomForSocket(socket.id);
+    if (!room) return;
+
+    room.handleBinaryInput(socket, buffer);
+  });
+
+  // Handle a client (re)negotiating its snapshot encoding, e.g. after resuming
+  socket.on("negotiateProtocol", (data) => {
+    const room = getRoomForSocket(socket.id);
+    if (!room) return;
+
+    room.negotiateProtocol(socket, data);
   });
 
   // Handle host game state
   socket.on("gameStateUpdate", (gameState) => {
-    // Only accept updates from host
-    if (socket.id !== hostId) return;
+    const room = getRoomForSocket(socket.id);
+    if (!room) return;
 
-    // Broadcast to all clients except host
-    socket.broadcast.emit("gameStateUpdate", gameState);
+    room.handleGameState(socket, gameState);
   });
 
-  // Handle player attack
-  socket.on("playerAttack", (attackData) => {
-    if (!players[socket.id]) return;
+  // Handle player attack - the room decides who gets hit
+  socket.on("playerAttack", () => {
+    const room = getRoomForSocket(socket.id);
+    if (!room) return;
 
-    serverLog(
-      `Player ${socket.id} (${players[socket.id].name}) attacked`,
-      "info",
-      attackData
-    );
+    room.handleAttack(socket);
+  });
 
-    // Add player info to attack data
-    const fullAttackData = {
-      ...attackData,
-      name: players[socket.id].name,
-    };
+  // Handle player leaving the game but staying in the lobby
+  socket.on("leaveGame", () => {
+    const lobbyId = playerLobbyMap[socket.id];
+    if (!lobbyId) return;
 
-    // Broadcast attack to all other players
-    socket.broadcast.emit("playerAttacked", fullAttackData);
+    removePlayerFromRoom(socket.id, lobbyId);
   });
 
-  // Handle chat messages
-  socket.on("chatMessage", (message) => {
-    if (!players[socket.id]) return;
+  // Handle chat messages - sent to the sender's lobby, or during a match to
+  // their team or the other spectators
+  socket.on("chatMessage", (data) => {
+    const lobbyId = playerLobbyMap[socket.id];
+    const lobby = lobbyId ? lobbies[lobbyId] : null;
+    if (!lobby) return;
+
+    const sender = lobby.players.find((p) => p.id === socket.id);
+    if (!sender) return;
+
+    const chat = parseChatMessage(data);
+    if (!chat) return;
+
+    if (chat.message.length > MAX_CHAT_MESSAGE_LENGTH) {
+      sendChatNotice(
+        socket,
+        `Messages can be at most ${MAX_CHAT_MESSAGE_LENGTH} characters.`
+      );
+      return;
+    }
+
+    if (!chatRateLimiter.allow(socket.id)) {
+      sendChatNotice(socket, "You're sending messages too fast. Slow down.");
+      return;
+    }
+
+    const command = parseChatCommand(chat.message);
+    if (command) {
+      runChatCommand(socket, lobby, sender, command);
+      return;
+    }
+
+    if (sender.muted) {
+      sendChatNotice(socket, "You are muted by the host.");
+      return;
+    }
+
+    let recipients = lobbyId;
+    if (chat.channel !== CHAT_CHANNELS.lobby) {
+      const room = rooms[lobbyId];
+      recipients = room
+        ? room.getChatRecipients(socket.id, chat.channel)
+        : null;
 
-    serverLog(
-      `Chat message from ${players[socket.id].name}: ${message}`,
+      if (!recipients || recipients.length === 0) {
+        sendChatNotice(socket, `You can't use ${chat.channel} chat right now.`);
+        return;
+      }
+    }
+
+    const message = filterChatMessage(chat.message);
+
+    socketLog(
+      `Chat message (${chat.channel}) from ${sender.name} in ${lobbyId}: ${message}`,
       "info"
     );
 
-    mainNamespace.emit("chatMessage", {
-      sender: players[socket.id].name,
+    io.to(recipients).emit("chatMessage", {
+      sender: sender.name,
       senderId: socket.id,
       message,
+      channel: chat.channel,
       timestamp: Date.now(),
     });
   });
 
   // Handle disconnect
   socket.on("disconnect", (reason) => {
-    serverLog(`Client disconnected: ${socket.id}, reason: ${reason}`, "warn");
+    socketLog(`Client disconnected: ${socket.id}, reason: ${reason}`, "warn");
 
     // Decrement active connections
     connections.active--;
 
     // Remove from tracking
     delete clientSockets[socket.id];
+    chatRateLimiter.remove(socket.id);
 
-    // Handle lobby cleanup
+    // Players in a lobby keep their slot for the grace window in case they
+    // reconnect - everyone else's session can go straight away
     const lobbyId = playerLobbyMap[socket.id];
     if (lobbyId && lobbies[lobbyId]) {
       const lobby = lobbies[lobbyId];
+      const lobbyPlayer = lobby.players.find((p) => p.id === socket.id);
+      if (lobbyPlayer) {
+        lobbyPlayer.disconnected = true;
+      }
 
-      // Remove player from lobby
-      lobby.players = lobby.players.filter((p) => p.id !== socket.id);
-
-      // Remove lobby-player mapping
-      delete playerLobbyMap[socket.id];
+      sessions.disconnect(socket.id);
 
-      // If lobby is empty, remove it
-      if (lobby.players.length === 0) {
-        // Remove from active games if needed
-        if (activeGames.has(lobbyId)) {
-          activeGames.delete(lobbyId);
+      // Don't leave the lobby (or its game) without a host for the grace
+      // window - someone who is still connected takes over
+      if (lobby.hostId === socket.id) {
+        const nextHost = pickNextHost(lobby.players, socket.id);
+        if (nextHost && !nextHost.disconnected) {
+          lobby.hostId = nextHost.id;
         }
-        delete lobbies[lobbyId];
       }
-      // If this was the host, assign a new host
-      else if (lobby.hostId === socket.id) {
-        lobby.hostId = lobby.players[0].id;
-        // Notify new host
-        if (clientSockets[lobby.hostId]) {
-          clientSockets[lobby.hostId].emit("lobbyUpdated", lobby);
-        }
+      if (rooms[lobbyId]) {
+        rooms[lobbyId].handOverHost(socket.id);
       }
 
-      // Update remaining players
       io.to(lobbyId).emit("lobbyUpdated", lobby);
-
-      // Broadcast updated lobbies list
-      broadcastLobbiesList();
-    }
-
-    if (players[socket.id]) {
-      // Broadcast to all clients that this player has left
-      mainNamespace.emit("playerLeft", socket.id);
-
-      // Check if this was the host
-      if (socket.id === hostId) {
-        // Assign a new host if there are other players
-        const remainingPlayers = Object.keys(players).filter(
-          (id) => id !== socket.id
-        );
-
-        if (remainingPlayers.length > 0) {
-          hostId = remainingPlayers[0];
-          if (clientSockets[hostId]) {
-            clientSockets[hostId].emit("hostAssigned", { isHost: true });
-            serverLog(`New host assigned: ${hostId}`, "info");
-          }
-        } else {
-          hostId = null;
-          serverLog("No players left, resetting host", "info");
-        }
-      }
-
-      // Remove player from the game
-      delete players[socket.id];
-
-      // Debug
-      serverLog(`Total players now: ${Object.keys(players).length}`, "info");
+      io.to(lobbyId).emit("playerDisconnected", {
+        id: socket.id,
+        name: lobbyPlayer ? lobbyPlayer.name : "",
+        graceMs: sessions.graceMs,
+      });
+    } else {
+      sessions.remove(socket.id);
     }
   });
 
   // Handle error
   socket.on("error", (error) => {
-    serverLog(`Socket error for ${socket.id}: ${error.message}`, "error");
+    socketLog(`Socket error for ${socket.id}: ${error.message}`, "error");
     connections.errors.push({
       id: socket.id,
       time: Date.now(),
@@ -887,21 +1802,18 @@ mainNamespace.on("connection", (socket) => {
 // Start server on specified port (default: 3000)
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, "0.0.0.0", async () => {
-  debug(`Server running on port ${PORT} (all interfaces)`);
-  console.log(`\n=====================================================`);
-  console.log(`Multiplayer server running at http://localhost:${PORT}`);
-  console.log(`Listening on all network interfaces (0.0.0.0:${PORT})`);
-  console.log(`=====================================================\n`);
-
-  // Log node version only - don't try to access socket.io package.json
-  console.log(`Node.js version: ${process.version}`);
-  console.log(`Socket.IO version: ${socketIOVersion}`);
+  // Node version only - don't try to access socket.io package.json
+  serverLog(
+    `Multiplayer server running at http://localhost:${PORT} (listening on 0.0.0.0:${PORT})`,
+    "success",
+    { port: PORT, node: process.version, socketIO: socketIOVersion }
+  );
 
   // We'll use the standalone ngrok command instead
-  console.log(`\n=====================================================`);
-  console.log(`To expose this server publicly, run in a separate terminal:`);
-  console.log(`ngrok http --subdomain=hen-clear-hornet 3000`);
-  console.log(`=====================================================\n`);
+  serverLog(
+    `To expose this server publicly, run in a separate terminal: ngrok http --subdomain=hen-clear-hornet ${PORT}`,
+    "info"
+  );
 
   /*
   // Start ngrok to make server publicly accessible
@@ -921,7 +1833,7 @@ server.listen(PORT, "0.0.0.0", async () => {
       },
     });
 
-    debug(`Server is publicly accessible at: ${url}`);
+    serverLog(`Server is publicly accessible at: ${url}`, "debug");
     console.log(`\n=====================================================`);
     console.log(`✨ MULTIPLAYER SERVER IS NOW PUBLIC! ✨`);
     console.log(`=====================================================`);
@@ -938,7 +1850,7 @@ server.listen(PORT, "0.0.0.0", async () => {
       res.json({ url: app.locals.publicUrl });
     });
   } catch (error) {
-    debug(`Failed to start ngrok: ${error.message}`);
+    serverLog(`Failed to start ngrok: ${error.message}`, "debug");
     console.error(`\n⚠️ Error creating public URL: ${error.message}`);
 
     if (